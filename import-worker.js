@@ -0,0 +1,54 @@
+/**
+ * Import worker for the Packet Compiler.
+ *
+ * Converts uploaded documents to HTML and splits them into packets off the main thread, so large,
+ * image-heavy manuscripts do not freeze the page. It reuses the importers and splitting rules from
+ * script.js; linkedom supplies the DOM those methods expect, since workers have no document.
+ *
+ * Messages in:  { jobId, file, splitSettings }
+ * Messages out: { jobId, type: 'progress', stage: 'converting' | 'splitting' }
+ *               { jobId, type: 'result', result }
+ *               { jobId, type: 'unavailable', error } when the worker could not load its libraries
+ */
+import { parseHTML, DOMParser, Node, NodeFilter } from 'https://cdn.jsdelivr.net/npm/linkedom@0.18.5/worker.js';
+
+const { document } = parseHTML('<!DOCTYPE html><html><head></head><body></body></html>');
+Object.assign(self, { window: self, document, DOMParser, Node, NodeFilter });
+
+// Load the same libraries as index.html, then script.js, which exposes PacketCompiler inside workers
+const compilerReady = (async () => {
+    await import('https://unpkg.com/mammoth@1.6.0/mammoth.browser.min.js');
+    await import('https://unpkg.com/jszip@3.10.1/dist/jszip.min.js');
+    await import('https://unpkg.com/marked@12.0.2/marked.min.js');
+    await import('./script.js');
+
+    // Only the importers and splitting methods are needed, so skip the constructor's page setup
+    const compiler = Object.create(self.PacketCompiler.prototype);
+    compiler.importers = compiler.createDefaultImporters();
+    return compiler;
+})();
+
+self.addEventListener('message', async (event) => {
+    const { jobId, file, splitSettings } = event.data;
+    let compiler;
+    try {
+        compiler = await compilerReady;
+    } catch (error) {
+        // Libraries could not be loaded here; the page processes the file itself instead
+        self.postMessage({ jobId, type: 'unavailable', error: error.message });
+        return;
+    }
+    compiler.splitSettings = splitSettings;
+
+    try {
+        self.postMessage({ jobId, type: 'progress', stage: 'converting' });
+        const { html, messages, properties } = await compiler.convertDocumentToHtml(file);
+        self.postMessage({ jobId, type: 'progress', stage: 'splitting' });
+        const split = compiler.splitDocument(html, file.name, 'auto', properties);
+        console.log(`Worker extracted ${split.packets.length} potential packets from ${file.name} (${split.strategy}).`);
+        self.postMessage({ jobId, type: 'result', result: { filename: file.name, html, messages, properties, selectedStrategy: 'auto', ...split } });
+    } catch (error) {
+        console.error(`Worker error processing ${file.name}:`, error);
+        self.postMessage({ jobId, type: 'result', result: { filename: file.name, error: error.message, packets: [] } });
+    }
+});
@@ -1,16 +1,307 @@
 (function() {
     'use strict';
 
+    // Project (.poempack) file format. Bump PROJECT_FILE_VERSION whenever the saved shape changes,
+    // and add a migration keyed by the old version that upgrades data to the next version.
+    const PROJECT_FILE_FORMAT = 'poempack';
+    const PROJECT_FILE_VERSION = 6;
+    const PROJECT_FILE_MIGRATIONS = {
+        // 1 -> 2: packets gained a version history
+        1: (data) => ({
+            ...data,
+            packets: Array.isArray(data.packets) ? data.packets.map(packet => ({ versions: [], ...packet })) : data.packets
+        }),
+        // 2 -> 3: packets can be grouped into sections
+        2: (data) => ({ sections: [], ...data }),
+        // 3 -> 4: the hand-made order is kept while the list is sorted
+        3: (data) => ({ customOrder: null, ...data }),
+        // 4 -> 5: packets carry descriptive details (see PACKET_METADATA_FIELDS)
+        4: (data) => ({
+            ...data,
+            packets: Array.isArray(data.packets)
+                ? data.packets.map(packet => ({ author: '', dedication: '', epigraph: '', dateWritten: '', tags: [], notes: '', ...packet }))
+                : data.packets
+        }),
+        // 5 -> 6: compilations have a cover, introduction, afterword and indexes (see DEFAULT_FRONT_MATTER)
+        5: (data) => ({ ...data, settings: { frontMatter: DEFAULT_FRONT_MATTER, ...data.settings } })
+    };
+
+    // Details kept for each packet besides its text, in the order they are shown and exported.
+    // All are strings except tags, which is an array of strings.
+    const PACKET_METADATA_FIELDS = {
+        author: 'Author',
+        dedication: 'Dedication',
+        epigraph: 'Epigraph',
+        dateWritten: 'Date written',
+        tags: 'Tags',
+        notes: 'Notes'
+    };
+
+    // Document "author" properties that word processors fill in by default, which say nothing about the poet
+    const PLACEHOLDER_AUTHORS = /^(microsoft office user|windows user|user|owner|admin|administrator|unknown|author)$/i;
+
+    // Mammoth.js drops paragraph indentation, so indented Word paragraphs are given one of these
+    // style names (one per column of about 6pt) and turned back into a margin after conversion
+    const MAX_VERSE_INDENT_COLUMNS = 72;
+    const VERSE_INDENT_STYLE_MAP = Array.from({ length: MAX_VERSE_INDENT_COLUMNS }, (_, i) =>
+        `p[style-name='Verse Indent ${i + 1}'] => p.verse-indent-${i + 1}:fresh`);
+
+    // Default rules for splitting documents into packets. Users can change these in the
+    // splitting settings panel; their choices are kept in localStorage.
+    const DEFAULT_SPLIT_SETTINGS = {
+        minDocumentLength: 50, // Shortest document (in characters) that is imported at all
+        minContentLengthForSplit: 100, // A segment must have at least this many chars to be a distinct packet
+        minPoemLengthHeading: 50, // Minimum characters for a packet section identified by heading
+        minPoemLengthParagraphSplit: 150, // Higher minimum for the ambiguous paragraph-break method
+        minPoemLengthSeparator: 50, // Minimum characters for a packet section identified by separator
+        headingLevels: ['h1', 'h2', 'h3'], // Heading levels that start a new packet
+        customSeparators: [] // Literal lines (e.g. "#", "§", "NEW POEM") that separate packets
+    };
+    const SPLIT_SETTINGS_STORAGE_KEY = 'packetCompiler.splitSettings';
+
+    // Whether poems are shown and exported with every LINE_NUMBER_INTERVAL-th line numbered
+    const LINE_NUMBERS_STORAGE_KEY = 'packetCompiler.lineNumbers';
+    const LINE_NUMBER_INTERVAL = 5;
+
+    // Looks for the downloaded compilation. Fonts are CSS font lists, sizes are in points and colours
+    // are #rrggbb. The header and footer are printed at the top and bottom of each page (the header
+    // is left off the title page); {title}, {date}, {page} and {pages} in them are filled in.
+    // Users copy these into their own templates, which are kept in localStorage.
+    const BUILT_IN_EXPORT_TEMPLATES = [
+        {
+            id: 'standard',
+            name: 'Standard',
+            description: 'Clean sans-serif layout with a boxed table of contents.',
+            bodyFont: 'sans-serif',
+            headingFont: 'sans-serif',
+            fontUrl: '',
+            fontSize: 12,
+            lineHeight: 1.6,
+            textColor: '#333333',
+            headingColor: '#2c3e50',
+            accentColor: '#3b82f6',
+            backgroundColor: '#ffffff',
+            headerText: '{title}',
+            footerText: '{title} — Page {page} of {pages}',
+            customCss: ''
+        },
+        {
+            id: 'classic',
+            name: 'Classic anthology',
+            description: 'Serif type on warm paper, centred small-caps titles and a fleuron under each poem title.',
+            bodyFont: "Georgia, 'Times New Roman', serif",
+            headingFont: "'Palatino Linotype', Palatino, Georgia, serif",
+            fontUrl: '',
+            fontSize: 12,
+            lineHeight: 1.7,
+            textColor: '#222222',
+            headingColor: '#222222',
+            accentColor: '#8b5a2b',
+            backgroundColor: '#fffdf7',
+            headerText: '{title}',
+            footerText: '{page}',
+            customCss: [
+                'h1 { font-weight: normal; letter-spacing: 0.08em; border-bottom: none; }',
+                '.packet-section h2 { text-align: center; font-weight: normal; font-variant: small-caps; letter-spacing: 0.05em; }',
+                ".packet-section h2::after { content: '❦'; display: block; font-size: 0.6em; margin-top: 0.4em; color: var(--accent-color); }",
+                '.packet-section { border-bottom: none; }',
+                '.packet-metadata { text-align: center; }',
+                '.table-of-contents { background: transparent; border: none; border-top: 1px solid #ddd; border-bottom: 1px solid #ddd; border-radius: 0; }'
+            ].join('\n')
+        },
+        {
+            id: 'workshop',
+            name: 'Workshop handout',
+            description: 'Double-spaced poems with a wide right margin for notes and a draft notice in the footer.',
+            bodyFont: 'Arial, Helvetica, sans-serif',
+            headingFont: 'Arial, Helvetica, sans-serif',
+            fontUrl: '',
+            fontSize: 12,
+            lineHeight: 2,
+            textColor: '#000000',
+            headingColor: '#000000',
+            accentColor: '#1d4ed8',
+            backgroundColor: '#ffffff',
+            headerText: '{title} — workshop copy, {date}',
+            footerText: 'Draft for discussion, please do not circulate · Page {page} of {pages}',
+            customCss: [
+                '.packet-section { border-bottom: none; }',
+                '.packet-content { padding-right: 25%; } /* Room for notes */'
+            ].join('\n')
+        },
+        {
+            id: 'large-print',
+            name: 'Large print',
+            description: '18pt type in black on white with generous spacing and underlined links.',
+            bodyFont: 'Verdana, Arial, sans-serif',
+            headingFont: 'Verdana, Arial, sans-serif',
+            fontUrl: '',
+            fontSize: 18,
+            lineHeight: 1.8,
+            textColor: '#000000',
+            headingColor: '#000000',
+            accentColor: '#0000cc',
+            backgroundColor: '#ffffff',
+            headerText: '{title}',
+            footerText: 'Page {page} of {pages}',
+            customCss: [
+                '.packet-metadata, .packet-metadata .packet-date-written, .packet-metadata .packet-tags, .packet-metadata .packet-notes, .packet-metadata .packet-source, .packet-metadata .packet-word-count { color: inherit; font-size: 1em; }',
+                '.table-of-contents { background: transparent; border: 2px solid currentColor; }',
+                '.table-of-contents a { text-decoration: underline; }'
+            ].join('\n')
+        }
+    ];
+    const EXPORT_TEMPLATES_STORAGE_KEY = 'packetCompiler.exportTemplates';
+
+    // Pages the downloads put around the table of contents and packets: a cover (its title is the
+    // compilation title), introduction and afterword pages (left out while they are empty) and
+    // indexes of authors and first lines generated from the packets.
+    const DEFAULT_FRONT_MATTER = {
+        cover: { enabled: false, subtitle: '', editor: '', date: '' },
+        introduction: { heading: 'Introduction', html: '' },
+        afterword: { heading: 'Afterword', html: '' },
+        index: { authors: false, firstLines: false }
+    };
+
+    // What sanitizeHtml() keeps of HTML from outside the app. Other elements are unwrapped (their
+    // text is kept), except those in SANITIZE_DROPPED_TAGS, which are removed with their contents.
+    // URLs are checked by isSafeUrl(); inline styles keep only the layout that poems use.
+    const SANITIZE_ALLOWED_TAGS = new Set([
+        'p', 'br', 'div', 'span', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'b', 'em', 'i', 'u', 's',
+        'strike', 'del', 'ins', 'sub', 'sup', 'small', 'mark', 'a', 'img', 'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+        'blockquote', 'pre', 'code', 'hr', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'td', 'th', 'caption',
+        'figure', 'figcaption'
+    ]);
+    const SANITIZE_DROPPED_TAGS = new Set([
+        'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+        'link', 'meta', 'base', 'title', 'head', 'svg', 'math', 'form', 'input', 'button', 'select', 'textarea',
+        'option', 'video', 'audio', 'source', 'track', 'canvas', 'portal'
+    ]);
+    const SANITIZE_ALLOWED_ATTRIBUTES = {
+        '*': ['class', 'style', 'align', 'title', 'lang', 'dir'],
+        a: ['href'],
+        img: ['src', 'alt', 'width', 'height'],
+        ol: ['start'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan']
+    };
+    const SANITIZE_ALLOWED_STYLES = ['text-align', 'margin-left', 'padding-left', 'text-indent', 'font-weight', 'font-style', 'text-decoration'];
+
+    // Documents are converted and split in module workers running this script (see import-worker.js)
+    const IMPORT_WORKER_URL = 'import-worker.js';
+    const MAX_IMPORT_WORKERS = 4;
+    // How long a worker may go without reporting on a file (e.g. while its libraries fail to load)
+    // before it is stopped and the file is processed on the main thread
+    const IMPORT_JOB_TIMEOUT_MS = 60000;
+
+    // Imported packets at least this similar (0-1) to a loaded one are offered as possible duplicates
+    const NEAR_DUPLICATE_THRESHOLD = 0.85;
+    // Largest word-by-word comparison table built when diffing; longer texts are compared more coarsely
+    const MAX_DIFF_CELLS = 4000000;
+
+    // How long pdfmake may take to build a PDF before the download is given up as failed
+    const PDF_BUILD_TIMEOUT_MS = 120000;
+
+    // How many changes Undo can step back through; older steps are forgotten
+    const MAX_UNDO_STEPS = 100;
+
+    // Keys the packet list can be sorted by
+    const SORT_KEY_LABELS = {
+        title: 'Title',
+        author: 'Author',
+        filename: 'Source file',
+        wordCount: 'Word count',
+        dateAdded: 'Date added'
+    };
+
+    // Details that can be shown under each packet title in the downloads: the packet's own details
+    // and where it came from
+    const EXPORT_METADATA_FIELDS = {
+        ...PACKET_METADATA_FIELDS,
+        source: 'Source file',
+        wordCount: 'Word count'
+    };
+
+    // What the downloads do with a packet's first heading when it repeats the title they add above it
+    const HEADING_RULE_LABELS = {
+        similar: 'Remove it when it looks like the title',
+        exact: 'Remove it only when it matches the title exactly',
+        never: 'Always keep it'
+    };
+
+    // Choices made in the download options dialog; they are kept in localStorage. The file name
+    // belongs to the compilation, so it is kept with the workspace instead (see exportFileName).
+    const DEFAULT_EXPORT_OPTIONS = {
+        includeToc: true,
+        metadataFields: Object.keys(PACKET_METADATA_FIELDS),
+        headingRule: 'similar',
+        packetsOnNewPages: { html: false, docx: false, pdf: true } // Per format; the PDF is the one meant for printing
+    };
+    const EXPORT_OPTIONS_STORAGE_KEY = 'packetCompiler.exportOptions';
+
+    // Download formats, as named in the options dialog
+    const EXPORT_FORMAT_LABELS = {
+        html: 'HTML',
+        docx: 'Word (.docx)',
+        pdf: 'PDF'
+    };
+
+    // Ways a document can be split into packets, as offered in the import preview
+    const SPLIT_STRATEGY_LABELS = {
+        auto: 'Automatic',
+        headings: 'Headings',
+        separators: 'Separators',
+        paragraphs: 'Paragraph breaks',
+        whole: 'Whole document'
+    };
+
     class PacketCompiler {
         constructor() {
             this.packets = [];
+            this.sections = []; // Named parts of the compilation, in order; packets refer to them by sectionId
+            this.customOrder = null; // Packet IDs in the hand-made order from before the list was last sorted
+            this.sortedOrderSignature = null;
+            this.undoStack = []; // Workspace snapshots from before each change, newest last
+            this.redoStack = [];
+            this.selectedPacketIds = new Set(); // IDs (as strings) of the packets ticked in the list
+            this.selectionAnchorId = null; // The packet last ticked, where a shift-click range starts
+            this.exportPacketIds = null; // While exporting a selection, the IDs of the packets to include
+            this.searchQuery = '';
+            this.searchCaseSensitive = false;
+            this.searchHitIndex = -1; // The highlighted match in the packet modal
             this.selectedFiles = [];
             this.draggedIndex = null;
             this.isProcessing = false;
             this.notificationTimeout = null;
+            this.compilationTitle = 'Combined Packets';
+            this.exportFileName = ''; // Without an extension; empty to name the downloads after the title
+            this.frontMatter = this.normalizeFrontMatter(DEFAULT_FRONT_MATTER);
+            this.workspaceDbPromise = null;
+            this.autosaveTimeout = null;
+            this.savedWorkspaceChecked = false; // Until checkForSavedWorkspace() has looked for a previous session
+            this.restorePending = true; // Until then, and while the user has not answered its restore offer
+            this.savedWorkspaceRecord = null;
+            this.viewedPacketId = null;
+            this.closePacketModal = null;
+            this.isEditingPacket = false;
+            this.isSplitMode = false;
+            this.importPreviewResults = null;
+            this.importPreviewMatches = null;
+            this.splitSettings = this.loadSplitSettings();
+            this.showLineNumbers = this.loadLineNumberSetting();
+            this.exportTemplates = this.loadExportTemplates(); // { selectedId, custom: [user templates] }
+            this.exportOptions = this.loadExportOptions();
+            this.packetStructures = new WeakMap(); // packet → { inputs, structure }; see getPacketStructure()
+            this.importers = this.createDefaultImporters();
+            this.importWorkers = [];
+            this.activeImportJobs = new Map();
+            this.importCancelled = false;
+            this.fileProgress = [];
+            this.importReport = null;
             console.log('PacketCompiler initialized.');
             this.initializeEventListeners();
             this.updateDisplay();
+            this.checkForSavedWorkspace();
         }
 
         /**
@@ -30,6 +321,8 @@
                 return;
             }
 
+            wordFiles.accept = this.getSupportedExtensions().join(',');
+
             // File input change event
             wordFiles.addEventListener('change', (e) => {
                 console.log('File input change event triggered.');
@@ -46,10 +339,47 @@
                 }
             });
 
-            // Download button click event
+            const cancelProcessBtn = document.getElementById('cancelProcessBtn');
+            if (cancelProcessBtn) {
+                cancelProcessBtn.addEventListener('click', () => this.cancelProcessing());
+            }
+
+            // Import report panel
+            const exportImportReportBtn = document.getElementById('exportImportReportBtn');
+            const dismissImportReportBtn = document.getElementById('dismissImportReportBtn');
+            if (exportImportReportBtn && dismissImportReportBtn) {
+                exportImportReportBtn.addEventListener('click', () => this.exportImportReportCsv());
+                dismissImportReportBtn.addEventListener('click', () => this.dismissImportReport());
+            }
+
+            // Download button click event; each download first asks for its options
             downloadBtn.addEventListener('click', () => {
                 console.log('Download button clicked.');
-                this.downloadCombinedDocument();
+                this.downloadWithOptions('html');
+            });
+
+            // Word download button click event
+            const downloadDocxBtn = document.getElementById('downloadDocxBtn');
+            if (downloadDocxBtn) {
+                downloadDocxBtn.addEventListener('click', () => {
+                    console.log('Download Word button clicked.');
+                    this.downloadWithOptions('docx');
+                });
+            }
+
+            // PDF download button click event
+            const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+            if (downloadPdfBtn) {
+                downloadPdfBtn.addEventListener('click', () => {
+                    console.log('Download PDF button clicked.');
+                    this.downloadWithOptions('pdf');
+                });
+            }
+
+            // Line numbers, switched on or off from the packet modal or beside the downloads
+            document.querySelectorAll('.line-numbers-toggle').forEach(toggle => {
+                toggle.checked = this.showLineNumbers;
+                toggle.addEventListener('change', () => this.setLineNumbers(toggle.checked));
             });
 
             // Clear button click event
@@ -58,6 +388,233 @@
                 this.clearAllPackets();
             });
 
+            // Packet modal edit mode
+            const editPacketBtn = document.getElementById('editPacketBtn');
+            const packetEditArea = document.getElementById('packetEditArea');
+            if (editPacketBtn && packetEditArea) {
+                editPacketBtn.addEventListener('click', () => this.startPacketEdit());
+                document.getElementById('revertPacketBtn')?.addEventListener('click', () => this.revertPacketToOriginal());
+                document.getElementById('confirmPacketDetailsBtn')?.addEventListener('click', () => this.confirmPacketDetails());
+                packetEditArea.addEventListener('click', (e) => {
+                    const button = e.target.closest('button');
+                    if (!button) return;
+                    if (button.dataset.command) {
+                        this.applyEditorCommand(button.dataset.command);
+                    } else if (button.id === 'savePacketEditBtn') {
+                        this.savePacketEdit();
+                    } else if (button.id === 'cancelPacketEditBtn') {
+                        this.cancelPacketEdit();
+                    }
+                });
+                // Split mode: clicking a top-level block splits the packet before it
+                document.getElementById('splitPacketBtn')?.addEventListener('click', () => this.setSplitMode());
+                document.getElementById('packetModalContent')?.addEventListener('click', (e) => {
+                    if (!this.isSplitMode) return;
+                    const modalContent = e.currentTarget;
+                    const block = Array.from(modalContent.children).find(child => child.contains(e.target));
+                    if (block) {
+                        e.preventDefault();
+                        this.splitPacketAt(this.viewedPacketId, Array.from(modalContent.children).indexOf(block));
+                    }
+                });
+                // Version history: compare an earlier version with the current one, or restore it
+                document.getElementById('packetVersionsList')?.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-version-action]');
+                    if (!button) return;
+                    if (button.dataset.versionAction === 'compare') {
+                        this.comparePacketVersion(button.dataset.versionId);
+                    } else {
+                        this.restorePacketVersion(button.dataset.versionId);
+                    }
+                });
+                // Keep focus in the editor when clicking toolbar buttons
+                packetEditArea.addEventListener('mousedown', (e) => {
+                    if (e.target.closest('button[data-command]')) e.preventDefault();
+                });
+            }
+
+            // Sorting
+            const sortBtn = document.getElementById('sortBtn');
+            if (sortBtn) {
+                sortBtn.addEventListener('click', () => {
+                    const start = parseInt(document.getElementById('sortRangeStart')?.value, 10);
+                    const end = parseInt(document.getElementById('sortRangeEnd')?.value, 10);
+                    this.sortPackets(
+                        document.getElementById('sortKey')?.value || 'title',
+                        document.getElementById('sortDirection')?.value || 'asc',
+                        isNaN(start) ? 1 : start,
+                        isNaN(end) ? this.packets.length : end
+                    );
+                });
+                document.getElementById('restoreCustomOrderBtn')?.addEventListener('click', () => this.restoreCustomOrder());
+            }
+
+            // Search: narrows the list as you type; Enter opens the first match
+            const packetSearch = document.getElementById('packetSearch');
+            if (packetSearch) {
+                // Typing is coalesced, so the list is filtered once the user pauses
+                packetSearch.addEventListener('input', () => {
+                    clearTimeout(this.searchTimeout);
+                    this.searchTimeout = setTimeout(() => this.setSearchQuery(packetSearch.value), 200);
+                });
+                packetSearch.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        if (packetSearch.value !== this.searchQuery) this.setSearchQuery(packetSearch.value);
+                        this.openFirstSearchMatch();
+                    }
+                });
+                document.getElementById('packetSearchMatchCase')?.addEventListener('change', (e) => {
+                    this.searchCaseSensitive = e.target.checked;
+                    this.setSearchQuery(packetSearch.value);
+                });
+                document.getElementById('prevSearchHitBtn')?.addEventListener('click', () => this.goToSearchHit(-1));
+                document.getElementById('nextSearchHitBtn')?.addEventListener('click', () => this.goToSearchHit(1));
+            }
+
+            // Bulk actions on the packets ticked in the list
+            const bulkActions = document.getElementById('bulkActions');
+            if (bulkActions) {
+                document.getElementById('selectAllPacketsBtn')?.addEventListener('click', () => this.selectAllPackets());
+                document.getElementById('clearSelectionBtn')?.addEventListener('click', () => this.clearPacketSelection());
+                bulkActions.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-bulk-action]');
+                    if (!button) return;
+                    switch (button.dataset.bulkAction) {
+                        case 'top':
+                        case 'bottom':
+                            this.moveSelectedPackets(button.dataset.bulkAction);
+                            break;
+                        case 'section':
+                            this.moveSelectedPacketsToSection(document.getElementById('bulkSectionSelect')?.value || null);
+                            break;
+                        case 'merge':
+                            this.mergeSelectedPackets();
+                            break;
+                        case 'export':
+                            this.exportSelectedPackets(document.getElementById('bulkExportFormat')?.value || 'html');
+                            break;
+                        case 'remove':
+                            this.removeSelectedPackets();
+                            break;
+                    }
+                });
+            }
+
+            // Sections
+            const addSectionForm = document.getElementById('addSectionForm');
+            const newSectionName = document.getElementById('newSectionName');
+            if (addSectionForm && newSectionName) {
+                addSectionForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    if (this.addSection(newSectionName.value)) {
+                        newSectionName.value = '';
+                    }
+                });
+            }
+
+            // Undo / redo: toolbar buttons and Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y)
+            document.getElementById('undoBtn')?.addEventListener('click', () => this.undo());
+            document.getElementById('redoBtn')?.addEventListener('click', () => this.redo());
+            document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
+            // Save / open .poempack project files
+            const saveProjectBtn = document.getElementById('saveProjectBtn');
+            const openProjectBtn = document.getElementById('openProjectBtn');
+            const projectFileInput = document.getElementById('projectFileInput');
+            if (saveProjectBtn && openProjectBtn && projectFileInput) {
+                saveProjectBtn.addEventListener('click', () => this.saveProjectFile());
+                openProjectBtn.addEventListener('click', () => projectFileInput.click());
+                projectFileInput.addEventListener('change', () => {
+                    const file = projectFileInput.files[0];
+                    projectFileInput.value = ''; // Allow reopening the same file
+                    if (file) this.openProjectFile(file);
+                });
+            }
+
+            // Restore / discard the autosaved workspace from a previous session
+            const restoreSessionBtn = document.getElementById('restoreSessionBtn');
+            const discardSessionBtn = document.getElementById('discardSessionBtn');
+            if (restoreSessionBtn && discardSessionBtn) {
+                restoreSessionBtn.addEventListener('click', () => this.restoreSavedWorkspace());
+                discardSessionBtn.addEventListener('click', () => this.discardSavedWorkspace());
+            }
+
+            // Splitting settings panel
+            const splitSettingsPanel = document.getElementById('splitSettingsPanel');
+            if (splitSettingsPanel) {
+                this.renderSplitSettings();
+                splitSettingsPanel.addEventListener('change', (e) => {
+                    if (e.target.matches('input, textarea')) this.updateSplitSettingsFromPanel();
+                });
+                const resetSplitSettingsBtn = document.getElementById('resetSplitSettingsBtn');
+                if (resetSplitSettingsBtn) {
+                    resetSplitSettingsBtn.addEventListener('click', () => this.resetSplitSettings());
+                }
+            }
+
+            // Front and back matter panel: fields are saved when they change, the rich-text
+            // pages when they lose focus
+            const frontMatterPanel = document.getElementById('frontMatterPanel');
+            if (frontMatterPanel) {
+                this.renderFrontMatterPanel();
+                frontMatterPanel.addEventListener('toggle', () => {
+                    if (frontMatterPanel.open) this.renderContributorIndexStatus();
+                });
+                frontMatterPanel.addEventListener('change', (e) => {
+                    if (e.target.matches('[data-front-matter]')) this.updateFrontMatterFromPanel();
+                });
+                frontMatterPanel.addEventListener('focusout', (e) => {
+                    if (e.target.matches('[contenteditable][data-front-matter]')) this.updateFrontMatterFromPanel();
+                });
+                frontMatterPanel.addEventListener('click', (e) => {
+                    const button = e.target.closest('button[data-command]');
+                    if (button) {
+                        this.applyEditorCommand(button.dataset.command, button.closest('[data-editor-group]').querySelector('[contenteditable]'));
+                    }
+                });
+            }
+
+            // Download template panel: pick a template, or copy one and edit the copy
+            const exportTemplatePanel = document.getElementById('exportTemplatePanel');
+            if (exportTemplatePanel) {
+                this.renderExportTemplatePanel();
+                exportTemplatePanel.addEventListener('change', (e) => {
+                    if (e.target.id === 'exportTemplateSelect') {
+                        this.selectExportTemplate(e.target.value);
+                    } else if (e.target.matches('[data-template-field]')) {
+                        this.updateExportTemplateFromPanel();
+                    }
+                });
+                exportTemplatePanel.addEventListener('input', (e) => {
+                    if (e.target.matches('[data-template-field]')) this.renderExportTemplatePreview(this.readExportTemplateFields());
+                });
+                const copyExportTemplateBtn = document.getElementById('copyExportTemplateBtn');
+                if (copyExportTemplateBtn) {
+                    copyExportTemplateBtn.addEventListener('click', () => this.copyExportTemplate());
+                }
+                const deleteExportTemplateBtn = document.getElementById('deleteExportTemplateBtn');
+                if (deleteExportTemplateBtn) {
+                    deleteExportTemplateBtn.addEventListener('click', () => this.deleteExportTemplate());
+                }
+            }
+
+            // Paste-to-import: Ctrl+V anywhere outside text fields, or the paste button
+            document.addEventListener('paste', (e) => this.handlePaste(e));
+            const pasteBtn = document.getElementById('pasteBtn');
+            if (pasteBtn) {
+                pasteBtn.addEventListener('click', () => this.pasteFromClipboard());
+            }
+
+            // Flush a pending autosave when the tab is hidden or closed
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden' && this.autosaveTimeout) {
+                    clearTimeout(this.autosaveTimeout);
+                    this.autosaveTimeout = null;
+                    this.saveWorkspace();
+                }
+            });
+
             // --- Drag and drop functionality for the file label ---
             ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
                 fileLabel.addEventListener(eventName, (e) => this.preventDefaults(e), false);
@@ -79,19 +636,17 @@
 
             fileLabel.addEventListener('drop', (e) => {
                 console.log('File dropped.');
-                const files = Array.from(e.dataTransfer.files).filter(file =>
-                    file.name.toLowerCase().endsWith('.docx')
-                );
+                const files = Array.from(e.dataTransfer.files).filter(file => this.getImporterForFile(file));
                 if (files.length > 0) {
                     const dt = new DataTransfer();
                     files.forEach(file => dt.items.add(file));
                     wordFiles.files = dt.files;
                     const event = new Event('change', { bubbles: true });
                     wordFiles.dispatchEvent(event); // Trigger change event programmatically
-                    console.log('Dropped .docx files, dispatched change event.');
+                    console.log('Dropped supported files, dispatched change event.');
                 } else if (e.dataTransfer.files.length > 0) {
-                    this.showNotification('Please upload only .docx files', 'warning');
-                    console.warn('Dropped files but none were .docx.');
+                    this.showNotification(`Please upload only supported files (${this.getSupportedExtensions().join(', ')})`, 'warning');
+                    console.warn('Dropped files but none were in a supported format.');
                 }
             }, false);
             console.log('Event listeners initialized successfully.');
@@ -118,11 +673,11 @@
             const fileLabel = document.getElementById('fileLabel');
             const processBtn = document.getElementById('processBtn');
 
-            const validFiles = files.filter(file => file.name.toLowerCase().endsWith('.docx'));
-            const invalidFiles = files.filter(file => !file.name.toLowerCase().endsWith('.docx'));
+            const validFiles = files.filter(file => this.getImporterForFile(file));
+            const invalidFiles = files.filter(file => !this.getImporterForFile(file));
 
             if (invalidFiles.length > 0) {
-                this.showNotification(`${invalidFiles.length} invalid file(s) ignored. Only .docx files are supported.`, 'warning');
+                this.showNotification(`${invalidFiles.length} invalid file(s) ignored. Supported formats: ${this.getSupportedExtensions().join(', ')}.`, 'warning');
                 console.warn(`${invalidFiles.length} invalid file(s) ignored.`);
             }
 
@@ -146,8 +701,8 @@
                 this.selectedFiles = [];
                 fileLabel.innerHTML = `
                     <span>📄</span>
-                    <span>Click here or drag Word documents to upload</span>
-                    <small>Multiple files supported</small>
+                    <span>Click here or drag documents to upload</span>
+                    <small>Word (.docx, .doc), OpenDocument (.odt), RTF, Markdown, plain text and HTML · Multiple files supported</small>
                 `;
                 fileLabel.classList.remove('has-files');
                 processBtn.disabled = true;
@@ -157,12 +712,15 @@
         }
 
         /**
-         * Processes the selected Word documents to extract packets.
-         * Displays progress and notifications.
+         * Processes the selected documents to extract packets.
+         * Files are converted and split with the automatic strategy in import workers, several at a
+         * time, falling back to the main thread where workers are unavailable. The results are then
+         * shown in the import preview; nothing is added until the user confirms there.
+         * Displays overall and per-file progress and can be cancelled.
          */
         async processDocuments() {
             if (this.selectedFiles.length === 0) {
-                this.showNotification('Please select Word documents first!', 'warning');
+                this.showNotification('Please select documents first!', 'warning');
                 console.warn('ProcessDocuments called with no selected files.');
                 return;
             }
@@ -173,9 +731,11 @@
             }
 
             this.isProcessing = true;
+            this.importCancelled = false;
             const processBtn = document.getElementById('processBtn');
             const progressContainer = document.getElementById('progressContainer');
             const progressBar = document.getElementById('progressBar');
+            const importProgressPanel = document.getElementById('importProgressPanel');
 
             console.log('Starting processDocuments. Updating UI...');
             processBtn.disabled = true;
@@ -183,91 +743,30 @@
             progressContainer.style.display = 'block';
             progressBar.style.width = '0%';
             progressBar.setAttribute('aria-valuenow', '0');
+            this.fileProgress = this.selectedFiles.map(file => ({ name: file.name, stage: 'queued', detail: '' }));
+            this.renderFileProgress();
+            if (importProgressPanel) importProgressPanel.classList.remove('hidden');
 
             this.announceToScreenReader('process-status', 'Processing documents...');
 
             try {
-                let processedPacketCount = 0;
-                let skippedCount = 0;
-                const totalFiles = this.selectedFiles.length;
-                console.log(`Processing ${totalFiles} selected files.`);
-                const errors = [];
-
-                for (let i = 0; i < this.selectedFiles.length; i++) {
-                    const file = this.selectedFiles[i];
-                    console.log(`Processing file ${i + 1}/${totalFiles}: ${file.name}`);
-
-                    try {
-                        const packetsFromFile = await this.extractPacketsFromDocument(file);
-                        console.log(`Extracted ${packetsFromFile ? packetsFromFile.length : 0} potential packets from ${file.name}`);
-                        if (packetsFromFile && packetsFromFile.length > 0) {
-                            for (const packetData of packetsFromFile) {
-                                if (packetData && packetData.content && packetData.content.trim().length > 0) {
-                                    // Use a combination of title and content for duplication check
-                                    const isDuplicate = this.packets.some(existing =>
-                                        existing.title.toLowerCase() === packetData.title.toLowerCase() &&
-                                        existing.content.trim() === packetData.content.trim()
-                                    );
-
-                                    if (!isDuplicate) {
-                                        this.packets.push(packetData);
-                                        processedPacketCount++;
-                                        console.log(`Added new packet: "${packetData.title}" from "${file.name}"`);
-                                    } else {
-                                        skippedCount++;
-                                        console.warn(`Duplicate packet detected and skipped: "${packetData.title || 'Untitled'}" from "${file.name}"`);
-                                    }
-                                } else {
-                                    console.warn(`Packet data from ${file.name} was empty or invalid.`);
-                                }
-                            }
-                        } else {
-                            errors.push(`${file.name}: No valid packets found`);
-                            console.warn(`No valid packets found in ${file.name}.`);
-                        }
-                    } catch (error) {
-                        console.error(`Error processing ${file.name}:`, error);
-                        errors.push(`${file.name}: ${error.message}`);
-                    }
-
-                    const progress = ((i + 1) / totalFiles) * 100;
-                    progressBar.style.width = `${progress}%`;
-                    progressBar.setAttribute('aria-valuenow', Math.round(progress).toString());
-                    console.log(`Progress: ${Math.round(progress)}%`);
-
-                    // Use requestAnimationFrame to ensure UI updates are rendered
-                    await new Promise(resolve => requestAnimationFrame(resolve));
+                console.log(`Processing ${this.selectedFiles.length} selected files.`);
+                const results = await this.runImportJobs(this.selectedFiles);
+
+                if (this.importCancelled) {
+                    console.log('Processing was cancelled. Discarding results.');
+                    this.resetProcessingUI();
+                    this.showNotification('Processing cancelled. No packets were added.', 'info');
+                    this.announceToScreenReader('process-status', 'Processing cancelled.');
+                    return;
                 }
 
                 console.log('Finished processing all files. Resetting UI.');
                 this.resetProcessingUI();
-
-                if (processedPacketCount > 0) {
-                    this.updateDisplay();
-                    let message = `Successfully processed ${processedPacketCount} new packet${processedPacketCount > 1 ? 's' : ''}!`;
-                    if (skippedCount > 0) {
-                        message += ` (${skippedCount} duplicate${skippedCount > 1 ? 's' : ''} skipped)`;
-                    }
-                    this.showNotification(message, 'success');
-                    this.announceToScreenReader('process-status', `${processedPacketCount} packets processed successfully`);
-                    this.resetFileInput();
-                    console.log('Packet processing complete. Display updated.');
-                } else {
-                    let message = 'No new packets found in the uploaded documents!';
-                    if (skippedCount > 0) {
-                        message = `All uploaded packets were duplicates or had no new content.`;
-                    }
-                    this.showNotification(message, 'warning');
-                    this.announceToScreenReader('process-status', 'No new packets found');
-                    console.log('No new packets added after processing.');
-                }
-
-                if (errors.length > 0) {
-                    console.error('Summary of processing errors:', errors);
-                    this.showNotification(`${errors.length} file(s) had errors. Check console for details.`, 'error', 8000);
-                }
+                this.showImportPreview(results);
 
             } catch (error) {
+                this.terminateImportWorkers();
                 this.resetProcessingUI();
                 console.error('Unhandled critical error during document processing:', error);
                 this.showNotification('A critical error occurred: ' + error.message, 'error');
@@ -276,972 +775,7386 @@
         }
 
         /**
-         * Resets the UI elements related to document processing.
+         * Converts and splits the given files, up to MAX_IMPORT_WORKERS at a time in import workers.
+         * Files whose importer cannot run in a worker, or whose worker fails to start or stops
+         * replying, are processed on the main thread instead.
+         * @param {Array<File>} files - The files to process.
+         * @returns {Promise<Array<Object>>} Per-file results in the original file order; incomplete if cancelled.
          */
-        resetProcessingUI() {
-            console.log('Resetting processing UI.');
-            const processBtn = document.getElementById('processBtn');
-            const progressContainer = document.getElementById('progressContainer');
+        async runImportJobs(files) {
+            const results = new Array(files.length);
+            let nextIndex = 0;
+            const laneCount = this.canUseImportWorkers()
+                ? Math.max(1, Math.min(files.length, MAX_IMPORT_WORKERS, (navigator.hardwareConcurrency || 2) - 1))
+                : 1;
+            this.importWorkers = [];
+            this.activeImportJobs = new Map();
+            console.log(`Processing with ${this.canUseImportWorkers() ? `${laneCount} import worker(s)` : 'the main thread only'}.`);
+
+            const runLane = async () => {
+                let worker = null;
+                let workersUnavailable = !this.canUseImportWorkers();
+                while (!this.importCancelled && nextIndex < files.length) {
+                    const index = nextIndex++;
+                    const file = files[index];
+                    const importer = this.getImporterForFile(file);
+                    let result = null;
+
+                    if (importer && importer.worker && !workersUnavailable) {
+                        worker = worker || this.createImportWorker(); // Started on first use
+                        try {
+                            if (!worker) throw new Error('the worker could not be created');
+                            result = await this.processFileInWorker(worker, file, index);
+                        } catch (error) {
+                            console.warn(`Import worker unavailable (${error.message}); continuing on the main thread.`);
+                            if (worker) this.terminateImportWorker(worker);
+                            worker = null;
+                            workersUnavailable = true;
+                        }
+                    }
+                    if (!result && !this.importCancelled) {
+                        result = await this.processFileOnMainThread(file, index);
+                    }
+                    if (this.importCancelled) break;
 
-            progressContainer.style.display = 'none';
-            processBtn.textContent = 'Process Documents';
-            processBtn.disabled = this.selectedFiles.length === 0;
-            this.isProcessing = false;
+                    results[index] = result;
+                    this.setFileProgress(index, result.error ? 'error' : 'done', result.error || `${result.packets.length} packet${result.packets.length === 1 ? '' : 's'}`);
+                }
+                if (worker) this.terminateImportWorker(worker);
+            };
+
+            await Promise.all(Array.from({ length: laneCount }, runLane));
+            this.activeImportJobs.clear();
+            return results;
         }
 
         /**
-         * Clears the selected files from the input and resets the file label.
+         * Checks whether documents can be processed in import workers. Module workers need the page
+         * to be served over http(s); opened from a file, the main thread is used instead.
+         * @returns {boolean} True if import workers can be created.
          */
-        resetFileInput() {
-            console.log('Resetting file input.');
-            const wordFiles = document.getElementById('wordFiles');
-            if (wordFiles) {
-                wordFiles.value = '';
-                this.handleFileSelect({ target: { files: [] } });
-            }
+        canUseImportWorkers() {
+            return typeof Worker !== 'undefined' && window.location.protocol !== 'file:';
         }
 
         /**
-         * Clears all loaded packets and updates the display.
+         * Starts an import worker and keeps track of it so a cancel can stop it.
+         * @returns {Worker|null} The worker, or null if it could not be created.
          */
-        clearAllPackets() {
-            console.log('Clearing all packets.');
-            this.packets = [];
-            this.updateDisplay();
-            this.resetFileInput();
-            this.showNotification('All packets cleared!', 'info');
-            this.announceToScreenReader('process-status', 'All packets cleared.');
+        createImportWorker() {
+            try {
+                const worker = new Worker(IMPORT_WORKER_URL, { type: 'module' });
+                this.importWorkers.push(worker);
+                return worker;
+            } catch (error) {
+                console.warn('Could not start an import worker:', error);
+                return null;
+            }
         }
 
         /**
-         * Extracts HTML content from a DOCX file using Mammoth.js
-         * and attempts to identify multiple packets within it.
-         * @param {File} file - The DOCX file to process.
-         * @returns {Promise<Array<Object>>} A promise resolving to an array of packet objects.
-         * @throws {Error} If Mammoth.js is not loaded or content extraction fails.
+         * Stops an import worker.
+         * @param {Worker} worker - The worker to stop.
          */
-        async extractPacketsFromDocument(file) {
-            console.log(`Attempting to extract packets from "${file.name}"...`);
-            if (!window.mammoth) {
-                console.error('Mammoth library (window.mammoth) is not loaded.');
-                throw new Error('Mammoth library not loaded. Please check the script tag.');
-            }
-
-            try {
-                const arrayBuffer = await file.arrayBuffer();
-                console.log(`File "${file.name}" converted to ArrayBuffer.`);
-                const result = await window.mammoth.convertToHtml({ arrayBuffer });
-
-                // --- START OF DEBUGGING LINE FOR IMAGE ISSUE ---
-                console.log(`Mammoth.js RAW HTML output for "${file.name}":`, result.value);
-                // --- END OF DEBUGGING LINE ---
+        terminateImportWorker(worker) {
+            if (!this.importWorkers.includes(worker)) return; // Already stopped by a cancel
+            worker.terminate();
+            this.importWorkers = this.importWorkers.filter(candidate => candidate !== worker);
+        }
 
-                if (!result.value) {
-                    console.warn(`Mammoth returned no HTML content for "${file.name}".`);
-                    throw new Error('No content extracted from document by Mammoth.');
-                }
+        /**
+         * Stops all running import workers.
+         */
+        terminateImportWorkers() {
+            (this.importWorkers || []).forEach(worker => worker.terminate());
+            this.importWorkers = [];
+        }
 
-                const html = result.value;
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = html;
-                const fullContent = tempDiv.textContent.trim();
-                console.log(`Full plain text content length for "${file.name}": ${fullContent.length}`);
+        /**
+         * Sends one file to an import worker and waits for its result.
+         * @param {Worker} worker - The import worker.
+         * @param {File} file - The file to process.
+         * @param {number} index - The file's position in the current run, used for progress.
+         * @returns {Promise<Object|null>} The file's result, or null if the run was cancelled.
+         * @throws {Error} If the worker fails to start, cannot load its libraries or reports nothing
+         *     for IMPORT_JOB_TIMEOUT_MS.
+         */
+        processFileInWorker(worker, file, index) {
+            return new Promise((resolve, reject) => {
+                const jobId = `${index}-${Date.now()}`;
+                let timeout = null;
+                const restartTimeout = () => {
+                    clearTimeout(timeout);
+                    timeout = setTimeout(() => {
+                        cleanUp();
+                        reject(new Error(`no reply for ${IMPORT_JOB_TIMEOUT_MS / 1000} seconds`));
+                    }, IMPORT_JOB_TIMEOUT_MS);
+                };
+                const cleanUp = () => {
+                    clearTimeout(timeout);
+                    worker.removeEventListener('message', handleMessage);
+                    worker.removeEventListener('error', handleError);
+                    this.activeImportJobs.delete(jobId);
+                };
+                const handleMessage = (event) => {
+                    const message = event.data;
+                    if (message.jobId !== jobId) return;
+                    if (message.type === 'progress') {
+                        restartTimeout();
+                        this.setFileProgress(index, message.stage);
+                    } else if (message.type === 'result') {
+                        cleanUp();
+                        resolve(message.result);
+                    } else if (message.type === 'unavailable') {
+                        cleanUp();
+                        reject(new Error(message.error));
+                    }
+                };
+                const handleError = (event) => {
+                    event.preventDefault();
+                    cleanUp();
+                    reject(new Error(event.message || 'the worker script could not be loaded'));
+                };
 
-                if (!fullContent || fullContent.length < 50) { // Increased minimum length for the whole document
-                    console.warn(`Document "${file.name}" appears empty or too short after extraction.`);
-                    throw new Error('Document appears to be empty or too short after extraction.');
-                }
+                worker.addEventListener('message', handleMessage);
+                worker.addEventListener('error', handleError);
+                this.activeImportJobs.set(jobId, () => { cleanUp(); resolve(null); }); // Used by cancelProcessing()
+                this.setFileProgress(index, 'converting');
+                restartTimeout();
+                worker.postMessage({ jobId, file, splitSettings: this.splitSettings });
+            });
+        }
 
-                // Attempt to identify multiple packets
-                const identifiedPackets = this.identifyMultiplePackets(tempDiv, file.name, html);
-                console.log(`identifyMultiplePackets returned ${identifiedPackets.length} packets for "${file.name}".`);
+        /**
+         * Converts and splits one file on the main thread.
+         * @param {File} file - The file to process.
+         * @param {number} index - The file's position in the current run, used for progress.
+         * @returns {Promise<Object>} The file's result.
+         */
+        async processFileOnMainThread(file, index) {
+            console.log(`Processing file ${index + 1}/${this.fileProgress.length} on the main thread: ${file.name}`);
+            try {
+                this.setFileProgress(index, 'converting');
+                await new Promise(resolve => requestAnimationFrame(resolve)); // Let the progress render
+                const { html, messages, properties } = await this.convertDocumentToHtml(file);
+                if (this.importCancelled) return null;
+
+                this.setFileProgress(index, 'splitting');
+                await new Promise(resolve => requestAnimationFrame(resolve));
+                const split = this.splitDocument(html, file.name, 'auto', properties);
+                console.log(`Extracted ${split.packets.length} potential packets from ${file.name} (${split.strategy}).`);
+                return { filename: file.name, html, messages, properties, selectedStrategy: 'auto', ...split };
+            } catch (error) {
+                console.error(`Error processing ${file.name}:`, error);
+                return { filename: file.name, error: error.message, packets: [] };
+            }
+        }
 
-                // Crucial Fallback: If multiple packet detection yields 0 or 1 *meaningful* packet,
-                // treat the whole document as one. This handles unusually formatted single packets.
-                // A "meaningful" packet for this check means substantial content.
-                if (identifiedPackets.length <= 1 || (identifiedPackets.length > 1 && identifiedPackets.every(p => p.content.length < 100))) {
-                    const singlePacket = this.createSinglePacketFromDocument(tempDiv, file.name, html, fullContent);
-                    console.log(`Multi-packet detection found ${identifiedPackets.length} potential segments. Treating "${file.name}" as a single packet: "${singlePacket.title}".`);
-                    return [singlePacket];
-                }
+        /**
+         * Cancels the current processing run: stops the import workers and discards all results.
+         */
+        cancelProcessing() {
+            if (!this.isProcessing || this.importCancelled) return;
+            console.log('Cancelling document processing.');
+            this.importCancelled = true;
+            this.terminateImportWorkers();
+            Array.from(this.activeImportJobs.values()).forEach(cancelJob => cancelJob());
+            this.fileProgress.forEach((entry, index) => {
+                if (entry.stage !== 'done' && entry.stage !== 'error') this.setFileProgress(index, 'cancelled');
+            });
+            const cancelBtn = document.getElementById('cancelProcessBtn');
+            if (cancelBtn) cancelBtn.disabled = true;
+        }
 
-                return identifiedPackets;
+        /**
+         * Updates one file's progress and the overall progress bar.
+         * @param {number} index - The file's position in the current run.
+         * @param {string} stage - 'queued', 'converting', 'splitting', 'done', 'error' or 'cancelled'.
+         * @param {string} [detail=''] - Extra text, such as the packet count or error message.
+         */
+        setFileProgress(index, stage, detail = '') {
+            const entry = this.fileProgress && this.fileProgress[index];
+            if (!entry) return;
+            entry.stage = stage;
+            entry.detail = detail;
+            this.renderFileProgress();
 
-            } catch (error) {
-                console.error(`Failed to extract content from "${file.name}":`, error);
-                throw new Error(`Failed to extract content from "${file.name}": ${error.message}`);
+            const progressBar = document.getElementById('progressBar');
+            const stageWeights = { queued: 0, converting: 0.2, splitting: 0.7, done: 1, error: 1, cancelled: 1 };
+            const total = this.fileProgress.reduce((sum, item) => sum + stageWeights[item.stage], 0);
+            const progress = (total / this.fileProgress.length) * 100;
+            if (progressBar) {
+                progressBar.style.width = `${progress}%`;
+                progressBar.setAttribute('aria-valuenow', Math.round(progress).toString());
             }
         }
 
         /**
-         * Attempts to identify and separate multiple packets within an HTML document structure.
-         * Uses different strategies (headings, paragraph breaks, explicit separators).
-         * @param {HTMLElement} tempDiv - A temporary div containing the document's HTML.
-         * @param {string} filename - The original filename.
-         * @param {string} fullHtml - The full HTML content from Mammoth.js.
-         * @returns {Array<Object>} An array of identified packet objects.
+         * Renders the per-file progress list shown while documents are processed.
          */
-        identifyMultiplePackets(tempDiv, filename, fullHtml) {
-            console.log(`Starting identifyMultiplePackets for "${filename}".`);
-            let packets = [];
-            const MIN_CONTENT_LENGTH_FOR_SPLIT = 100; // A segment must have at least this many chars to be a distinct packet
+        renderFileProgress() {
+            const list = document.getElementById('fileProgressList');
+            if (!list) return;
+
+            const stageLabels = { queued: 'Waiting', converting: 'Converting…', splitting: 'Splitting…', done: 'Done', error: 'Failed', cancelled: 'Cancelled' };
+            const stageWidths = { queued: 0, converting: 20, splitting: 70, done: 100, error: 100, cancelled: 100 };
+            const stageColors = { done: 'bg-green-500', error: 'bg-red-500', cancelled: 'bg-gray-400' };
+            list.innerHTML = this.fileProgress.map(entry => `
+                <li class="flex items-center gap-3">
+                    <span class="truncate flex-1" title="${this.escapeAttribute(entry.name)}">${this.escapeHtml(entry.name)}</span>
+                    <span class="w-24 bg-gray-200 rounded-full h-2 shrink-0" aria-hidden="true">
+                        <span class="block h-2 rounded-full ${stageColors[entry.stage] || 'bg-blue-500'}" style="width: ${stageWidths[entry.stage]}%"></span>
+                    </span>
+                    <span class="w-40 shrink-0 text-gray-600 truncate" title="${this.escapeAttribute(entry.detail)}">${stageLabels[entry.stage]}${entry.detail ? `: ${this.escapeHtml(entry.detail)}` : ''}</span>
+                </li>
+            `).join('');
+        }
 
-            // Strategy 1: Split by headings (H1, H2, H3)
-            const headings = tempDiv.querySelectorAll('h1, h2, h3');
-            if (headings.length > 1) {
-                const packetsByHeadings = this.extractPacketsByHeadings(tempDiv, filename, headings);
-                // Only consider this a successful multi-packet split if at least two packets are substantial
-                if (packetsByHeadings.filter(p => p.content.length >= MIN_CONTENT_LENGTH_FOR_SPLIT).length > 1) {
-                    console.log(`Strategy 1 (Headings) found ${packetsByHeadings.length} packets.`);
-                    return packetsByHeadings;
-                } else {
-                    console.log(`Strategy 1 (Headings) found segments, but not enough substantial ones to confirm multiple packets.`);
+        /**
+         * Adds the packets shown in the import preview to the packet list, skipping exact duplicates
+         * and asking what to do with near-duplicates, and reports the outcome.
+         * @param {Array<Object>} results - The per-file results from the preview.
+         * @returns {Promise<void>}
+         */
+        async commitImportPreview(results) {
+            let processedPacketCount = 0;
+            let skippedCount = 0;
+            let replacedCount = 0;
+            let versionCount = 0;
+            const errors = [];
+            const report = { createdAt: new Date().toISOString(), files: [] };
+            let remainingCandidates = results.reduce((sum, result) => sum + (result.error ? 0 : result.packets.length), 0);
+            let nearDuplicateChoice = null; // Set when the user applies one answer to the rest of the import
+            const historySnapshot = this.createHistorySnapshot();
+
+            for (const result of results) {
+                const fileReport = {
+                    filename: result.filename,
+                    added: [],
+                    duplicates: [],
+                    versions: [],
+                    replaced: [],
+                    dropped: result.dropped || [],
+                    warnings: result.messages || [],
+                    error: result.error || ''
+                };
+                report.files.push(fileReport);
+
+                if (result.error) {
+                    errors.push(`${result.filename}: ${result.error}`);
+                    continue;
+                }
+                if (result.packets.length === 0) {
+                    errors.push(`${result.filename}: No valid packets found`);
+                    fileReport.error = 'No valid packets found with the chosen split method.';
+                    console.warn(`No valid packets found in ${result.filename}.`);
+                    continue;
                 }
-            }
 
-            // Strategy 2: Split by explicit patterns like "***", "---", or multiple empty paragraphs
-            const separatorPatterns = [
-                /\n\s*\*{3,}\s*\n/g, // ***
-                /\n\s*-{3,}\s*\n/g, // ---
-                /\n\s*_{3,}\s*\n/g, // ___
-                /\n\s*={3,}\s*\n/g, // ===
-                /\n\s*~{3,}\s*\n/g, // ~~~
-                /(<p>\s*&nbsp;\s*<\/p>){2,}/g, // Two or more empty paragraphs with &nbsp;
-                /(<p>\s*<\/p>){2,}/g // Two or more empty paragraphs
-            ];
+                for (const packetData of result.packets) {
+                    remainingCandidates--;
+                    if (packetData && packetData.content && packetData.content.trim().length > 0) {
+                        const duplicate = this.findDuplicatePacket(packetData);
+                        if (duplicate) {
+                            skippedCount++;
+                            fileReport.duplicates.push({ title: packetData.title || 'Untitled', matchTitle: duplicate.title, matchFilename: duplicate.filename });
+                            console.warn(`Duplicate packet detected and skipped: "${packetData.title || 'Untitled'}" from "${result.filename}"`);
+                            continue;
+                        }
 
-            for (const pattern of separatorPatterns) {
-                // Ensure the pattern actually exists and splits the content into more than one part
-                if (fullHtml.match(pattern)) {
-                    const partsHtml = fullHtml.split(pattern);
-                    // Filter out very short or empty parts that might just be separator artifacts
-                    const meaningfulParts = partsHtml.filter(part => {
-                        const tempPartDiv = document.createElement('div');
-                        tempPartDiv.innerHTML = part;
-                        return tempPartDiv.textContent.trim().length >= MIN_CONTENT_LENGTH_FOR_SPLIT;
-                    });
+                        // A revised draft of a loaded packet (same file and title) becomes its new current version
+                        const revised = this.findPacketForNewVersion(packetData);
+                        if (revised) {
+                            const matchTitle = revised.title;
+                            if (this.getPacketVersions(revised).some(version => version.content.trim() === packetData.content.trim())) {
+                                skippedCount++;
+                                fileReport.duplicates.push({ title: packetData.title, matchTitle, matchFilename: revised.filename });
+                                console.warn(`"${packetData.title}" from "${result.filename}" matches an earlier version and was skipped.`);
+                            } else {
+                                this.addPacketVersion(revised, packetData);
+                                versionCount++;
+                                fileReport.versions.push({ title: packetData.title, matchTitle, versionCount: revised.versions.length + 1 });
+                            }
+                            continue;
+                        }
 
-                    if (meaningfulParts.length > 1) {
-                        const packetsBySeparator = this.extractPacketsBySeparator(meaningfulParts, filename);
-                        if (packetsBySeparator.length > 1) {
-                            console.log(`Strategy 2 (Separators: ${pattern}) found ${packetsBySeparator.length} packets.`);
-                            return packetsBySeparator; // Return early if a clear separator is found
+                        const similar = this.findSimilarPacket(packetData);
+                        let resolution = 'keep-both';
+                        if (similar) {
+                            resolution = nearDuplicateChoice;
+                            if (!resolution) {
+                                const answer = await this.resolveNearDuplicate(similar.packet, packetData, similar.similarity, remainingCandidates);
+                                resolution = answer.resolution;
+                                if (answer.applyToAll) nearDuplicateChoice = answer.resolution;
+                            }
+                            console.log(`Near-duplicate of "${similar.packet.title}" (${Math.round(similar.similarity * 100)}%): ${resolution}`);
+                        }
+
+                        const match = similar && { matchTitle: similar.packet.title, matchFilename: similar.packet.filename, similarity: similar.similarity };
+                        if (resolution === 'keep-old') {
+                            skippedCount++;
+                            fileReport.duplicates.push({ title: packetData.title || 'Untitled', ...match });
+                        } else if (resolution === 'replace') {
+                            // The new draft takes the old one's place in the list; the old one stays in its version history
+                            this.addPacketVersion(similar.packet, packetData);
+                            replacedCount++;
+                            fileReport.replaced.push({ title: packetData.title, ...match });
+                            console.log(`Replaced packet "${similar.packet.title}" with "${packetData.title}" from "${result.filename}"`);
+                        } else {
+                            this.packets.push(packetData);
+                            processedPacketCount++;
+                            fileReport.added.push({ title: packetData.title, wordCount: packetData.wordCount });
+                            console.log(`Added new packet: "${packetData.title}" from "${result.filename}"`);
                         }
+                    } else {
+                        console.warn(`Packet data from ${result.filename} was empty or invalid.`);
                     }
                 }
             }
 
-            // Strategy 3: Split by significant paragraph breaks (very conservative)
-            // This is the most ambiguous strategy, so it should be the last resort and very strict.
-            const paragraphs = Array.from(tempDiv.querySelectorAll('p'));
-            if (paragraphs.length > 3) { // Need a good number of paragraphs to consider this
-                const packetsByParagraphs = this.extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs);
-                 if (packetsByParagraphs.filter(p => p.content.length >= MIN_CONTENT_LENGTH_FOR_SPLIT).length > 1) {
-                    console.log(`Strategy 3 (Paragraph Separation) found ${packetsByParagraphs.length} packets.`);
-                    return packetsByParagraphs;
-                } else {
-                    console.log(`Strategy 3 (Paragraph Separation) found segments, but not enough substantial ones to confirm multiple packets.`);
+            if (processedPacketCount > 0 || replacedCount > 0 || versionCount > 0) {
+                this.recordHistory(`Import of ${results.length} document${results.length > 1 ? 's' : ''}`, historySnapshot);
+                this.updateDisplay();
+                let message = processedPacketCount > 0
+                    ? `Successfully processed ${processedPacketCount} new packet${processedPacketCount > 1 ? 's' : ''}!`
+                    : 'Loaded packets updated!';
+                const notes = [];
+                if (versionCount > 0) {
+                    notes.push(`${versionCount} new version${versionCount > 1 ? 's' : ''} of loaded packets`);
+                }
+                if (replacedCount > 0) {
+                    notes.push(`${replacedCount} replaced`);
+                }
+                if (skippedCount > 0) {
+                    notes.push(`${skippedCount} duplicate${skippedCount > 1 ? 's' : ''} skipped`);
+                }
+                if (notes.length > 0) {
+                    message += ` (${notes.join(', ')})`;
                 }
+                this.showUndoableNotification(message, 'success');
+                this.announceToScreenReader('process-status', `${processedPacketCount} packets processed successfully`);
+                this.resetFileInput();
+                console.log('Packet processing complete. Display updated.');
+            } else {
+                let message = 'No new packets found in the uploaded documents!';
+                if (skippedCount > 0) {
+                    message = `All uploaded packets were duplicates or had no new content.`;
+                }
+                this.showNotification(message, 'warning');
+                this.announceToScreenReader('process-status', 'No new packets found');
+                console.log('No new packets added after processing.');
             }
 
-            console.log(`No strong multi-packet separation detected for "${filename}".`);
-            return []; // Return empty, which will trigger the single-packet fallback
+            this.importReport = report;
+            this.renderImportReport();
+
+            if (errors.length > 0) {
+                console.error('Summary of processing errors:', errors);
+                this.showNotification(`${errors.length} file(s) had errors. See the import report for details.`, 'error', 8000);
+            }
         }
 
         /**
-         * Extracts packets by identifying text blocks separated by heading tags (h1, h2, h3).
-         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
-         * @param {string} filename - The name of the original file.
-         * @param {NodeList<HTMLElement>} headings - A NodeList of h1, h2, h3 elements.
-         * @returns {Array<Object>} An array of packet objects.
+         * Shows the report of the last import run: for each file, the packets added, duplicates
+         * skipped and the packets they matched, sections dropped for being under the minimum
+         * length, importer warnings and errors. The report stays until the next run or until dismissed.
          */
-        extractPacketsByHeadings(tempDiv, filename, headings) {
-            const packets = [];
-            const allElements = Array.from(tempDiv.children);
-            console.log(`  Extracting by headings for "${filename}". Found ${headings.length} headings.`);
-            const MIN_POEM_LENGTH_HEADING = 50; // Minimum characters for a packet section identified by heading
-
-            for (let i = 0; i < headings.length; i++) {
-                const currentHeading = headings[i];
-                const nextHeading = headings[i + 1];
+        renderImportReport() {
+            const panel = document.getElementById('importReportPanel');
+            const summary = document.getElementById('importReportSummary');
+            const list = document.getElementById('importReportList');
+            if (!panel || !summary || !list) return;
+
+            const report = this.importReport;
+            if (!report) {
+                panel.classList.add('hidden');
+                return;
+            }
 
-                const title = currentHeading.textContent.trim();
-                // Ensure heading is meaningful
-                if (title.length === 0 || title.length > 200 || title.split(/\s+/).length > 20) { // Max 20 words for a title
-                    console.log(`    Skipping heading with invalid title: "${title}"`);
-                    continue;
-                }
+            const count = (key) => report.files.reduce((sum, file) => sum + file[key].length, 0);
+            const failed = report.files.filter(file => file.error).length;
+            const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+            summary.textContent = `${new Date(report.createdAt).toLocaleString()}: ${plural(report.files.length, 'file')}, ` +
+                `${plural(count('added'), 'packet')} added, ${plural(count('versions'), 'new version')}, ${count('replaced')} replaced, ` +
+                `${plural(count('duplicates'), 'duplicate')} skipped, ` +
+                `${count('dropped')} dropped, ${plural(count('warnings'), 'warning')}, ${plural(failed, 'error')}.`;
+
+            const section = (heading, items) => items.length === 0 ? '' : `
+                <h4 class="font-semibold text-gray-700 mt-2">${heading}</h4>
+                <ul class="list-disc list-inside text-gray-600">${items.join('')}</ul>`;
+
+            list.innerHTML = report.files.map(file => {
+                const hasProblems = !!file.error || file.duplicates.length > 0 || file.replaced.length > 0 || file.dropped.length > 0 || file.warnings.length > 0;
+                const similarity = (match) => match.similarity ? ` (${Math.round(match.similarity * 100)}% similar)` : '';
+                const counts = file.error
+                    ? '<span class="text-red-700 font-semibold">Failed</span>'
+                    : [
+                        `${file.added.length} added`,
+                        file.versions.length ? `${file.versions.length} new version${file.versions.length === 1 ? '' : 's'}` : '',
+                        file.replaced.length ? `${file.replaced.length} replaced` : '',
+                        file.duplicates.length ? `${file.duplicates.length} duplicate${file.duplicates.length === 1 ? '' : 's'}` : '',
+                        file.dropped.length ? `${file.dropped.length} dropped` : '',
+                        file.warnings.length ? `${file.warnings.length} warning${file.warnings.length === 1 ? '' : 's'}` : ''
+                    ].filter(Boolean).join(', ');
+                return `
+                    <details class="bg-white rounded-lg border border-gray-200 px-3 py-2 text-sm" ${hasProblems ? 'open' : ''}>
+                        <summary class="cursor-pointer">
+                            <span class="font-medium text-gray-800">${file.error ? '❌' : hasProblems ? '⚠️' : '✅'} ${this.escapeHtml(file.filename)}</span>
+                            <span class="text-gray-500 ml-2">${counts}</span>
+                        </summary>
+                        ${file.error ? `<p class="mt-2 text-red-700 whitespace-pre-wrap">${this.escapeHtml(file.error)}</p>` : ''}
+                        ${section('Added', file.added.map(packet => `<li>${this.escapeHtml(packet.title)} <span class="text-gray-400">(${packet.wordCount} words)</span></li>`))}
+                        ${section('New versions of loaded packets', file.versions.map(version => `<li>${this.escapeHtml(version.title)} — now version ${version.versionCount} of “${this.escapeHtml(version.matchTitle)}”</li>`))}
+                        ${section('Replaced older drafts', file.replaced.map(replaced => `<li>${this.escapeHtml(replaced.title)} — replaced “${this.escapeHtml(replaced.matchTitle)}” from ${this.escapeHtml(replaced.matchFilename)}${similarity(replaced)}</li>`))}
+                        ${section('Duplicates skipped', file.duplicates.map(duplicate => `<li>${this.escapeHtml(duplicate.title)} — matches “${this.escapeHtml(duplicate.matchTitle)}” from ${this.escapeHtml(duplicate.matchFilename)}${similarity(duplicate)}</li>`))}
+                        ${section('Dropped for being under the minimum length', file.dropped.map(dropped => `<li>${this.escapeHtml(dropped.title)} — ${dropped.length} characters (minimum ${dropped.minimum})</li>`))}
+                        ${section('Warnings', file.warnings.map(warning => `<li>${this.escapeHtml(warning.message)}</li>`))}
+                    </details>
+                `;
+            }).join('');
 
-                const startIndex = allElements.indexOf(currentHeading);
-                const endIndex = nextHeading ? allElements.indexOf(nextHeading) : allElements.length;
+            panel.classList.remove('hidden');
+        }
 
-                // Collect all elements between current heading and the next (or end of document)
-                const packetElements = allElements.slice(startIndex + 1, endIndex);
+        /**
+         * Hides the import report.
+         */
+        dismissImportReport() {
+            this.importReport = null;
+            this.renderImportReport();
+        }
 
-                // Filter out any empty text nodes or very short paragraphs that might be artifacts
-                const meaningfulElements = packetElements.filter(el => {
-                    // Check if element has actual content or is a line break (<br>) or non-empty paragraph
-                    // Consider content beyond just whitespace or &nbsp;
-                    return el.textContent.trim().length > 0 || (el.tagName === 'P' && el.innerHTML.trim() !== '&nbsp;' && el.innerHTML.trim() !== '');
-                });
+        /**
+         * Downloads the last import report as a CSV file, one row per packet, duplicate,
+         * dropped section, warning or error.
+         */
+        exportImportReportCsv() {
+            if (!this.importReport) {
+                this.showNotification('There is no import report to export.', 'warning');
+                return;
+            }
 
-                if (meaningfulElements.length === 0) {
-                    console.log(`    Skipping heading "${title}" as no meaningful content found before next heading/end.`);
-                    continue;
-                }
+            const rows = [['File', 'Result', 'Packet', 'Details']];
+            this.importReport.files.forEach(file => {
+                if (file.error) rows.push([file.filename, 'Error', '', file.error]);
+                file.added.forEach(packet => rows.push([file.filename, 'Added', packet.title, `${packet.wordCount} words`]));
+                const similarity = (match) => match.similarity ? ` (${Math.round(match.similarity * 100)}% similar)` : '';
+                file.versions.forEach(version => rows.push([file.filename, 'New version', version.title,
+                    `Version ${version.versionCount} of "${version.matchTitle}"`]));
+                file.replaced.forEach(replaced => rows.push([file.filename, 'Replaced', replaced.title,
+                    `Replaced "${replaced.matchTitle}" from ${replaced.matchFilename}${similarity(replaced)}`]));
+                file.duplicates.forEach(duplicate => rows.push([file.filename, 'Duplicate skipped', duplicate.title,
+                    `Matches "${duplicate.matchTitle}" from ${duplicate.matchFilename}${similarity(duplicate)}`]));
+                file.dropped.forEach(dropped => rows.push([file.filename, 'Dropped (too short)', dropped.title,
+                    `${dropped.length} characters (minimum ${dropped.minimum})`]));
+                file.warnings.forEach(warning => rows.push([file.filename, 'Warning', '', warning.message]));
+            });
 
-                // Preserve the structure and formatting as much as possible for htmlContent
-                const packetHtml = meaningfulElements.map(el => el.outerHTML).join('\n');
-                const packetContent = meaningfulElements.map(el => {
-                    // Convert <br> to newline, otherwise use textContent.
-                    // This is for plain text content for word count and duplication check.
-                    return el.tagName === 'BR' ? '\n' : el.textContent;
-                }).join('\n').trim();
+            const escapeCell = (value) => /[",\r\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+            const csv = rows.map(row => row.map(escapeCell).join(',')).join('\r\n');
+            // The byte order mark makes Excel read the file as UTF-8
+            this.triggerDownload(new Blob(['﻿' + csv], { type: 'text/csv;charset=utf-8' }), 'Import_Report.csv');
+            this.showNotification('Import report downloaded as CSV.', 'success');
+        }
 
-                // Add the heading itself to the packet's htmlContent to retain its styling
-                const fullPacketHtml = currentHeading.outerHTML + '\n' + packetHtml;
+        /**
+         * Handles a paste anywhere on the page outside text fields and open dialogs,
+         * importing the clipboard's rich HTML or plain text as a new document.
+         * @param {ClipboardEvent} event - The paste event.
+         */
+        handlePaste(event) {
+            const target = event.target instanceof Element ? event.target : document.body;
+            if (target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])') ||
+                document.querySelector('.modal:not(.hidden)') || !event.clipboardData) {
+                return; // Normal paste into a field, or a dialog is open
+            }
 
-                if (packetContent.length >= MIN_POEM_LENGTH_HEADING) {
-                    packets.push(this.createPacketObject(title, packetContent, fullPacketHtml, filename));
+            const html = event.clipboardData.getData('text/html');
+            const text = event.clipboardData.getData('text/plain');
+            if (!html && !text.trim()) {
+                return; // Nothing textual on the clipboard, e.g. a copied file
+            }
+
+            event.preventDefault();
+            console.log('Paste detected; importing clipboard content.');
+            this.importPastedContent(html, text);
+        }
+
+        /**
+         * Reads the clipboard through the Clipboard API (for the "Paste from clipboard" button)
+         * and imports its contents. Falls back to asking for Ctrl+V when access is not allowed.
+         */
+        async pasteFromClipboard() {
+            const fallbackMessage = 'This browser did not allow reading the clipboard. Press Ctrl+V (⌘V on a Mac) on this page instead.';
+            if (!navigator.clipboard) {
+                this.showNotification(fallbackMessage, 'warning');
+                return;
+            }
+
+            try {
+                let html = '';
+                let text = '';
+                if (navigator.clipboard.read) {
+                    const items = await navigator.clipboard.read();
+                    for (const item of items) {
+                        if (!html && item.types.includes('text/html')) html = await (await item.getType('text/html')).text();
+                        if (!text && item.types.includes('text/plain')) text = await (await item.getType('text/plain')).text();
+                    }
                 } else {
-                    console.log(`    Skipping heading "${title}" due to insufficient content (${packetContent.length} chars).`);
+                    text = await navigator.clipboard.readText();
+                }
+
+                if (!html && !text.trim()) {
+                    this.showNotification('The clipboard has no text to import.', 'warning');
+                    return;
                 }
+                this.importPastedContent(html, text);
+            } catch (error) {
+                console.warn('Could not read the clipboard:', error);
+                this.showNotification(fallbackMessage, 'warning');
             }
-            console.log(`  Finished heading extraction. Found ${packets.length} packets.`);
-            return packets;
         }
 
         /**
-         * Extracts packets by identifying blocks of paragraphs separated by empty or very short paragraphs.
-         * This strategy is now very conservative.
-         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
-         * @param {string} filename - The name of the original file.
-         * @param {NodeList<HTMLElement>} paragraphs - A NodeList of paragraph elements.
-         * @returns {Array<Object>} An array of packet objects.
+         * Splits pasted content into packets and shows them in the import preview, using a
+         * synthetic source name such as "Clipboard 2026-10-19 14:03".
+         * @param {string} html - The clipboard's text/html data, if any.
+         * @param {string} text - The clipboard's text/plain data.
          */
-        extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs) {
-            const packets = [];
-            let currentPacketElements = [];
-            let currentTitle = '';
-            let packetIndex = 1;
-            console.log(`  Extracting by paragraph separation for "${filename}". Found ${paragraphs.length} paragraphs.`);
-            const MIN_POEM_LENGTH_PARA_SPLIT = 150; // Higher minimum for this ambiguous splitting method
+        importPastedContent(html, text) {
+            if (this.isProcessing || this.importPreviewResults) {
+                this.showNotification('Please finish the current import before pasting more content.', 'warning');
+                return;
+            }
 
-            for (let i = 0; i < paragraphs.length; i++) {
-                const p = paragraphs[i];
-                const text = p.textContent.trim();
-                const html = p.outerHTML;
+            const filename = this.getClipboardSourceName();
+            try {
+                const documentHtml = html ? this.cleanImportedHtml(html) : this.textToHtml(text);
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = documentHtml;
+                const fullContent = tempDiv.textContent.trim();
+                if (!fullContent || fullContent.length < this.splitSettings.minDocumentLength) {
+                    throw new Error('The pasted content is empty or too short to import.');
+                }
 
-                // A much stricter heuristic for a "significant break" that indicates a new packet.
-                // Require a truly empty paragraph or a paragraph with only non-breaking spaces,
-                // OR at least two consecutive empty-like paragraphs.
-                const isTrulyEmpty = text.length === 0 || p.innerHTML.trim() === '&nbsp;' || p.innerHTML.trim() === '<br>' || p.innerHTML.trim() === '<br />';
-                const isSignificantBreak = isTrulyEmpty && (
-                    (i + 1 < paragraphs.length && (paragraphs[i + 1].textContent.trim().length === 0 || paragraphs[i + 1].innerHTML.trim() === '&nbsp;')) ||
-                    (i + 2 < paragraphs.length && (paragraphs[i + 2].textContent.trim().length === 0 || paragraphs[i + 2].innerHTML.trim() === '&nbsp;'))
-                );
+                const split = this.splitDocument(documentHtml, filename, 'auto');
+                console.log(`Extracted ${split.packets.length} potential packets from the clipboard (${split.strategy}).`);
+                this.showImportPreview([{ filename, html: documentHtml, messages: [], selectedStrategy: 'auto', ...split }]);
+            } catch (error) {
+                console.error('Error importing pasted content:', error);
+                this.showNotification(error.message, 'error');
+            }
+        }
 
-                // Heuristic for what might be a title: short, possibly bold/centered, starts with a capital letter
-                // Be very conservative: must be short AND either bold, centered, or ALL CAPS
-                const mightBeTitle = text.length > 0 && text.length < 100 &&
-                    (p.querySelector('strong, b') || p.style.textAlign === 'center' || (text === text.toUpperCase() && text.length < 50 && text.split(/\s+/).length < 10)); // Max 10 words for an ALL CAPS title
+        /**
+         * Builds the source name used for pasted content, e.g. "Clipboard 2026-10-19 14:03".
+         * @param {Date} [date=new Date()] - The time of the paste.
+         * @returns {string} The source name.
+         */
+        getClipboardSourceName(date = new Date()) {
+            const pad = (value) => String(value).padStart(2, '0');
+            return `Clipboard ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        }
 
-                if (isSignificantBreak) {
-                    if (currentPacketElements.length > 0) {
-                        const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
-                        const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
-                        const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+        /**
+         * Opens the import preview, which lists each processed file with the split strategy
+         * used and the packets it would create. The strategy can be changed per file and the
+         * packet list updates immediately.
+         * @param {Array<Object>} results - Per-file results from processDocuments() or importPastedContent().
+         */
+        showImportPreview(results) {
+            const modal = document.getElementById('importPreviewModal');
+            const list = document.getElementById('importPreviewList');
+            const confirmBtn = document.getElementById('importPreviewConfirmBtn');
+            if (!modal || !list || !confirmBtn) {
+                console.error('Import preview elements not found. Adding packets without preview.');
+                this.addPreviewedPackets(results);
+                return;
+            }
 
-                        if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) { // Ensure substantial content
-                            packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
-                            packetIndex++;
-                            console.log(`    Packet #${packetIndex - 1} identified by significant paragraph break: "${title}"`);
-                        } else {
-                            console.log(`    Skipping short packet segment before break (length: ${packetContent.length}). Likely part of previous/next.`);
-                        }
-                        currentPacketElements = [];
-                        currentTitle = '';
-                    }
-                    // Skip the actual empty/break paragraphs from being added to any packet's content
-                } else if (mightBeTitle && currentPacketElements.length === 0) {
-                    // If it's a potential title and no current packet content, start a new one
-                    currentTitle = text;
-                    currentPacketElements.push(p);
-                    console.log(`    Potential title detected: "${text}"`);
+            this.importPreviewResults = results;
+            this.importPreviewMatches = new WeakMap(); // Candidate packet → its duplicate check; see getImportPreviewMatch()
+            this.renderImportPreview();
+            modal.classList.remove('hidden');
+            modal.setAttribute('aria-hidden', 'false');
+            confirmBtn.focus();
+            this.announceToScreenReader('process-status', 'Review the packets found in each document, then choose Add packets.');
+
+            const handleChange = (e) => {
+                const select = e.target.closest('select[data-file-index]');
+                if (!select) return;
+                const result = this.importPreviewResults[parseInt(select.dataset.fileIndex, 10)];
+                Object.assign(result, this.splitDocument(result.html, result.filename, select.value, result.properties), { selectedStrategy: select.value });
+                console.log(`Preview: "${result.filename}" switched to ${select.value} (${result.packets.length} packets).`);
+                this.renderImportPreview();
+                list.querySelector(`select[data-file-index="${select.dataset.fileIndex}"]`)?.focus();
+            };
+            const handleClick = (e) => {
+                const button = e.target.closest('button[data-preview-action]');
+                if (button) close(button.dataset.previewAction === 'confirm');
+            };
+            const handleEscape = (e) => {
+                if (e.key === 'Escape') close(false);
+            };
+            const close = (confirmed) => {
+                modal.classList.add('hidden');
+                modal.setAttribute('aria-hidden', 'true');
+                list.removeEventListener('change', handleChange);
+                modal.removeEventListener('click', handleClick);
+                document.removeEventListener('keydown', handleEscape);
+                const previewResults = this.importPreviewResults;
+                this.importPreviewResults = null;
+                this.importPreviewMatches = null;
+                if (confirmed) {
+                    this.addPreviewedPackets(previewResults);
                 } else {
-                    currentPacketElements.push(p);
+                    this.showNotification('Import cancelled. No packets were added.', 'info');
+                    this.announceToScreenReader('process-status', 'Import cancelled.');
+                    console.log('Import preview cancelled by user.');
                 }
+            };
+            list.addEventListener('change', handleChange);
+            modal.addEventListener('click', handleClick);
+            document.addEventListener('keydown', handleEscape);
+        }
+
+        /**
+         * Adds the packets from the import preview, reporting any failure instead of leaving it unhandled.
+         * @param {Array<Object>} results - The per-file results from the preview.
+         * @returns {Promise<void>}
+         */
+        async addPreviewedPackets(results) {
+            try {
+                await this.commitImportPreview(results);
+            } catch (error) {
+                console.error('Error adding the imported packets:', error);
+                this.updateDisplay(); // Show whatever was added before the error
+                this.showNotification(`Could not add all of the imported packets: ${error.message}`, 'error', 8000);
+                this.announceToScreenReader('process-status', 'Import failed.');
+            }
+        }
+
+        /**
+         * Returns how a packet in the import preview compares with the loaded packets. The check
+         * is made once per packet: switching another file's strategy redraws the preview but does
+         * not compare the unchanged packets again.
+         * @param {Object} packet - A packet from a preview result.
+         * @returns {{duplicate: Object|undefined, similar: {packet: Object, similarity: number}|null}} The
+         *     exact duplicate, or else the most similar loaded packet, as from findSimilarPacket().
+         */
+        getImportPreviewMatch(packet) {
+            let match = this.importPreviewMatches && this.importPreviewMatches.get(packet);
+            if (!match) {
+                const duplicate = this.findDuplicatePacket(packet);
+                match = { duplicate, similar: duplicate ? null : this.findSimilarPacket(packet) };
+                if (this.importPreviewMatches) this.importPreviewMatches.set(packet, match);
             }
+            return match;
+        }
 
-            // Add any remaining packet elements after the loop finishes
-            if (currentPacketElements.length > 0) {
-                const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
-                const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
-                const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+        /**
+         * Renders the contents of the import preview from this.importPreviewResults.
+         */
+        renderImportPreview() {
+            const list = document.getElementById('importPreviewList');
+            const confirmBtn = document.getElementById('importPreviewConfirmBtn');
+            const results = this.importPreviewResults || [];
+            const total = results.reduce((sum, result) => sum + result.packets.length, 0);
+
+            list.innerHTML = results.map((result, fileIndex) => {
+                if (result.error) {
+                    return `
+                    <li class="border border-red-200 bg-red-50 rounded-lg p-4">
+                        <h3 class="font-semibold text-gray-800 break-all">${this.escapeHtml(result.filename)}</h3>
+                        <p class="text-sm text-red-700 mt-1">${this.escapeHtml(result.error)}</p>
+                    </li>`;
+                }
 
-                if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) {
-                    packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
-                    console.log(`    Last packet identified: "${title}"`);
-                } else {
-                    console.log(`    Skipping last packet segment due to insufficient content (length: ${packetContent.length}). Likely part of previous/next.`);
+                const options = Object.entries(SPLIT_STRATEGY_LABELS).map(([value, label]) => {
+                    const text = value === 'auto' && result.selectedStrategy === 'auto' ? `Automatic (${SPLIT_STRATEGY_LABELS[result.strategy].toLowerCase()})` : label;
+                    return `<option value="${value}" ${value === result.selectedStrategy ? 'selected' : ''}>${this.escapeHtml(text)}</option>`;
+                }).join('');
+
+                const packetItems = result.packets.length === 0
+                    ? '<li class="text-sm text-yellow-700">This strategy finds no packets in this document.</li>'
+                    : result.packets.map(packet => {
+                        const snippet = packet.content.replace(/\s+/g, ' ').trim().slice(0, 90);
+                        const { duplicate: exactDuplicate, similar } = this.getImportPreviewMatch(packet);
+                        let duplicate = '';
+                        if (similar) {
+                            duplicate = `<span class="ml-2 text-xs font-semibold text-yellow-700">${Math.round(similar.similarity * 100)}% similar to “${this.escapeHtml(similar.packet.title)}”</span>`;
+                        } else if (exactDuplicate) {
+                            duplicate = '<span class="ml-2 text-xs font-semibold text-yellow-700">already loaded</span>';
+                        }
+                        return `
+                            <li class="text-sm">
+                                <span class="font-medium text-gray-800">${this.escapeHtml(packet.title)}</span>
+                                <span class="text-gray-500">${packet.author ? `by ${this.escapeHtml(packet.author)} ` : ''}- ${packet.wordCount} words</span>${duplicate}
+                                <span class="block text-gray-500 truncate">${this.escapeHtml(snippet)}</span>
+                            </li>`;
+                    }).join('');
+
+                return `
+                    <li class="border border-gray-200 rounded-lg p-4">
+                        <div class="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-2">
+                            <h3 class="font-semibold text-gray-800 break-all">${this.escapeHtml(result.filename)}</h3>
+                            <label class="text-sm text-gray-600 shrink-0">Split by
+                                <select data-file-index="${fileIndex}" class="ml-1 border border-gray-300 rounded-md px-2 py-1 text-sm">${options}</select>
+                            </label>
+                        </div>
+                        <p class="text-sm text-gray-600 mb-2">${result.packets.length} packet${result.packets.length !== 1 ? 's' : ''}</p>
+                        <ol class="list-decimal list-inside space-y-1">${packetItems}</ol>
+                    </li>`;
+            }).join('');
+
+            confirmBtn.textContent = `Add ${total} packet${total !== 1 ? 's' : ''}`;
+            confirmBtn.disabled = total === 0;
+        }
+
+        /**
+         * Finds the loaded packet that a candidate duplicates, if any.
+         * Uses a combination of title and content for the duplication check.
+         * @param {Object} packetData - The candidate packet.
+         * @returns {Object|undefined} The matching packet already in the list, or undefined.
+         */
+        findDuplicatePacket(packetData) {
+            return this.packets.find(existing =>
+                existing.title.toLowerCase() === packetData.title.toLowerCase() &&
+                existing.content.trim() === packetData.content.trim()
+            );
+        }
+
+        /**
+         * Finds the loaded packet whose text is most similar to a candidate, for catching revised
+         * drafts that the exact duplicate check misses. Exact duplicates are left to findDuplicatePacket().
+         * @param {Object} packetData - The candidate packet.
+         * @returns {{packet: Object, similarity: number}|null} The closest packet at or above
+         *     NEAR_DUPLICATE_THRESHOLD and how similar it is (0-1), or null if there is none.
+         */
+        findSimilarPacket(packetData) {
+            const candidateWords = this.getComparisonWords(packetData.content);
+            let best = null;
+
+            for (const existing of this.packets) {
+                const existingWords = this.getComparisonWords(existing.content);
+                // The shared-word score is an upper bound for the ordered score, so most packets are ruled out cheaply
+                if (this.wordOverlap(candidateWords, existingWords) < NEAR_DUPLICATE_THRESHOLD) continue;
+
+                const similarity = this.textSimilarity(candidateWords, existingWords);
+                if (similarity >= NEAR_DUPLICATE_THRESHOLD && (!best || similarity > best.similarity)) {
+                    best = { packet: existing, similarity };
                 }
             }
-            console.log(`  Finished paragraph separation. Found ${packets.length} packets.`);
-            return packets;
+            return best;
         }
 
         /**
-         * Extracts packets by identifying blocks of HTML content based on detected separator patterns.
-         * @param {Array<string>} htmlParts - Array of HTML strings separated by a pattern.
-         * @param {string} filename - The name of the original file.
-         * @returns {Array<Object>} An array of packet objects.
+         * Normalizes text for similarity checks: lowercase words with punctuation removed.
+         * @param {string} text - The text to normalize.
+         * @returns {Array<string>} The words.
          */
-        extractPacketsBySeparator(htmlParts, filename) {
-            const packets = [];
-            console.log(`  Extracting by custom separators for "${filename}". Found ${htmlParts.length} parts.`);
-            const MIN_POEM_LENGTH_SEPARATOR = 50; // Minimum characters for a packet section identified by separator
+        getComparisonWords(text) {
+            return (text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').split(/\s+/).filter(Boolean);
+        }
 
-            htmlParts.forEach((part, index) => {
-                const tempDiv = document.createElement('div');
-                tempDiv.innerHTML = part.trim();
-                const content = tempDiv.textContent.trim();
+        /**
+         * Scores how many words two texts share, ignoring order (Dice coefficient over word counts).
+         * @param {Array<string>} a - The first text's words.
+         * @param {Array<string>} b - The second text's words.
+         * @returns {number} A score from 0 (nothing shared) to 1 (same words).
+         */
+        wordOverlap(a, b) {
+            if (a.length === 0 && b.length === 0) return 1;
+            const counts = new Map();
+            a.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+            let shared = 0;
+            b.forEach(word => {
+                const count = counts.get(word);
+                if (count) {
+                    shared++;
+                    counts.set(word, count - 1);
+                }
+            });
+            return (2 * shared) / (a.length + b.length);
+        }
 
-                // If the part is just the separator itself or very short, skip it
-                if (content.length < MIN_POEM_LENGTH_SEPARATOR && !tempDiv.querySelector('p, h1, h2, h3, h4, h5, h6, pre')) {
-                    console.log(`    Skipping part ${index + 1} due to insufficient content after separator.`);
-                    return;
+        /**
+         * Scores how similar two texts are, taking word order into account: twice the length of
+         * their longest common word sequence divided by their combined length.
+         * @param {Array<string>} a - The first text's words.
+         * @param {Array<string>} b - The second text's words.
+         * @returns {number} A score from 0 (unrelated) to 1 (identical).
+         */
+        textSimilarity(a, b) {
+            if (a.length === 0 && b.length === 0) return 1;
+            if (a.length * b.length > MAX_DIFF_CELLS) return this.wordOverlap(a, b); // Too long to compare word by word
+
+            let previous = new Array(b.length + 1).fill(0);
+            for (let i = 1; i <= a.length; i++) {
+                const current = new Array(b.length + 1).fill(0);
+                for (let j = 1; j <= b.length; j++) {
+                    current[j] = a[i - 1] === b[j - 1] ? previous[j - 1] + 1 : Math.max(previous[j], current[j - 1]);
                 }
+                previous = current;
+            }
+            return (2 * previous[b.length]) / (a.length + b.length);
+        }
 
-                // Attempt to find a title within this part, prioritizing headings or bold/centered text
-                let title = '';
-                const headings = tempDiv.querySelectorAll('h1, h2, h3');
-                if (headings.length > 0) {
-                    title = headings[0].textContent.trim();
-                } else {
-                    const paragraphs = tempDiv.querySelectorAll('p');
-                    if (paragraphs.length > 0) {
-                        const firstParaText = paragraphs[0].textContent.trim();
-                        if (firstParaText.length > 0 && firstParaText.length < 150) {
-                            const isBold = paragraphs[0].querySelector('strong, b') !== null;
-                            const isCentered = paragraphs[0].style.textAlign === 'center';
-                            if (isBold || isCentered) {
-                                title = firstParaText;
-                            }
-                        }
+        /**
+         * Compares two texts word by word, keeping line breaks, for the side-by-side diff views.
+         * @param {string} oldText - The earlier text.
+         * @param {string} newText - The later text.
+         * @returns {Array<{type: string, tokens: Array<string>}>} Runs of 'same', 'removed' and 'added' tokens,
+         *     where a token is a word or '\n'.
+         */
+        diffWords(oldText, newText) {
+            const tokenize = (text) => (text || '').replace(/\r\n?/g, '\n').trim().match(/\n|[^\s]+/g) || [];
+            const a = tokenize(oldText);
+            const b = tokenize(newText);
+            const ops = [];
+            const push = (type, token) => {
+                const last = ops[ops.length - 1];
+                if (last && last.type === type) last.tokens.push(token);
+                else ops.push({ type, tokens: [token] });
+            };
+
+            // Unchanged beginnings and endings are common in revisions and keep the table below small
+            let start = 0;
+            while (start < a.length && start < b.length && a[start] === b[start]) start++;
+            let endA = a.length;
+            let endB = b.length;
+            while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+                endA--;
+                endB--;
+            }
+
+            a.slice(0, start).forEach(token => push('same', token));
+            const midA = a.slice(start, endA);
+            const midB = b.slice(start, endB);
+
+            if (midA.length * midB.length > MAX_DIFF_CELLS) {
+                midA.forEach(token => push('removed', token));
+                midB.forEach(token => push('added', token));
+            } else {
+                // Longest common subsequence table, walked forwards to emit the runs in order
+                const table = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+                for (let i = midA.length - 1; i >= 0; i--) {
+                    for (let j = midB.length - 1; j >= 0; j--) {
+                        table[i][j] = midA[i] === midB[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
                     }
                 }
-
-                if (!title) {
-                    // Fallback to first non-empty line as title if no clear title found
-                    const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-                    const firstLine = lines[0] || '';
-                    if (firstLine.length > 0 && firstLine.length < 100) {
-                        title = firstLine;
+                let i = 0;
+                let j = 0;
+                while (i < midA.length && j < midB.length) {
+                    if (midA[i] === midB[j]) {
+                        push('same', midA[i]);
+                        i++;
+                        j++;
+                    } else if (table[i + 1][j] >= table[i][j + 1]) {
+                        push('removed', midA[i++]);
                     } else {
-                        title = `Packet ${index + 1} from ${filename}`;
+                        push('added', midB[j++]);
                     }
                 }
+                while (i < midA.length) push('removed', midA[i++]);
+                while (j < midB.length) push('added', midB[j++]);
+            }
 
-                if (content.length >= MIN_POEM_LENGTH_SEPARATOR) {
-                    packets.push(this.createPacketObject(title, content, part.trim(), filename));
-                    console.log(`    Packet #${index + 1} identified by separator: "${title}"`);
+            a.slice(endA).forEach(token => push('same', token));
+            return ops;
+        }
+
+        /**
+         * Renders a word diff as two HTML columns: the old text with removals struck through and
+         * the new text with additions highlighted.
+         * @param {Array<{type: string, tokens: Array<string>}>} ops - The runs from diffWords().
+         * @returns {{oldHtml: string, newHtml: string}} The HTML for each side.
+         */
+        renderDiffHtml(ops) {
+            const tokensToHtml = (tokens) => tokens
+                .map(token => token === '\n' ? '<br>' : this.escapeHtml(token))
+                .join(' ')
+                .replace(/ ?<br> ?/g, '<br>');
+            const oldParts = [];
+            const newParts = [];
+
+            ops.forEach(op => {
+                const html = tokensToHtml(op.tokens);
+                if (op.type === 'same') {
+                    oldParts.push(html);
+                    newParts.push(html);
+                } else if (op.type === 'removed') {
+                    oldParts.push(`<del class="bg-red-100 text-red-800">${html}</del>`);
                 } else {
-                    console.log(`    Skipping segment after separator due to insufficient content (length: ${content.length}).`);
+                    newParts.push(`<ins class="bg-green-100 text-green-800 no-underline">${html}</ins>`);
                 }
             });
-            console.log(`  Finished separator extraction. Found ${packets.length} packets.`);
-            return packets;
-        }
 
+            const join = (parts) => parts.join(' ').replace(/ ?<br> ?/g, '<br>').replace(/(<br>\s*){3,}/g, '<br><br>');
+            return { oldHtml: join(oldParts), newHtml: join(newParts) };
+        }
 
         /**
-         * Creates a single packet object from an entire document when multiple packets are not detected.
-         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
-         * @param {string} filename - The original filename.
-         * @param {string} html - The full HTML content from Mammoth.js.
-         * @param {string} content - The full plain text content of the document.
-         * @returns {Object} A single packet object.
+         * Asks the user what to do with an imported packet that is very similar to one already loaded,
+         * showing both texts side by side with the differences marked.
+         * @param {Object} existing - The loaded packet.
+         * @param {Object} candidate - The imported packet.
+         * @param {number} similarity - How similar they are (0-1).
+         * @param {number} remaining - How many more near-duplicates may follow in this import.
+         * @returns {Promise<{resolution: string, applyToAll: boolean}>} 'keep-old', 'replace' or 'keep-both',
+         *     and whether to use the same answer for the rest of the import.
          */
-        createSinglePacketFromDocument(tempDiv, filename, html, content) {
-            console.log(`Creating single packet object for "${filename}".`);
-            const title = this.extractTitle(tempDiv, filename);
-            const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
+        resolveNearDuplicate(existing, candidate, similarity, remaining) {
+            const modal = document.getElementById('nearDuplicateModal');
+            const message = document.getElementById('nearDuplicateMessage');
+            const oldColumn = document.getElementById('nearDuplicateOld');
+            const newColumn = document.getElementById('nearDuplicateNew');
+            const applyToAll = document.getElementById('nearDuplicateApplyToAll');
+            if (!modal || !message || !oldColumn || !newColumn || !applyToAll) {
+                console.error('Near-duplicate dialog elements not found. Keeping both packets.');
+                return Promise.resolve({ resolution: 'keep-both', applyToAll: false });
+            }
 
-            return {
-                id: Date.now() + Math.random(),
-                title: title,
-                content: content,
-                htmlContent: html, // The full HTML of the document as a single packet
-                filename: filename,
-                wordCount: wordCount,
-                dateAdded: new Date().toISOString()
-            };
+            const { oldHtml, newHtml } = this.renderDiffHtml(this.diffWords(existing.content, candidate.content));
+            message.textContent = `“${candidate.title}” from ${candidate.filename} is ${Math.round(similarity * 100)}% similar to “${existing.title}” from ${existing.filename}, which is already loaded.`;
+            document.getElementById('nearDuplicateOldTitle').textContent = existing.title;
+            document.getElementById('nearDuplicateNewTitle').textContent = candidate.title;
+            oldColumn.innerHTML = oldHtml;
+            newColumn.innerHTML = newHtml;
+            applyToAll.checked = false;
+            applyToAll.closest('label').classList.toggle('hidden', remaining === 0);
+
+            modal.classList.remove('hidden');
+            modal.setAttribute('aria-hidden', 'false');
+            document.getElementById('nearDuplicateKeepOldBtn')?.focus();
+            this.announceToScreenReader('process-status', `Possible duplicate: ${candidate.title}. Choose which version to keep.`);
+
+            return new Promise(resolve => {
+                const handleClick = (e) => {
+                    const button = e.target.closest('button[data-resolution]');
+                    if (button) close(button.dataset.resolution);
+                };
+                const handleEscape = (e) => {
+                    if (e.key === 'Escape') close('keep-old');
+                };
+                const close = (resolution) => {
+                    modal.classList.add('hidden');
+                    modal.setAttribute('aria-hidden', 'true');
+                    modal.removeEventListener('click', handleClick);
+                    document.removeEventListener('keydown', handleEscape);
+                    resolve({ resolution, applyToAll: applyToAll.checked });
+                };
+                modal.addEventListener('click', handleClick);
+                document.addEventListener('keydown', handleEscape);
+            });
         }
 
         /**
-         * Creates a packet object with all necessary properties.
-         * @param {string} title - The title of the packet.
-         * @param {string} content - The plain text content of the packet.
-         * @param {string} htmlContent - The HTML content of the packet.
-         * @param {string} filename - The original filename from which the packet was extracted.
-         * @returns {Object} The packet object.
+         * Resets the UI elements related to document processing.
          */
-        createPacketObject(title, content, htmlContent, filename) {
-            const wordCount = content.split(/\s+/).filter(word => word.length > 0).length;
-            return {
-                id: Date.now() + Math.random(),
-                title: title,
-                content: content,
-                htmlContent: htmlContent,
-                filename: filename,
-                wordCount: wordCount,
-                dateAdded: new Date().toISOString()
+        resetProcessingUI() {
+            console.log('Resetting processing UI.');
+            const processBtn = document.getElementById('processBtn');
+            const progressContainer = document.getElementById('progressContainer');
+
+            progressContainer.style.display = 'none';
+            const importProgressPanel = document.getElementById('importProgressPanel');
+            if (importProgressPanel) importProgressPanel.classList.add('hidden');
+            const cancelBtn = document.getElementById('cancelProcessBtn');
+            if (cancelBtn) cancelBtn.disabled = false;
+            processBtn.textContent = 'Process Documents';
+            processBtn.disabled = this.selectedFiles.length === 0;
+            this.isProcessing = false;
+        }
+
+        /**
+         * Clears the selected files from the input and resets the file label.
+         */
+        resetFileInput() {
+            console.log('Resetting file input.');
+            const wordFiles = document.getElementById('wordFiles');
+            if (wordFiles) {
+                wordFiles.value = '';
+                this.handleFileSelect({ target: { files: [] } });
+            }
+        }
+
+        /**
+         * Clears all loaded packets and updates the display.
+         */
+        clearAllPackets() {
+            console.log('Clearing all packets.');
+            this.recordHistory('Clear All');
+            const discardedSession = Boolean(this.savedWorkspaceRecord);
+            this.dismissRestoreBanner(); // The offered session is cleared too
+            this.packets = [];
+            this.sections = [];
+            this.customOrder = null;
+            this.sortedOrderSignature = null;
+            this.exportFileName = '';
+            this.frontMatter = this.normalizeFrontMatter(DEFAULT_FRONT_MATTER);
+            this.renderFrontMatterPanel();
+            this.updateDisplay();
+            this.clearSavedWorkspace();
+            this.resetFileInput();
+            this.showUndoableNotification(discardedSession ? 'All packets cleared, and the previous session discarded.' : 'All packets cleared!', 'info');
+            this.announceToScreenReader('process-status', 'All packets cleared.');
+        }
+
+        /**
+         * Captures everything needed to rebuild the current workspace.
+         * Packets are kept in their current order, so the array order is the compilation order.
+         * @returns {Object} A plain, structured-clone-safe copy of the workspace.
+         */
+        getWorkspaceState() {
+            return {
+                compilationTitle: this.compilationTitle,
+                exportFileName: this.exportFileName,
+                frontMatter: JSON.parse(JSON.stringify(this.frontMatter)),
+                sections: this.sections.map(section => ({ ...section })),
+                customOrder: this.customOrder ? [...this.customOrder] : null,
+                packets: this.packets.map(packet => ({ ...packet }))
             };
         }
 
         /**
-         * Extracts a title from the document HTML, using various heuristics.
-         * @param {HTMLElement} tempDiv - The temporary div containing the document's HTML.
-         * @param {string} filename - The original filename.
-         * @returns {string} The extracted or generated title.
+         * Replaces the current workspace with a previously captured state.
+         * @param {Object} state - A state produced by getWorkspaceState().
          */
-        extractTitle(tempDiv, filename) {
-            let title = '';
-            console.log(`Attempting to extract title for "${filename}".`);
+        applyWorkspaceState(state) {
+            // Sessions saved by earlier versions stored each packet's structure; it is rebuilt instead
+            this.packets = Array.isArray(state.packets) ? state.packets.map(({ structure, ...packet }) => packet) : [];
+            this.sections = this.normalizeSections(state.sections);
+            this.customOrder = Array.isArray(state.customOrder) ? [...state.customOrder] : null;
+            this.sortedOrderSignature = this.customOrder ? this.getPacketOrderSignature() : null;
+            if (typeof state.compilationTitle === 'string' && state.compilationTitle.trim().length > 0) {
+                this.compilationTitle = state.compilationTitle;
+            }
+            this.exportFileName = this.normalizeExportFileName(state.exportFileName);
+            this.frontMatter = this.normalizeFrontMatter(state.frontMatter);
+            this.renderFrontMatterPanel();
+        }
 
-            // Prioritize actual heading tags
-            const headings = tempDiv.querySelectorAll('h1, h2, h3');
-            for (let i = 0; i < headings.length; i++) {
-                const hText = headings[i].textContent.trim();
-                // Ensure heading is meaningful (not too short/long, not just numbers etc)
-                if (hText.length > 0 && hText.length < 150 && hText.split(/\s+/).length < 25 && /[a-zA-Z]/.test(hText)) {
-                    title = hText;
-                    console.log(`  Title found from heading: "${title}"`);
-                    break;
+        /**
+         * Captures the workspace for the undo history, including whether the current order came from a sort.
+         * @returns {Object} A workspace state as from getWorkspaceState(), plus sortedOrderSignature.
+         */
+        createHistorySnapshot() {
+            return { ...this.getWorkspaceState(), sortedOrderSignature: this.sortedOrderSignature };
+        }
+
+        /**
+         * Adds a step to the undo history. Call it just before changing the workspace, or pass a
+         * snapshot taken earlier when it is only known afterwards whether anything changed.
+         * Any redo steps are dropped, as they no longer follow from the current state.
+         * @param {string} label - What the change was, e.g. 'Remove "Heron"'; shown when undoing.
+         * @param {Object} [snapshot] - The state before the change, from createHistorySnapshot().
+         */
+        recordHistory(label, snapshot = this.createHistorySnapshot()) {
+            this.undoStack.push({ label, snapshot });
+            if (this.undoStack.length > MAX_UNDO_STEPS) {
+                this.undoStack.shift();
+            }
+            this.redoStack = [];
+            this.updateHistoryControls();
+        }
+
+        /**
+         * Undoes the most recent change to the packet list.
+         */
+        undo() {
+            this.stepHistory(this.undoStack, this.redoStack, 'Undone');
+        }
+
+        /**
+         * Redoes the most recently undone change.
+         */
+        redo() {
+            this.stepHistory(this.redoStack, this.undoStack, 'Redone');
+        }
+
+        /**
+         * Moves one step through the history: restores the newest snapshot from one stack and
+         * keeps the current state on the other, so the step can be reversed again.
+         * @param {Array<Object>} from - The stack to take the step from.
+         * @param {Array<Object>} to - The stack that receives the current state.
+         * @param {string} verb - 'Undone' or 'Redone', for the notification.
+         */
+        stepHistory(from, to, verb) {
+            const entry = from.pop();
+            if (!entry) {
+                this.showNotification(`There is nothing to ${verb === 'Undone' ? 'undo' : 'redo'}.`, 'info');
+                return;
+            }
+            to.push({ label: entry.label, snapshot: this.createHistorySnapshot() });
+
+            this.applyWorkspaceState(entry.snapshot);
+            this.sortedOrderSignature = entry.snapshot.sortedOrderSignature;
+            this.updateDisplay();
+
+            // Keep an open packet in step with the restored state
+            if (this.closePacketModal) {
+                if (this.packets.some(p => p.id == this.viewedPacketId)) {
+                    this.viewPacket(this.viewedPacketId);
+                } else {
+                    this.closePacketModal();
                 }
             }
 
-            // If no heading, check first few paragraphs for bold/centered text
-            if (!title) {
-                const paragraphs = tempDiv.querySelectorAll('p');
-                for (let i = 0; i < Math.min(3, paragraphs.length); i++) {
-                    const p = paragraphs[i];
-                    const pText = p.textContent.trim();
-                    if (pText.length > 0 && pText.length < 150) {
-                        const isBold = p.querySelector('strong, b') !== null;
-                        const isCentered = p.style.textAlign === 'center';
-                        const isAllCaps = pText === pText.toUpperCase() && pText.length < 50 && pText.split(/\s+/).length < 10;
+            this.showNotification(`${verb}: ${entry.label}.`, 'info');
+            this.announceToScreenReader('packet-list-status', `${verb}: ${entry.label}.`);
+            console.log(`${verb}: ${entry.label}. ${this.undoStack.length} undo and ${this.redoStack.length} redo steps left.`);
+        }
 
-                        if (isBold || isCentered || isAllCaps) {
-                            title = pText;
-                            console.log(`  Title found from bold/centered/all caps paragraph: "${title}"`);
-                            break;
-                        }
+        /**
+         * Shows a notification with an "Undo" link for the change just recorded. The link does
+         * nothing if another change has been made since.
+         * @param {string} message - The message to display.
+         * @param {string} type - The notification type, as for showNotification().
+         */
+        showUndoableNotification(message, type) {
+            const entry = this.undoStack[this.undoStack.length - 1];
+            this.showNotification(message, type, 8000, {
+                label: 'Undo',
+                onClick: () => {
+                    if (entry && this.undoStack[this.undoStack.length - 1] === entry) {
+                        this.undo();
                     }
                 }
+            });
+        }
+
+        /**
+         * Handles Ctrl+Z (undo) and Ctrl+Shift+Z or Ctrl+Y (redo), or ⌘ on a Mac. Text fields and
+         * the rich-text editor keep their own undo, and the shortcuts are ignored while a dialog is open.
+         * @param {KeyboardEvent} event - The keydown event.
+         */
+        handleHistoryShortcut(event) {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            const key = event.key.toLowerCase();
+            const isRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+            if (key !== 'z' && !isRedo) return;
+
+            const target = event.target instanceof Element ? event.target : document.body;
+            if (target.closest('input, textarea, select, [contenteditable]:not([contenteditable="false"])') ||
+                document.querySelector('.modal:not(.hidden)')) {
+                return;
             }
 
-            // As a last resort, use the first non-empty line of content or filename
-            if (!title) {
-                const paragraphs = tempDiv.querySelectorAll('p');
-                if (paragraphs.length > 0) {
-                    const firstMeaningfulParagraph = Array.from(paragraphs).find(p => p.textContent.trim().length > 0);
-                    if (firstMeaningfulParagraph) {
-                        const firstParagraphText = firstMeaningfulParagraph.textContent.trim();
-                        if (firstParagraphText.length > 0) {
-                            const firstLine = firstParagraphText.split('\n')[0].trim();
-                            if (firstLine.length > 0 && firstLine.length < 150 && firstLine.split(/\s+/).length < 25) {
-                                title = firstLine;
-                                console.log(`  Title found from first line of first meaningful paragraph: "${title}"`);
-                            }
-                        }
+            event.preventDefault();
+            if (isRedo) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        }
+
+        /**
+         * Enables the Undo and Redo buttons when there is a step to take, and names the step in their tooltips.
+         */
+        updateHistoryControls() {
+            const undoBtn = document.getElementById('undoBtn');
+            const redoBtn = document.getElementById('redoBtn');
+            const nextUndo = this.undoStack[this.undoStack.length - 1];
+            const nextRedo = this.redoStack[this.redoStack.length - 1];
+            if (undoBtn) {
+                undoBtn.disabled = !nextUndo;
+                undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+            }
+            if (redoBtn) {
+                redoBtn.disabled = !nextRedo;
+                redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+            }
+        }
+
+        /**
+         * Opens (and if needed creates) the IndexedDB database used for autosave.
+         * IndexedDB is used rather than localStorage because Mammoth.js embeds images
+         * as base64 data, which quickly exceeds localStorage's few-megabyte limit.
+         * @returns {Promise<IDBDatabase>} The open database.
+         */
+        openWorkspaceDb() {
+            if (this.workspaceDbPromise) {
+                return this.workspaceDbPromise;
+            }
+
+            this.workspaceDbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('IndexedDB is not available in this browser.'));
+                    return;
+                }
+                const request = window.indexedDB.open('PacketCompiler', 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('workspace')) {
+                        db.createObjectStore('workspace');
                     }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later retry if opening failed (e.g. private browsing)
+            this.workspaceDbPromise.catch(() => { this.workspaceDbPromise = null; });
+            return this.workspaceDbPromise;
+        }
+
+        /**
+         * Runs a single request against the workspace object store.
+         * @param {string} mode - 'readonly' or 'readwrite'.
+         * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request on the store.
+         * @returns {Promise<*>} The request's result once the transaction completes.
+         */
+        async runWorkspaceDbRequest(mode, makeRequest) {
+            const db = await this.openWorkspaceDb();
+            return new Promise((resolve, reject) => {
+                const transaction = db.transaction('workspace', mode);
+                const request = makeRequest(transaction.objectStore('workspace'));
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error || request.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted.'));
+            });
+        }
+
+        /**
+         * Schedules an autosave of the workspace, coalescing rapid changes into one write.
+         * Autosave is held back until the previous session has been looked for; see saveWorkspace()
+         * for where it goes while the user has not yet answered the restore offer.
+         */
+        scheduleAutosave() {
+            if (!this.savedWorkspaceChecked) {
+                console.log('Autosave skipped: still looking for a previous session.');
+                return;
+            }
+            if (this.autosaveTimeout) {
+                clearTimeout(this.autosaveTimeout);
+            }
+            this.autosaveTimeout = setTimeout(() => {
+                this.autosaveTimeout = null;
+                this.saveWorkspace();
+            }, 1000);
+        }
+
+        /**
+         * Writes the current workspace to IndexedDB. An empty workspace removes the saved copy instead.
+         * While the previous session is still offered for restoring, the workspace is saved under
+         * 'pending' rather than 'current', so the previous session is not overwritten before the
+         * user decides and work done in the meantime survives a reload.
+         * @returns {Promise<void>}
+         */
+        async saveWorkspace() {
+            const key = this.restorePending ? 'pending' : 'current';
+            if (this.packets.length === 0) {
+                return this.clearSavedWorkspace(key);
+            }
+
+            try {
+                const record = { version: 1, savedAt: new Date().toISOString(), ...this.getWorkspaceState() };
+                await this.runWorkspaceDbRequest('readwrite', store => store.put(record, key));
+                console.log(`Workspace autosaved (${record.packets.length} packets${key === 'pending' ? ', beside the previous session' : ''}).`);
+            } catch (error) {
+                console.error('Failed to autosave workspace:', error);
+                if (error && error.name === 'QuotaExceededError') {
+                    this.showNotification('Autosave failed: browser storage is full. Your work is not being saved.', 'error', 8000);
                 }
             }
+        }
 
-            if (!title) {
-                title = filename.replace(/\.docx$/i, '').replace(/[_-]/g, ' ').trim();
-                console.log(`  Title falling back to cleaned filename: "${title}"`);
+        /**
+         * Reads the last autosaved workspace from IndexedDB.
+         * @param {string} [key='current'] - 'current', or 'pending' for the work saved while a restore was offered.
+         * @returns {Promise<Object|null>} The saved record, or null if there is none.
+         */
+        async loadSavedWorkspace(key = 'current') {
+            try {
+                const record = await this.runWorkspaceDbRequest('readonly', store => store.get(key));
+                return record && Array.isArray(record.packets) ? record : null;
+            } catch (error) {
+                console.error('Failed to read saved workspace:', error);
+                return null;
             }
+        }
 
-            // Capitalize first letter of fallback titles for better display
-            if (title.startsWith('packet ') && title.toLowerCase().includes('from')) {
-                 // Leave "Packet X from file" as is
-            } else if (title.length > 0) {
-                title = title.charAt(0).toUpperCase() + title.slice(1);
+        /**
+         * Deletes the autosaved workspace and cancels any pending autosave.
+         * @param {string} [key='current'] - 'current', or 'pending' for the work saved while a restore was offered.
+         * @returns {Promise<void>}
+         */
+        async clearSavedWorkspace(key = 'current') {
+            if (this.autosaveTimeout) {
+                clearTimeout(this.autosaveTimeout);
+                this.autosaveTimeout = null;
+            }
+            try {
+                await this.runWorkspaceDbRequest('readwrite', store => store.delete(key));
+                console.log(`Saved workspace cleared (${key}).`);
+            } catch (error) {
+                console.error('Failed to clear saved workspace:', error);
+            }
+        }
+
+        /**
+         * Looks for an autosaved workspace on startup and, if one exists, offers to restore it.
+         * Work saved while an earlier page load was still offering the restore is brought back
+         * straight away, and the restore is offered again.
+         */
+        async checkForSavedWorkspace() {
+            let record = await this.loadSavedWorkspace();
+            const pendingRecord = await this.loadSavedWorkspace('pending');
+            const banner = document.getElementById('restoreBanner');
+            const bannerText = document.getElementById('restoreBannerText');
+            this.savedWorkspaceChecked = true;
+
+            if (pendingRecord && pendingRecord.packets.length > 0) {
+                if (record && record.packets.length > 0) {
+                    this.applySavedWorkspace(pendingRecord);
+                    console.log(`Brought back ${pendingRecord.packets.length} packets saved while the previous session was offered.`);
+                } else {
+                    record = pendingRecord;
+                }
+            }
+
+            if (!record || record.packets.length === 0 || !banner || !bannerText) {
+                console.log('No saved workspace to restore.');
+                this.restorePending = false;
+                this.scheduleAutosave();
+                return;
+            }
+
+            this.savedWorkspaceRecord = record;
+            this.restorePending = true;
+            const savedAt = record.savedAt ? new Date(record.savedAt).toLocaleString() : 'an earlier session';
+            bannerText.textContent = `You have ${record.packets.length} packet${record.packets.length > 1 ? 's' : ''} from your last session (saved ${savedAt}). Restore them?`;
+            banner.classList.remove('hidden');
+            this.announceToScreenReader('process-status', 'A previous session was found. Choose Restore or Discard.');
+            console.log(`Offering to restore saved workspace with ${record.packets.length} packets.`);
+        }
+
+        /**
+         * Restores the autosaved workspace offered by checkForSavedWorkspace().
+         * Packets added before restoring are kept, after the restored ones.
+         */
+        restoreSavedWorkspace() {
+            const record = this.savedWorkspaceRecord;
+            if (!record) return;
+
+            this.recordHistory('Restore last session');
+            this.dismissRestoreBanner();
+            this.applySavedWorkspace(record);
+            this.showNotification(`Restored ${record.packets.length} packet${record.packets.length > 1 ? 's' : ''} from your last session.`, 'success');
+            this.announceToScreenReader('process-status', 'Previous session restored.');
+            console.log('Saved workspace restored.');
+        }
+
+        /**
+         * Replaces the workspace with an autosaved one, keeping any packets added since the page
+         * loaded after the saved ones.
+         * @param {Object} record - The saved record, as from loadSavedWorkspace().
+         */
+        applySavedWorkspace(record) {
+            const currentPackets = this.packets;
+            this.applyWorkspaceState(record);
+            const restoredIds = new Set(this.packets.map(packet => packet.id));
+            this.packets.push(...currentPackets.filter(packet => !restoredIds.has(packet.id)));
+            this.updateDisplay();
+        }
+
+        /**
+         * Discards the autosaved workspace offered by checkForSavedWorkspace().
+         */
+        discardSavedWorkspace() {
+            this.dismissRestoreBanner();
+            this.clearSavedWorkspace().then(() => this.scheduleAutosave());
+            this.showNotification('Previous session discarded.', 'info');
+            console.log('Saved workspace discarded by user.');
+        }
+
+        /**
+         * Hides the restore offer and goes back to autosaving under 'current'.
+         */
+        dismissRestoreBanner() {
+            const banner = document.getElementById('restoreBanner');
+            if (banner) banner.classList.add('hidden');
+            if (this.restorePending && this.savedWorkspaceChecked) {
+                this.clearSavedWorkspace('pending');
+            }
+            this.restorePending = false;
+            this.savedWorkspaceRecord = null;
+        }
+
+        /**
+         * Builds the contents of a .poempack project file from the current workspace.
+         * @returns {Object} The project data, ready to be serialised as JSON.
+         */
+        buildProjectData() {
+            const state = this.getWorkspaceState();
+            return {
+                format: PROJECT_FILE_FORMAT,
+                version: PROJECT_FILE_VERSION,
+                savedAt: new Date().toISOString(),
+                settings: {
+                    compilationTitle: state.compilationTitle,
+                    exportFileName: state.exportFileName,
+                    frontMatter: state.frontMatter
+                },
+                order: state.packets.map(packet => packet.id),
+                sections: state.sections,
+                customOrder: state.customOrder,
+                packets: state.packets
+            };
+        }
+
+        /**
+         * Saves the current workspace as a .poempack project file that can be shared and reopened.
+         */
+        saveProjectFile() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to save!', 'warning');
+                console.warn('Project save attempted with no packets.');
+                return;
+            }
+
+            const project = this.buildProjectData();
+            const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json;charset=utf-8' });
+            this.triggerDownload(blob, `${this.getTitleFileBaseName()}.poempack`);
+            this.showNotification(`Project saved with ${project.packets.length} packet${project.packets.length > 1 ? 's' : ''}.`, 'success');
+            this.announceToScreenReader('process-status', 'Project file saved.');
+            console.log(`Project saved (format version ${PROJECT_FILE_VERSION}, ${project.packets.length} packets).`);
+        }
+
+        /**
+         * Upgrades project data written by an older version of the app to the current format.
+         * Each entry in PROJECT_FILE_MIGRATIONS upgrades from its key version to the next one.
+         * @param {Object} data - Parsed project data.
+         * @returns {Object} Project data in the current format.
+         * @throws {Error} If the file is not a project file or comes from a newer version.
+         */
+        migrateProjectData(data) {
+            if (!data || typeof data !== 'object' || data.format !== PROJECT_FILE_FORMAT) {
+                throw new Error('This is not a Packet Compiler project file.');
+            }
+
+            let version = Number.isInteger(data.version) ? data.version : 1;
+            if (version > PROJECT_FILE_VERSION) {
+                throw new Error(`This project was saved by a newer version of the app (format ${version}). Please update and try again.`);
+            }
+
+            let migrated = data;
+            while (version < PROJECT_FILE_VERSION) {
+                const migrate = PROJECT_FILE_MIGRATIONS[version];
+                if (!migrate) {
+                    throw new Error(`No migration available for project format ${version}.`);
+                }
+                console.log(`Migrating project file from format ${version} to ${version + 1}.`);
+                migrated = migrate(migrated);
+                version++;
+            }
+            migrated.version = version;
+            return migrated;
+        }
+
+        /**
+         * Tells whether an ID read from a project file is safe to use: IDs end up in HTML
+         * attributes and CSS selectors, so only finite numbers and plain word strings are.
+         * @param {*} id - The ID.
+         * @returns {boolean} True if the ID can be kept.
+         */
+        isSafeId(id) {
+            return (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && /^[\w.-]+$/.test(id));
+        }
+
+        /**
+         * Gives every packet, section and version in a project file whose ID is not safe (see
+         * isSafeId()) a fresh one, updating the packets' sections and the saved orders to match.
+         * @param {Object} project - The migrated project data.
+         * @returns {Object} The project with safe IDs.
+         */
+        replaceUnsafeProjectIds(project) {
+            const replacements = new Map(); // String(unsafe ID) → fresh ID
+            let replacedCount = 0;
+            const safeId = (id) => {
+                if (id === undefined || id === null || this.isSafeId(id)) return id;
+                const key = typeof id === 'object' ? JSON.stringify(id) : String(id);
+                if (!replacements.has(key)) {
+                    replacements.set(key, Date.now() + Math.random());
+                    replacedCount++;
+                }
+                return replacements.get(key);
+            };
+            const fixPacket = (packet) => {
+                if (!packet || typeof packet !== 'object') return packet;
+                const fixed = { ...packet };
+                ['id', 'sectionId', 'versionId'].filter(field => field in fixed).forEach(field => { fixed[field] = safeId(fixed[field]); });
+                if (Array.isArray(fixed.versions)) fixed.versions = fixed.versions.map(fixPacket);
+                return fixed;
+            };
+            const fixed = {
+                ...project,
+                packets: Array.isArray(project.packets) ? project.packets.map(fixPacket) : project.packets,
+                sections: Array.isArray(project.sections)
+                    ? project.sections.map(section => section && typeof section === 'object' ? { ...section, id: safeId(section.id) } : section)
+                    : project.sections,
+                order: Array.isArray(project.order) ? project.order.map(safeId) : project.order,
+                customOrder: Array.isArray(project.customOrder) ? project.customOrder.map(safeId) : project.customOrder
+            };
+            if (replacedCount > 0) {
+                console.warn(`Replaced ${replacedCount} unusable ID${replacedCount > 1 ? 's' : ''} in the project file.`);
+            }
+            return fixed;
+        }
+
+        /**
+         * Validates a packet read from a project file and fills in anything that can be recomputed.
+         * Project files come from other people, so the packet's HTML (and that of its original
+         * and earlier versions) is sanitized like pasted HTML.
+         * @param {Object} raw - The packet as stored in the file.
+         * @returns {Object|null} A packet object, or null if the entry is unusable.
+         */
+        normalizeProjectPacket(raw) {
+            if (!raw || typeof raw !== 'object' || typeof raw.htmlContent !== 'string') {
+                return null;
+            }
+
+            const htmlContent = this.sanitizeHtml(raw.htmlContent);
+            let content = typeof raw.content === 'string' ? raw.content : '';
+            if (!content.trim()) {
+                content = this.getPlainTextFromHtml(htmlContent).trim();
+            }
+            if (!content.trim()) {
+                return null;
+            }
+
+            const packet = this.createPacketObject(
+                typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : 'Untitled',
+                content,
+                htmlContent,
+                typeof raw.filename === 'string' ? raw.filename : 'Unknown source'
+            );
+            // Keep any extra fields the packet carried, but never trust stored derived values
+            // (older project files also stored each packet's structure; it is rebuilt instead)
+            const { structure, ...extraFields } = raw;
+            const normalized = {
+                ...extraFields,
+                ...packet,
+                ...this.normalizePacketMetadata(raw),
+                id: this.isSafeId(raw.id) ? raw.id : packet.id,
+                dateAdded: typeof raw.dateAdded === 'string' && !isNaN(Date.parse(raw.dateAdded)) ? raw.dateAdded : packet.dateAdded
+            };
+            if (!this.isSafeId(normalized.versionId)) delete normalized.versionId;
+            const unconfirmed = Array.isArray(raw.unconfirmedDetails) ? raw.unconfirmedDetails.filter(field => Object.keys(PACKET_METADATA_FIELDS).includes(field)) : [];
+            if (unconfirmed.length > 0) {
+                normalized.unconfirmedDetails = [...new Set(unconfirmed)];
+            } else {
+                delete normalized.unconfirmedDetails;
+            }
+            if (normalized.sectionId !== undefined && normalized.sectionId !== null && !this.isSafeId(normalized.sectionId)) {
+                normalized.sectionId = null;
+            }
+            // "Revert to original" puts this back into the packet
+            if (raw.original && typeof raw.original === 'object' && typeof raw.original.htmlContent === 'string') {
+                normalized.original = { ...raw.original, htmlContent: this.sanitizeHtml(raw.original.htmlContent) };
+            } else {
+                delete normalized.original;
+            }
+            // Earlier versions are validated the same way as packets
+            normalized.versions = (Array.isArray(raw.versions) ? raw.versions : [])
+                .map(version => this.normalizeProjectPacket({ ...version, versions: [] }))
+                .filter(Boolean)
+                .map(({ versions, ...version }) => version);
+            return normalized;
+        }
+
+        /**
+         * Reads, validates and migrates a .poempack file, then merges it into or replaces the workspace.
+         * @param {File} file - The project file chosen by the user.
+         */
+        async openProjectFile(file) {
+            console.log(`Opening project file "${file.name}".`);
+            let project;
+            try {
+                project = this.replaceUnsafeProjectIds(this.migrateProjectData(JSON.parse(await file.text())));
+            } catch (error) {
+                console.error(`Failed to open project "${file.name}":`, error);
+                const reason = error instanceof SyntaxError ? 'The file is not valid JSON.' : error.message;
+                this.showNotification(`Could not open "${file.name}": ${reason}`, 'error', 8000);
+                return;
+            }
+
+            const rawPackets = Array.isArray(project.packets) ? project.packets : [];
+            let packets = rawPackets.map(raw => this.normalizeProjectPacket(raw)).filter(Boolean);
+            const invalidCount = rawPackets.length - packets.length;
+
+            // Apply the saved order; packets missing from it keep their place at the end
+            if (Array.isArray(project.order)) {
+                const position = new Map(project.order.map((id, index) => [String(id), index]));
+                packets = packets
+                    .map((packet, index) => ({ packet, rank: position.has(String(packet.id)) ? position.get(String(packet.id)) : project.order.length + index }))
+                    .sort((a, b) => a.rank - b.rank)
+                    .map(entry => entry.packet);
+            }
+
+            if (packets.length === 0) {
+                this.showNotification(`"${file.name}" does not contain any valid packets.`, 'warning');
+                return;
+            }
+
+            const mode = this.packets.length === 0 ? 'replace' : await this.chooseProjectOpenMode(file.name, packets.length);
+            if (!mode) {
+                console.log('Opening project cancelled by user.');
+                return;
+            }
+
+            this.recordHistory(`${mode === 'replace' ? 'Open' : 'Merge'} project "${file.name}"`);
+            let addedCount = packets.length;
+            let skippedCount = 0;
+            if (mode === 'replace') {
+                this.applyWorkspaceState({ ...(project.settings || {}), sections: project.sections, customOrder: project.customOrder, packets });
+            } else {
+                addedCount = 0;
+                // Sections with the same name as an existing one are combined with it
+                const sectionIds = new Map();
+                this.normalizeSections(project.sections).forEach(section => {
+                    const existing = this.sections.find(s => s.name.toLowerCase() === section.name.toLowerCase());
+                    if (existing) {
+                        sectionIds.set(String(section.id), existing.id);
+                    } else {
+                        const id = this.sections.some(s => s.id == section.id) ? Date.now() + Math.random() : section.id;
+                        this.sections.push({ id, name: section.name });
+                        sectionIds.set(String(section.id), id);
+                    }
+                });
+                packets.forEach(packet => {
+                    packet.sectionId = sectionIds.has(String(packet.sectionId)) ? sectionIds.get(String(packet.sectionId)) : null;
+                });
+                const existingIds = new Set(this.packets.map(packet => String(packet.id)));
+                for (const packet of packets) {
+                    if (this.findDuplicatePacket(packet)) {
+                        skippedCount++;
+                        console.warn(`Duplicate packet in project skipped: "${packet.title}"`);
+                        continue;
+                    }
+                    if (existingIds.has(String(packet.id))) {
+                        packet.id = Date.now() + Math.random();
+                    }
+                    existingIds.add(String(packet.id));
+                    this.packets.push(packet);
+                    addedCount++;
+                }
+            }
+
+            this.updateDisplay();
+            let message = `${mode === 'replace' ? 'Opened' : 'Merged'} ${addedCount} packet${addedCount !== 1 ? 's' : ''} from "${file.name}".`;
+            if (skippedCount > 0) {
+                message += ` (${skippedCount} duplicate${skippedCount > 1 ? 's' : ''} skipped)`;
+            }
+            if (invalidCount > 0) {
+                message += ` ${invalidCount} invalid entr${invalidCount > 1 ? 'ies were' : 'y was'} ignored.`;
+            }
+            this.showUndoableNotification(message, invalidCount > 0 ? 'warning' : 'success');
+            this.announceToScreenReader('process-status', message);
+            console.log(message);
+        }
+
+        /**
+         * Asks whether an opened project should be merged into the current packets or replace them.
+         * @param {string} filename - The project file name, shown to the user.
+         * @param {number} packetCount - How many packets the project holds.
+         * @returns {Promise<string|null>} 'merge', 'replace', or null if cancelled.
+         */
+        chooseProjectOpenMode(filename, packetCount) {
+            const modal = document.getElementById('projectOpenModal');
+            const message = document.getElementById('projectOpenMessage');
+            if (!modal || !message) {
+                console.error('Project open dialog elements not found.');
+                return Promise.resolve('merge');
+            }
+
+            message.textContent = `"${filename}" contains ${packetCount} packet${packetCount > 1 ? 's' : ''}. You already have ${this.packets.length} loaded.`;
+            modal.classList.remove('hidden');
+            modal.setAttribute('aria-hidden', 'false');
+            document.getElementById('projectMergeBtn')?.focus();
+
+            return new Promise(resolve => {
+                const handleClick = (e) => {
+                    const button = e.target.closest('button[data-mode]');
+                    if (button) close(button.dataset.mode === 'cancel' ? null : button.dataset.mode);
+                };
+                const handleEscape = (e) => {
+                    if (e.key === 'Escape') close(null);
+                };
+                const close = (mode) => {
+                    modal.classList.add('hidden');
+                    modal.setAttribute('aria-hidden', 'true');
+                    modal.removeEventListener('click', handleClick);
+                    document.removeEventListener('keydown', handleEscape);
+                    resolve(mode);
+                };
+                modal.addEventListener('click', handleClick);
+                document.addEventListener('keydown', handleEscape);
+            });
+        }
+
+        /**
+         * Builds the built-in list of document importers. Each importer turns one file format into
+         * HTML that the splitting strategies understand, so every format is split and titled the same way.
+         * Importers marked `worker: true` can also run inside the import worker.
+         * convert() resolves to the HTML, or to { html, messages, properties } when the importer has warnings
+         * to report or knows the document's author and title.
+         * @returns {Array<{name: string, extensions: Array<string>, worker: boolean, convert: function(File): Promise<string|Object>}>} The importers.
+         */
+        createDefaultImporters() {
+            return [
+                { name: 'Word document', extensions: ['.docx'], worker: true, convert: (file) => this.importDocx(file) },
+                { name: 'Word 97-2003 document', extensions: ['.doc'], worker: true, convert: (file) => this.importLegacyDoc(file) },
+                // The worker's DOM (linkedom) has no XML namespace support, so ODT stays on the main thread
+                { name: 'OpenDocument text', extensions: ['.odt'], worker: false, convert: (file) => this.importOdt(file) },
+                { name: 'Rich Text Format', extensions: ['.rtf'], worker: true, convert: (file) => this.importRtf(file) },
+                { name: 'Markdown', extensions: ['.md', '.markdown'], worker: true, convert: (file) => this.importMarkdown(file) },
+                { name: 'Plain text', extensions: ['.txt'], worker: true, convert: (file) => this.importPlainText(file) },
+                { name: 'Web page', extensions: ['.html', '.htm'], worker: true, convert: (file) => this.importHtmlFile(file) }
+            ];
+        }
+
+        /**
+         * Adds an importer for another file format. Importers registered later take precedence
+         * over the built-in ones for the same extension. Registered importers always run on the
+         * main thread, since functions cannot be passed to the import worker.
+         * @param {{name: string, extensions: Array<string>, convert: function(File): Promise<string|Object>}} importer - The importer to add.
+         */
+        registerImporter(importer) {
+            if (!importer || typeof importer.convert !== 'function' || !Array.isArray(importer.extensions) || importer.extensions.length === 0) {
+                throw new Error('An importer needs a convert() function and at least one file extension.');
+            }
+            const extensions = importer.extensions.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+            this.importers.unshift({ ...importer, extensions, worker: false });
+            const wordFiles = document.getElementById('wordFiles');
+            if (wordFiles) wordFiles.accept = this.getSupportedExtensions().join(',');
+            console.log(`Importer "${importer.name}" registered for ${extensions.join(', ')}.`);
+        }
+
+        /**
+         * Finds the importer responsible for a file, based on its extension.
+         * @param {File} file - The file to import.
+         * @returns {Object|null} The importer, or null if the format is not supported.
+         */
+        getImporterForFile(file) {
+            const name = file.name.toLowerCase();
+            return this.importers.find(importer => importer.extensions.some(ext => name.endsWith(ext))) || null;
+        }
+
+        /**
+         * Lists the file extensions that can be imported.
+         * @returns {Array<string>} Extensions including the leading dot, e.g. ".docx".
+         */
+        getSupportedExtensions() {
+            return [...new Set(this.importers.flatMap(importer => importer.extensions))];
+        }
+
+        /**
+         * Extracts HTML content from a document using the importer for its file format.
+         * @param {File} file - The document to process.
+         * @returns {Promise<{html: string, messages: Array<{type: string, message: string}>, properties: Object}>} A promise resolving to
+         *     the document's HTML, any warnings from the importer (e.g. Mammoth's result.messages) and the
+         *     author and title stored with the document, where the format has them.
+         * @throws {Error} If the format is not supported, content extraction fails, or the document is too short.
+         */
+        async convertDocumentToHtml(file) {
+            console.log(`Attempting to extract content from "${file.name}"...`);
+            const importer = this.getImporterForFile(file);
+            if (!importer) {
+                throw new Error(`Failed to extract content from "${file.name}": Unsupported file type.`);
+            }
+
+            try {
+                const converted = await importer.convert(file);
+                const { html, messages = [], properties = {} } = typeof converted === 'string' ? { html: converted } : (converted || {});
+
+                if (!html) {
+                    console.warn(`${importer.name} importer returned no HTML content for "${file.name}".`);
+                    throw new Error(`No content extracted from ${importer.name.toLowerCase()}.`);
+                }
+
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = html;
+                const fullContent = tempDiv.textContent.trim();
+                console.log(`Full plain text content length for "${file.name}": ${fullContent.length}`);
+
+                if (!fullContent || fullContent.length < this.splitSettings.minDocumentLength) { // Minimum length for the whole document
+                    console.warn(`Document "${file.name}" appears empty or too short after extraction.`);
+                    throw new Error('Document appears to be empty or too short after extraction.');
+                }
+
+                if (messages.length > 0) {
+                    console.warn(`Warnings while converting "${file.name}":`, messages);
+                }
+                return { html, messages, properties };
+
+            } catch (error) {
+                console.error(`Failed to extract content from "${file.name}":`, error);
+                throw new Error(`Failed to extract content from "${file.name}": ${error.message}`);
+            }
+        }
+
+        /**
+         * Converts a DOCX file to HTML using Mammoth.js.
+         * @param {File|{name: string, arrayBuffer: function(): Promise<ArrayBuffer>}} file - The DOCX file.
+         * @returns {Promise<{html: string, messages: Array<Object>, properties: Object}>} The document HTML, Mammoth's
+         *     warnings and the author and title from the document's core properties.
+         */
+        async importDocx(file) {
+            if (!window.mammoth) {
+                console.error('Mammoth library (window.mammoth) is not loaded.');
+                throw new Error('Mammoth library not loaded. Please check the script tag.');
+            }
+
+            const arrayBuffer = await file.arrayBuffer();
+            console.log(`File "${file.name}" converted to ArrayBuffer.`);
+            const result = await window.mammoth.convertToHtml({ arrayBuffer }, {
+                ignoreEmptyParagraphs: false, // Blank lines separate stanzas
+                styleMap: VERSE_INDENT_STYLE_MAP,
+                transformDocument: window.mammoth.transforms.paragraph(paragraph => this.markDocxParagraphIndent(paragraph))
+            });
+
+            // --- START OF DEBUGGING LINE FOR IMAGE ISSUE ---
+            console.log(`Mammoth.js RAW HTML output for "${file.name}":`, result.value);
+            // --- END OF DEBUGGING LINE ---
+
+            let properties = {};
+            if (window.JSZip) {
+                try {
+                    properties = await this.readDocumentProperties(await window.JSZip.loadAsync(arrayBuffer), 'docProps/core.xml');
+                } catch (error) {
+                    console.warn(`Could not read the document properties of "${file.name}":`, error);
+                }
+            }
+
+            return {
+                html: this.restoreDocxSpacing(result.value),
+                messages: (result.messages || []).map(message => ({ type: message.type, message: message.message })),
+                properties
+            };
+        }
+
+        /**
+         * Gives an indented plain Word paragraph a "Verse Indent N" style name, which
+         * VERSE_INDENT_STYLE_MAP turns into a class that restoreDocxSpacing() reads.
+         * Headings, lists and other styled paragraphs are left alone.
+         * @param {Object} paragraph - A Mammoth.js paragraph element.
+         * @returns {Object} The paragraph, or a copy with the indent style name.
+         */
+        markDocxParagraphIndent(paragraph) {
+            if ((paragraph.styleName && !/^(normal|body text|no spacing|plain text)$/i.test(paragraph.styleName)) || paragraph.numbering) {
+                return paragraph;
+            }
+            const indent = paragraph.indent || {};
+            const twips = (value) => parseInt(value, 10) || 0;
+            // Poems usually have one line per paragraph, so the first-line indent counts for the whole paragraph
+            const columns = Math.round((twips(indent.start) + twips(indent.firstLine) - twips(indent.hanging)) / 120);
+            if (columns < 1) {
+                return paragraph;
+            }
+            return { ...paragraph, styleName: `Verse Indent ${Math.min(columns, MAX_VERSE_INDENT_COLUMNS)}` };
+        }
+
+        /**
+         * Puts back the spacing of a Word poem that HTML would otherwise collapse: indented
+         * paragraphs get a margin, and tabs and runs of spaces (indentation typed by hand,
+         * dropped lines, caesuras) become non-breaking spaces.
+         * @param {string} html - The HTML from Mammoth.js.
+         * @returns {string} The HTML with its spacing kept.
+         */
+        restoreDocxSpacing(html) {
+            const doc = new DOMParser().parseFromString(`<!DOCTYPE html><html><body>${html}</body></html>`, 'text/html');
+            doc.body.querySelectorAll('p[class*="verse-indent-"]').forEach(p => {
+                const match = /verse-indent-(\d+)/.exec(p.getAttribute('class'));
+                p.removeAttribute('class');
+                p.setAttribute('style', `margin-left: ${parseInt(match[1], 10) * 6}pt`);
+            });
+
+            const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) textNodes.push(walker.currentNode);
+            textNodes.forEach(node => {
+                const text = node.textContent;
+                if (!/\t| {2}/.test(text)) return;
+                node.textContent = text.replace(/\t/g, '\u00a0'.repeat(4)).replace(/ {2,}/g, spaces => '\u00a0'.repeat(spaces.length));
+            });
+            return doc.body.innerHTML;
+        }
+
+        /**
+         * Reads the author and title a word processor stored with a document: docProps/core.xml
+         * in a .docx, meta.xml in an .odt. Placeholder authors such as "Windows User" are ignored.
+         * @param {JSZip} zip - The opened document package.
+         * @param {string} path - Path of the properties file inside the package.
+         * @returns {Promise<{author?: string, title?: string}>} The properties found.
+         */
+        async readDocumentProperties(zip, path) {
+            const file = zip.file(path);
+            if (!file) return {};
+            const doc = new DOMParser().parseFromString(await file.async('string'), 'application/xml');
+            // The import worker's DOM (linkedom) has no namespace support, so fall back to the
+            // prefixed name word processors always write, e.g. "dc:creator"
+            const read = (namespace, qualifiedName) => {
+                const element = doc.getElementsByTagNameNS(namespace, qualifiedName.split(':')[1])[0] || doc.getElementsByTagName(qualifiedName)[0];
+                return ((element || {}).textContent || '').trim();
+            };
+            const DC = 'http://purl.org/dc/elements/1.1/';
+
+            // In OpenDocument, dc:creator is whoever saved last; meta:initial-creator wrote the document
+            const author = read('urn:oasis:names:tc:opendocument:xmlns:meta:1.0', 'meta:initial-creator') || read(DC, 'dc:creator');
+            const properties = {};
+            if (author && !PLACEHOLDER_AUTHORS.test(author)) properties.author = author;
+            if (read(DC, 'dc:title')) properties.title = read(DC, 'dc:title');
+            console.log(`Document properties from ${path}:`, properties);
+            return properties;
+        }
+
+        /**
+         * Converts a legacy Word 97-2003 (.doc) file to HTML. Files that are really RTF, HTML or DOCX
+         * under a .doc name are handed to those importers; genuine binary .doc files are read as plain
+         * text, so their formatting is not kept.
+         * @param {File} file - The .doc file.
+         * @returns {Promise<string|Object>} The document HTML, or HTML and warnings.
+         */
+        async importLegacyDoc(file) {
+            const arrayBuffer = await file.arrayBuffer();
+            const bytes = new Uint8Array(arrayBuffer);
+            const startsWith = (...signature) => signature.every((byte, i) => bytes[i] === byte);
+
+            if (startsWith(0x7B, 0x5C, 0x72, 0x74, 0x66)) { // "{\rtf"
+                console.log(`"${file.name}" is an RTF document saved as .doc.`);
+                return this.rtfToHtml(new TextDecoder('windows-1252').decode(bytes));
+            }
+            if (startsWith(0x50, 0x4B)) { // ZIP container, i.e. a renamed .docx
+                console.log(`"${file.name}" is a DOCX document saved as .doc.`);
+                return this.importDocx({ name: file.name, arrayBuffer: async () => arrayBuffer });
+            }
+            if (!startsWith(0xD0, 0xCF, 0x11, 0xE0)) {
+                const text = this.decodeText(arrayBuffer);
+                if (/^\s*</.test(text)) { // Word's "Web Page" format saved as .doc
+                    console.log(`"${file.name}" is an HTML document saved as .doc.`);
+                    return this.cleanImportedHtml(text);
+                }
+                throw new Error('This is not a recognised Word 97-2003 document.');
+            }
+
+            console.warn(`"${file.name}" is a binary Word 97-2003 document; only its text can be imported.`);
+            const text = this.extractLegacyDocText(arrayBuffer);
+            return {
+                html: text.split('\r').map(paragraph => this.linesToParagraphHtml(paragraph.split('\x0B'))).join(''),
+                messages: [{ type: 'warning', message: 'Word 97-2003 document: only the text was imported; formatting and images were not kept.' }]
+            };
+        }
+
+        /**
+         * Reads the named streams of an OLE compound file (the container used by Word 97-2003).
+         * @param {ArrayBuffer} arrayBuffer - The file contents.
+         * @returns {function(string): (Uint8Array|null)} A function returning a stream's bytes by name.
+         */
+        readCompoundFile(arrayBuffer) {
+            const view = new DataView(arrayBuffer);
+            const bytes = new Uint8Array(arrayBuffer);
+            const END_OF_CHAIN = 0xFFFFFFFA; // Values at or above this are special markers, not sector numbers
+            const sectorSize = 1 << view.getUint16(30, true);
+            const miniSectorSize = 1 << view.getUint16(32, true);
+            const fatSectorCount = view.getUint32(44, true);
+            const miniStreamCutoff = view.getUint32(56, true);
+            const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+            // The FAT sectors are listed in the header, then in a chain of DIFAT sectors
+            const fatSectors = [];
+            for (let i = 0; i < 109; i++) {
+                fatSectors.push(view.getUint32(76 + i * 4, true));
+            }
+            let difatSector = view.getUint32(68, true);
+            for (let count = view.getUint32(72, true); count > 0 && difatSector < END_OF_CHAIN; count--) {
+                const offset = sectorOffset(difatSector);
+                for (let i = 0; i < sectorSize / 4 - 1; i++) {
+                    fatSectors.push(view.getUint32(offset + i * 4, true));
+                }
+                difatSector = view.getUint32(offset + sectorSize - 4, true);
+            }
+
+            const readTable = (data) => {
+                const tableView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+                const table = [];
+                for (let offset = 0; offset + 4 <= data.length; offset += 4) {
+                    table.push(tableView.getUint32(offset, true));
+                }
+                return table;
+            };
+            const readChain = (startSector, table, unitSize, unitOffset, source) => {
+                const chunks = [];
+                for (let sector = startSector, guard = 0; sector < END_OF_CHAIN && guard <= table.length; sector = table[sector], guard++) {
+                    chunks.push(source.subarray(unitOffset(sector), unitOffset(sector) + unitSize));
+                }
+                const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+                chunks.reduce((offset, chunk) => { result.set(chunk, offset); return offset + chunk.length; }, 0);
+                return result;
+            };
+
+            const fat = [];
+            fatSectors.filter(sector => sector < END_OF_CHAIN).slice(0, fatSectorCount).forEach(sector => {
+                fat.push(...readTable(bytes.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize)));
+            });
+            const readSectors = (start) => readChain(start, fat, sectorSize, sectorOffset, bytes);
+
+            const directory = readSectors(view.getUint32(48, true));
+            const directoryView = new DataView(directory.buffer);
+            const entries = [];
+            for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+                const nameLength = Math.max(0, directoryView.getUint16(offset + 64, true) - 2);
+                entries.push({
+                    name: new TextDecoder('utf-16le').decode(directory.subarray(offset, offset + nameLength)),
+                    type: directory[offset + 66],
+                    start: directoryView.getUint32(offset + 116, true),
+                    size: directoryView.getUint32(offset + 120, true)
+                });
+            }
+
+            const root = entries[0];
+            const miniStream = root ? readSectors(root.start) : new Uint8Array(0);
+            const miniFat = readTable(readSectors(view.getUint32(60, true)));
+
+            return (name) => {
+                const entry = entries.find(candidate => candidate.type === 2 && candidate.name === name);
+                if (!entry) return null;
+                const data = entry.size < miniStreamCutoff
+                    ? readChain(entry.start, miniFat, miniSectorSize, sector => sector * miniSectorSize, miniStream)
+                    : readSectors(entry.start);
+                return data.subarray(0, entry.size);
+            };
+        }
+
+        /**
+         * Extracts the main document text from a binary Word 97-2003 file using its piece table.
+         * Paragraphs end with "\r" and soft line breaks are "\x0B"; field codes are replaced by their results.
+         * @param {ArrayBuffer} arrayBuffer - The file contents.
+         * @returns {string} The document text.
+         */
+        extractLegacyDocText(arrayBuffer) {
+            const getStream = this.readCompoundFile(arrayBuffer);
+            const wordDocument = getStream('WordDocument');
+            if (!wordDocument || wordDocument.length < 0x1AA) {
+                throw new Error('The Word document stream is missing.');
+            }
+            const fib = new DataView(wordDocument.buffer, wordDocument.byteOffset, wordDocument.byteLength);
+            if (fib.getUint16(0, true) !== 0xA5EC) {
+                throw new Error('This is not a Word 97-2003 document.');
+            }
+            const flags = fib.getUint16(0x0A, true);
+            if (flags & 0x0100) {
+                throw new Error('The document is password protected.');
+            }
+            const table = getStream(flags & 0x0200 ? '1Table' : '0Table');
+            if (!table) {
+                throw new Error('The document table stream is missing.');
+            }
+            const mainTextLength = fib.getUint32(0x4C, true); // ccpText: the main story, without headers and footnotes
+            const clxStart = fib.getUint32(0x1A2, true);
+            const clxEnd = clxStart + fib.getUint32(0x1A6, true);
+            const tableView = new DataView(table.buffer, table.byteOffset, table.byteLength);
+
+            // Skip formatting records (Prc) to reach the piece table (Pcdt)
+            let position = clxStart;
+            while (position < clxEnd && table[position] === 0x01) {
+                position += 3 + tableView.getUint16(position + 1, true);
+            }
+            if (table[position] !== 0x02) {
+                throw new Error('The document text could not be located.');
+            }
+            const pieceTableLength = tableView.getUint32(position + 1, true);
+            const pieceTableStart = position + 5;
+            const pieceCount = (pieceTableLength - 4) / 12;
+
+            let text = '';
+            for (let i = 0; i < pieceCount && text.length < mainTextLength; i++) {
+                const cpStart = tableView.getUint32(pieceTableStart + i * 4, true);
+                const cpEnd = tableView.getUint32(pieceTableStart + (i + 1) * 4, true);
+                const fcValue = tableView.getUint32(pieceTableStart + (pieceCount + 1) * 4 + i * 8 + 2, true);
+                const isCompressed = (fcValue & 0x40000000) !== 0;
+                const fc = fcValue & 0x3FFFFFFF;
+                const length = cpEnd - cpStart;
+                text += isCompressed
+                    ? new TextDecoder('windows-1252').decode(wordDocument.subarray(fc / 2, fc / 2 + length))
+                    : new TextDecoder('utf-16le').decode(wordDocument.subarray(fc, fc + length * 2));
+            }
+            text = text.slice(0, mainTextLength);
+
+            // Keep field results (e.g. hyperlink text) and drop field instructions
+            const fieldStack = [];
+            let result = '';
+            for (const char of text) {
+                if (char === '\x13') {
+                    fieldStack.push('instruction');
+                } else if (char === '\x14') {
+                    if (fieldStack.length > 0) fieldStack[fieldStack.length - 1] = 'result';
+                } else if (char === '\x15') {
+                    fieldStack.pop();
+                } else if (fieldStack.every(state => state === 'result')) {
+                    result += char;
+                }
+            }
+
+            return result
+                .replace(/[\x07\x0C]/g, '\r') // Table cell ends and page breaks
+                .replace(/\x1E/g, '-') // Non-breaking hyphen
+                .replace(/[\x00-\x06\x08\x1F]/g, ''); // Pictures, drawn objects, optional hyphens
+        }
+
+        /**
+         * Converts an OpenDocument text (.odt) file to HTML. Headings, paragraphs, lists, bold,
+         * italics, underline, alignment, line breaks, links and images are kept.
+         * @param {File} file - The .odt file.
+         * @returns {Promise<{html: string, properties: Object}>} The document HTML and its author and title.
+         */
+        async importOdt(file) {
+            if (!window.JSZip) {
+                console.error('JSZip library (window.JSZip) is not loaded.');
+                throw new Error('JSZip library not loaded. Please check the script tag.');
+            }
+            const zip = await window.JSZip.loadAsync(await file.arrayBuffer());
+            const contentFile = zip.file('content.xml');
+            if (!contentFile) {
+                throw new Error('The OpenDocument file has no content.');
+            }
+            const doc = new DOMParser().parseFromString(await contentFile.async('string'), 'application/xml');
+            if (doc.getElementsByTagName('parsererror').length > 0) {
+                throw new Error('The OpenDocument content could not be read.');
+            }
+
+            const NS = {
+                office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+                style: 'urn:oasis:names:tc:opendocument:xmlns:style:1.0',
+                text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+                table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+                draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+                fo: 'urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0',
+                xlink: 'http://www.w3.org/1999/xlink'
+            };
+
+            // Automatic styles carry the direct formatting (bold, italics, alignment) used in the text
+            const styles = {};
+            Array.from(doc.getElementsByTagNameNS(NS.style, 'style')).forEach(style => {
+                const textProps = style.getElementsByTagNameNS(NS.style, 'text-properties')[0];
+                const paraProps = style.getElementsByTagNameNS(NS.style, 'paragraph-properties')[0];
+                const underline = textProps && textProps.getAttributeNS(NS.style, 'text-underline-style');
+                styles[style.getAttributeNS(NS.style, 'name')] = {
+                    bold: !!textProps && textProps.getAttributeNS(NS.fo, 'font-weight') === 'bold',
+                    italic: !!textProps && textProps.getAttributeNS(NS.fo, 'font-style') === 'italic',
+                    underline: !!underline && underline !== 'none',
+                    align: (paraProps && paraProps.getAttributeNS(NS.fo, 'text-align')) || ''
+                };
+            });
+
+            // Load embedded pictures up front so they can be inlined as data URLs
+            const images = {};
+            const imageTypes = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', svg: 'image/svg+xml', bmp: 'image/bmp' };
+            for (const image of Array.from(doc.getElementsByTagNameNS(NS.draw, 'image'))) {
+                const href = image.getAttributeNS(NS.xlink, 'href') || '';
+                const type = imageTypes[(href.split('.').pop() || '').toLowerCase()];
+                const imageFile = href && zip.file(href);
+                if (imageFile && type) {
+                    images[href] = `data:${type};base64,${await imageFile.async('base64')}`;
+                }
+            }
+
+            const alignStyle = (styleName) => {
+                const align = (styles[styleName] || {}).align;
+                const cssAlign = { center: 'center', end: 'right', right: 'right', justify: 'justify' }[align];
+                return cssAlign ? ` style="text-align: ${cssAlign}"` : '';
+            };
+            const convertChildren = (node) => Array.from(node.childNodes).map(convertNode).join('');
+            const convertNode = (node) => {
+                if (node.nodeType === Node.TEXT_NODE) return this.escapeHtml(node.nodeValue);
+                if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+                const styleName = node.getAttributeNS(NS.text, 'style-name');
+                if (node.namespaceURI === NS.text) {
+                    switch (node.localName) {
+                        case 'h': {
+                            const level = Math.min(6, Math.max(1, parseInt(node.getAttributeNS(NS.text, 'outline-level'), 10) || 1));
+                            return `<h${level}${alignStyle(styleName)}>${convertChildren(node)}</h${level}>`;
+                        }
+                        case 'p':
+                            return `<p${alignStyle(styleName)}>${convertChildren(node)}</p>`;
+                        case 'span': {
+                            const format = styles[styleName] || {};
+                            let html = convertChildren(node);
+                            if (format.underline) html = `<u>${html}</u>`;
+                            if (format.italic) html = `<em>${html}</em>`;
+                            if (format.bold) html = `<strong>${html}</strong>`;
+                            return html;
+                        }
+                        case 'a':
+                            return `<a href="${this.escapeAttribute(node.getAttributeNS(NS.xlink, 'href') || '')}">${convertChildren(node)}</a>`;
+                        case 'line-break':
+                            return '<br>\n';
+                        case 'tab':
+                            return '&nbsp;&nbsp;&nbsp;&nbsp;';
+                        case 's':
+                            return '&nbsp;'.repeat(parseInt(node.getAttributeNS(NS.text, 'c'), 10) || 1);
+                        case 'list':
+                            return `<ul>${convertChildren(node)}</ul>`;
+                        case 'list-item':
+                        case 'list-header':
+                            return `<li>${convertChildren(node)}</li>`;
+                        case 'note':
+                        case 'tracked-changes':
+                        case 'sequence-decls':
+                        case 'variable-decls':
+                            return ''; // Footnotes and bookkeeping that is not part of the poem text
+                        default:
+                            return convertChildren(node);
+                    }
+                }
+                if (node.namespaceURI === NS.table) {
+                    if (node.localName === 'table') return `<table>${convertChildren(node)}</table>`;
+                    if (node.localName === 'table-row') return `<tr>${convertChildren(node)}</tr>`;
+                    if (node.localName === 'table-cell') return `<td>${convertChildren(node)}</td>`;
+                    if (node.localName === 'table-columns' || node.localName === 'table-column') return '';
+                }
+                if (node.namespaceURI === NS.draw && node.localName === 'image') {
+                    const src = images[node.getAttributeNS(NS.xlink, 'href')];
+                    return src ? `<img src="${src}">` : '';
+                }
+                if (node.localName === 'annotation') return ''; // office:annotation (comments)
+                return convertChildren(node);
+            };
+
+            const body = doc.getElementsByTagNameNS(NS.office, 'text')[0];
+            return {
+                html: body ? this.sanitizeHtml(convertChildren(body)) : '',
+                properties: await this.readDocumentProperties(zip, 'meta.xml')
+            };
+        }
+
+        /**
+         * Converts a Rich Text Format (.rtf) file to HTML.
+         * @param {File} file - The .rtf file.
+         * @returns {Promise<string>} The document HTML.
+         */
+        async importRtf(file) {
+            // RTF is 7-bit ASCII; characters outside it are escaped, so a single-byte decode is safe
+            return this.rtfToHtml(new TextDecoder('windows-1252').decode(await file.arrayBuffer()));
+        }
+
+        /**
+         * Converts RTF source to HTML, keeping paragraphs, line breaks, alignment, bold, italics,
+         * underline and strikethrough. Font tables, pictures, headers and other destinations are skipped.
+         * @param {string} rtf - The RTF source.
+         * @returns {string} The document HTML.
+         */
+        rtfToHtml(rtf) {
+            if (!/^\s*\{\\rtf/.test(rtf)) {
+                throw new Error('This is not a valid RTF document.');
+            }
+
+            const SKIPPED_DESTINATIONS = new Set([
+                'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'fldinst', 'header', 'headerl', 'headerr',
+                'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'listtable', 'listoverridetable',
+                'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'pgdsctbl'
+            ]);
+            const SYMBOLS = { emdash: '—', endash: '–', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”', bullet: '•' };
+            const cp1252 = new TextDecoder('windows-1252');
+
+            const paragraphs = [];
+            let runs = [];
+            let state = { bold: false, italic: false, underline: false, strike: false, skip: false, uc: 1, align: '' };
+            const stack = [];
+            let pendingSkip = 0; // ANSI fallback characters to ignore after a \u escape
+
+            const addText = (text) => {
+                if (state.skip || !text) return;
+                if (pendingSkip > 0) {
+                    const skipped = Math.min(pendingSkip, text.length);
+                    pendingSkip -= skipped;
+                    text = text.slice(skipped);
+                    if (!text) return;
+                }
+                runs.push({ text, bold: state.bold, italic: state.italic, underline: state.underline, strike: state.strike });
+            };
+            const endParagraph = () => {
+                if (state.skip) return;
+                paragraphs.push({ align: state.align, runs });
+                runs = [];
+            };
+
+            const tokenPattern = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|[\r\n]+|([^\\{}\r\n]+)/gi;
+            let match;
+            while ((match = tokenPattern.exec(rtf)) !== null) {
+                const [, word, param, hex, symbol, brace, text] = match;
+                if (brace === '{') {
+                    stack.push(state);
+                    state = { ...state };
+                } else if (brace === '}') {
+                    state = stack.pop() || state;
+                } else if (hex) {
+                    if (pendingSkip > 0) {
+                        pendingSkip--;
+                    } else {
+                        addText(cp1252.decode(new Uint8Array([parseInt(hex, 16)])));
+                    }
+                } else if (symbol) {
+                    if (symbol === '*') state.skip = true;
+                    else if (symbol === '~') addText('\u00A0'); // Non-breaking space
+                    else if (symbol === '_') addText('\u2011'); // Non-breaking hyphen
+                    else if (symbol === '\n' || symbol === '\r') endParagraph();
+                    else if ('\\{}'.includes(symbol)) addText(symbol);
+                } else if (word) {
+                    const value = param === undefined ? null : parseInt(param, 10);
+                    if (SKIPPED_DESTINATIONS.has(word)) {
+                        state.skip = true;
+                    } else if (word === 'par' || word === 'sect' || word === 'page') {
+                        endParagraph();
+                    } else if (word === 'line') {
+                        addText('\n');
+                    } else if (word === 'tab') {
+                        addText('\t');
+                    } else if (word === 'pard') {
+                        state.align = '';
+                    } else if (word === 'plain') {
+                        Object.assign(state, { bold: false, italic: false, underline: false, strike: false });
+                    } else if (word === 'b' || word === 'i' || word === 'strike') {
+                        state[{ b: 'bold', i: 'italic', strike: 'strike' }[word]] = value !== 0;
+                    } else if (word === 'ul') {
+                        state.underline = value !== 0;
+                    } else if (word === 'ulnone') {
+                        state.underline = false;
+                    } else if (['qc', 'qr', 'qj', 'ql'].includes(word)) {
+                        state.align = { qc: 'center', qr: 'right', qj: 'justify', ql: '' }[word];
+                    } else if (word === 'uc') {
+                        state.uc = value || 0;
+                    } else if (word === 'u' && value !== null) {
+                        addText(String.fromCharCode(value < 0 ? value + 65536 : value));
+                        pendingSkip = state.uc;
+                    } else if (SYMBOLS[word]) {
+                        addText(SYMBOLS[word]);
+                    }
+                } else if (text) {
+                    addText(text);
+                }
+            }
+            if (runs.length > 0) endParagraph();
+
+            return paragraphs.map(paragraph => {
+                let html = paragraph.runs.map(run => {
+                    let runHtml = this.escapeHtml(run.text)
+                        .replace(/\n/g, '<br>\n')
+                        .replace(/\t/g, '&nbsp;&nbsp;&nbsp;&nbsp;')
+                        .replace(/ {2,}/g, spaces => '&nbsp;'.repeat(spaces.length));
+                    if (run.strike) runHtml = `<s>${runHtml}</s>`;
+                    if (run.underline) runHtml = `<u>${runHtml}</u>`;
+                    if (run.italic) runHtml = `<em>${runHtml}</em>`;
+                    if (run.bold) runHtml = `<strong>${runHtml}</strong>`;
+                    return runHtml;
+                }).join('');
+                html = html.replace(/^ +/, spaces => '&nbsp;'.repeat(spaces.length)); // Keep indentation
+                const style = paragraph.align ? ` style="text-align: ${paragraph.align}"` : '';
+                return `<p${style}>${html}</p>`;
+            }).join('');
+        }
+
+        /**
+         * Converts a Markdown file to HTML using marked. Single line breaks are kept,
+         * since poems rely on them, and "---" or "***" lines become separators.
+         * @param {File} file - The Markdown file.
+         * @returns {Promise<string>} The document HTML.
+         */
+        async importMarkdown(file) {
+            if (!window.marked) {
+                console.error('marked library (window.marked) is not loaded.');
+                throw new Error('Markdown library not loaded. Please check the script tag.');
+            }
+            const text = this.decodeText(await file.arrayBuffer());
+            return this.sanitizeHtml(window.marked.parse(text, { gfm: true, breaks: true }));
+        }
+
+        /**
+         * Converts a plain text file to HTML.
+         * @param {File} file - The text file.
+         * @returns {Promise<string>} The document HTML.
+         */
+        async importPlainText(file) {
+            return this.textToHtml(this.decodeText(await file.arrayBuffer()));
+        }
+
+        /**
+         * Converts plain text to HTML. Blank lines separate stanzas (paragraphs), line breaks and
+         * leading indentation are kept, and two or more blank lines become empty paragraphs so the
+         * separator strategy can split on them.
+         * @param {string} text - The plain text.
+         * @returns {string} The HTML.
+         */
+        textToHtml(text) {
+            const normalized = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ');
+            return normalized.split(/(\n[^\S\n]*\n(?:[^\S\n]*\n)*)/).map((part, i) => {
+                if (i % 2 === 1) { // A run of blank lines between stanzas
+                    return (part.match(/\n/g) || []).length > 2 ? '<p></p><p></p>' : '';
+                }
+                const lines = part.replace(/^\n+|\n+$/g, '').split('\n');
+                return lines.some(line => line.trim()) ? this.linesToParagraphHtml(lines) : '';
+            }).join('');
+        }
+
+        /**
+         * Builds one paragraph of HTML from lines of plain text, keeping leading indentation.
+         * A line such as "***" or "---" on its own is left as bare text between newlines,
+         * which is the form the built-in separator patterns look for.
+         * @param {Array<string>} lines - The lines of the paragraph.
+         * @returns {string} A <p> element (empty when there is no text) or a bare separator line.
+         */
+        linesToParagraphHtml(lines) {
+            if (lines.length === 1 && /^\s*([*\-_=~])\1{2,}\s*$/.test(lines[0])) {
+                return `\n${lines[0].trim()}\n`;
+            }
+            const html = lines.map(line => this.escapeHtml(line.replace(/\s+$/, ''))
+                .replace(/^ +/, spaces => '&nbsp;'.repeat(spaces.length)))
+                .join('<br>\n');
+            // Newlines keep the line and paragraph structure in the packet's plain text and titles
+            return html ? `<p>${html}\n</p>` : '<p></p>';
+        }
+
+        /**
+         * Imports a saved web page (.html or .htm).
+         * @param {File} file - The HTML file.
+         * @returns {Promise<string>} The document body as sanitized HTML.
+         */
+        async importHtmlFile(file) {
+            return this.cleanImportedHtml(this.decodeText(await file.arrayBuffer()));
+        }
+
+        /**
+         * Extracts the body of an HTML document and removes anything unsafe, along with
+         * Word/Office markup such as conditional comments and <o:p> elements.
+         * @param {string} html - The full HTML document or fragment.
+         * @returns {string} The sanitized body HTML.
+         */
+        cleanImportedHtml(html) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            doc.querySelectorAll('head, noscript, template, svg, form, button, input, select, textarea').forEach(el => el.remove());
+            const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_COMMENT);
+            const comments = [];
+            while (walker.nextNode()) comments.push(walker.currentNode);
+            comments.forEach(comment => comment.remove());
+            doc.body.querySelectorAll('*').forEach(el => {
+                if (el.tagName.includes(':')) el.replaceWith(...el.childNodes); // <o:p>, <w:sdt> and similar
+            });
+            // Google Docs wraps copied content in a non-bold <b> that would otherwise make everything bold
+            doc.body.querySelectorAll('b[id^="docs-internal-guid"]').forEach(el => el.replaceWith(...el.childNodes));
+            return this.sanitizeHtml(doc.body.innerHTML);
+        }
+
+        /**
+         * Decodes text file contents as UTF-8, falling back to Windows-1252 for older files.
+         * @param {ArrayBuffer} arrayBuffer - The file contents.
+         * @returns {string} The decoded text.
+         */
+        decodeText(arrayBuffer) {
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(arrayBuffer);
+            } catch (error) {
+                console.warn('File is not valid UTF-8; decoding as Windows-1252.');
+                return new TextDecoder('windows-1252').decode(arrayBuffer);
+            }
+        }
+
+        /**
+         * Splits a document's HTML into packets using the given strategy.
+         * With 'auto', the strategies are tried in turn and the whole document becomes a
+         * single packet when none of them finds a convincing split.
+         * @param {string} html - The document HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} [strategy='auto'] - 'auto', 'headings', 'separators', 'paragraphs' or 'whole'.
+         * @param {{author?: string, title?: string}} [properties={}] - The author and title stored with the document, if known.
+         * @returns {{strategy: string, packets: Array<Object>, dropped: Array<Object>}} The strategy actually used, the packets it produced
+         *     (with their details detected) and the sections it left out for being under the minimum length.
+         */
+        splitDocument(html, filename, strategy = 'auto', properties = {}) {
+            const split = this.splitDocumentIntoPackets(html, filename, strategy, properties);
+            split.packets.forEach(packet => {
+                const metadata = this.detectPacketMetadata(packet, properties);
+                Object.assign(packet, metadata);
+                // Details read from the text are guesses: their lines stay in the text until the user confirms them
+                const guessed = Object.keys(metadata).filter(field => !(field === 'author' && metadata.author === properties.author));
+                if (guessed.length > 0) packet.unconfirmedDetails = guessed;
+            });
+            return split;
+        }
+
+        /**
+         * Does the splitting for splitDocument().
+         * @param {string} html - The document HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} strategy - 'auto', 'headings', 'separators', 'paragraphs' or 'whole'.
+         * @param {{author?: string, title?: string}} properties - The author and title stored with the document.
+         * @returns {{strategy: string, packets: Array<Object>, dropped: Array<Object>}} As for splitDocument().
+         */
+        splitDocumentIntoPackets(html, filename, strategy, properties) {
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = html;
+            const fullContent = tempDiv.textContent.trim();
+
+            if (strategy === 'whole') {
+                return { strategy: 'whole', packets: [this.createSinglePacketFromDocument(tempDiv, filename, html, fullContent, properties.title)], dropped: [] };
+            }
+
+            // Attempt to identify multiple packets
+            const identified = this.identifyMultiplePackets(tempDiv, filename, html, strategy);
+            const identifiedPackets = identified.packets;
+            console.log(`identifyMultiplePackets returned ${identifiedPackets.length} packets for "${filename}" (${identified.strategy}).`);
+
+            // Crucial Fallback: If multiple packet detection yields 0 or 1 *meaningful* packet,
+            // treat the whole document as one. This handles unusually formatted single packets.
+            // A "meaningful" packet for this check means substantial content.
+            // A strategy chosen explicitly by the user is shown as-is instead.
+            if (strategy === 'auto' && (identifiedPackets.length <= 1 || (identifiedPackets.length > 1 && identifiedPackets.every(p => p.content.length < this.splitSettings.minContentLengthForSplit)))) {
+                const singlePacket = this.createSinglePacketFromDocument(tempDiv, filename, html, fullContent, properties.title);
+                console.log(`Multi-packet detection found ${identifiedPackets.length} potential segments. Treating "${filename}" as a single packet: "${singlePacket.title}".`);
+                return { strategy: 'whole', packets: [singlePacket], dropped: [] };
+            }
+
+            return identified;
+        }
+
+        /**
+         * Attempts to identify and separate multiple packets within an HTML document structure.
+         * Uses different strategies (headings, paragraph breaks, explicit separators).
+         * When a strategy is forced, only that strategy runs and its result is returned
+         * without the "at least two substantial packets" check.
+         * @param {HTMLElement} tempDiv - A temporary div containing the document's HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} fullHtml - The full HTML content from Mammoth.js.
+         * @param {string} [strategy='auto'] - 'auto', or one of 'headings', 'separators', 'paragraphs' to force it.
+         * @returns {{strategy: string, packets: Array<Object>, dropped: Array<Object>}} The strategy that produced the packets,
+         *     the packets, and the sections left out for being under the minimum length.
+         */
+        identifyMultiplePackets(tempDiv, filename, fullHtml, strategy = 'auto') {
+            console.log(`Starting identifyMultiplePackets for "${filename}" (strategy: ${strategy}).`);
+            const isAuto = strategy === 'auto';
+            const MIN_CONTENT_LENGTH_FOR_SPLIT = this.splitSettings.minContentLengthForSplit; // A segment must have at least this many chars to be a distinct packet
+
+            // Strategy 1: Split by headings (the configured levels, H1-H3 by default)
+            const headings = this.getSplitHeadings(tempDiv);
+            if (strategy === 'headings' && headings.length > 0) {
+                const dropped = [];
+                return { strategy, packets: this.extractPacketsByHeadings(tempDiv, filename, headings, dropped), dropped };
+            }
+            if (isAuto && headings.length > 1) {
+                const dropped = [];
+                const packetsByHeadings = this.extractPacketsByHeadings(tempDiv, filename, headings, dropped);
+                // Only consider this a successful multi-packet split if at least two packets are substantial
+                if (packetsByHeadings.filter(p => p.content.length >= MIN_CONTENT_LENGTH_FOR_SPLIT).length > 1) {
+                    console.log(`Strategy 1 (Headings) found ${packetsByHeadings.length} packets.`);
+                    return { strategy: 'headings', packets: packetsByHeadings, dropped };
+                } else {
+                    console.log(`Strategy 1 (Headings) found segments, but not enough substantial ones to confirm multiple packets.`);
+                }
+            }
+
+            // Strategy 2: Split by explicit patterns like "***", "---", or multiple empty paragraphs
+            const separatorPatterns = [
+                ...this.splitSettings.customSeparators.map(separator => this.buildSeparatorPattern(separator)), // User-defined, tried first
+                /\n\s*\*{3,}\s*\n/g, // ***
+                /\n\s*-{3,}\s*\n/g, // ---
+                /\n\s*_{3,}\s*\n/g, // ___
+                /\n\s*={3,}\s*\n/g, // ===
+                /\n\s*~{3,}\s*\n/g, // ~~~
+                /<hr[^>]*>/g, // Horizontal rules (Markdown "---" or "***", <hr> in web pages)
+                /(<p>\s*&nbsp;\s*<\/p>){2,}/g, // Two or more empty paragraphs with &nbsp;
+                /(<p>\s*<\/p>){2,}/g // Two or more empty paragraphs
+            ];
+
+            for (const pattern of (isAuto || strategy === 'separators') ? separatorPatterns : []) {
+                // Ensure the pattern actually exists and splits the content into more than one part
+                if (fullHtml.match(pattern)) {
+                    const partsHtml = fullHtml.split(pattern);
+                    const dropped = [];
+                    // Filter out very short or empty parts that might just be separator artifacts
+                    const meaningfulParts = partsHtml.filter(part => {
+                        const tempPartDiv = document.createElement('div');
+                        tempPartDiv.innerHTML = part || ''; // Capture groups in a pattern yield undefined parts
+                        const partText = tempPartDiv.textContent.trim();
+                        if (partText.length > 0 && partText.length < MIN_CONTENT_LENGTH_FOR_SPLIT) {
+                            this.recordDroppedSection(dropped, '', partText, MIN_CONTENT_LENGTH_FOR_SPLIT);
+                        }
+                        return partText.length >= MIN_CONTENT_LENGTH_FOR_SPLIT;
+                    });
+
+                    if (meaningfulParts.length > 1) {
+                        const packetsBySeparator = this.extractPacketsBySeparator(meaningfulParts, filename, dropped);
+                        if (packetsBySeparator.length > 1) {
+                            console.log(`Strategy 2 (Separators: ${pattern}) found ${packetsBySeparator.length} packets.`);
+                            return { strategy: 'separators', packets: packetsBySeparator, dropped }; // Return early if a clear separator is found
+                        }
+                    }
+                }
+            }
+
+            // Strategy 3: Split by significant paragraph breaks (very conservative)
+            // This is the most ambiguous strategy, so it should be the last resort and very strict.
+            const paragraphs = Array.from(tempDiv.querySelectorAll('p'));
+            if (strategy === 'paragraphs' && paragraphs.length > 0) {
+                const dropped = [];
+                return { strategy, packets: this.extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs, dropped), dropped };
+            }
+            if (isAuto && paragraphs.length > 3) { // Need a good number of paragraphs to consider this
+                const dropped = [];
+                const packetsByParagraphs = this.extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs, dropped);
+                 if (packetsByParagraphs.filter(p => p.content.length >= MIN_CONTENT_LENGTH_FOR_SPLIT).length > 1) {
+                    console.log(`Strategy 3 (Paragraph Separation) found ${packetsByParagraphs.length} packets.`);
+                    return { strategy: 'paragraphs', packets: packetsByParagraphs, dropped };
+                } else {
+                    console.log(`Strategy 3 (Paragraph Separation) found segments, but not enough substantial ones to confirm multiple packets.`);
+                }
+            }
+
+            console.log(`No strong multi-packet separation detected for "${filename}".`);
+            return { strategy: isAuto ? 'whole' : strategy, packets: [], dropped: [] }; // Empty result triggers the single-packet fallback in auto mode
+        }
+
+        /**
+         * Finds the headings that start a new packet, using the heading levels chosen in the splitting settings.
+         * @param {HTMLElement} container - The element to search.
+         * @returns {Array<HTMLElement>} The matching heading elements in document order.
+         */
+        getSplitHeadings(container) {
+            const levels = this.splitSettings.headingLevels;
+            return levels.length > 0 ? Array.from(container.querySelectorAll(levels.join(', '))) : [];
+        }
+
+        /**
+         * Builds a separator pattern for a user-defined literal separator such as "#", "§" or "NEW POEM".
+         * The separator matches a paragraph containing only that text (optionally bold or italic),
+         * or a plain-text line by itself.
+         * @param {string} separator - The literal separator text.
+         * @returns {RegExp} A global pattern suitable for String.prototype.split().
+         */
+        buildSeparatorPattern(separator) {
+            const escaped = separator.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return new RegExp(`<p(?:\\s[^>]*)?>\\s*(?:<[^>]+>\\s*)*${escaped}\\s*(?:<\\/[^>]+>\\s*)*<\\/p>|\\n\\s*${escaped}\\s*\\n`, 'gi');
+        }
+
+        /**
+         * Reads whether line numbers were switched on in a previous session.
+         * @returns {boolean} True if poems should be shown and exported with line numbers.
+         */
+        loadLineNumberSetting() {
+            try {
+                return window.localStorage.getItem(LINE_NUMBERS_STORAGE_KEY) === 'true';
+            } catch (error) {
+                console.warn('Could not read the saved line number setting.', error);
+                return false;
+            }
+        }
+
+        /**
+         * Switches line numbers on or off in the packet modal and the downloads, and remembers the choice.
+         * @param {boolean} enabled - True to number every LINE_NUMBER_INTERVAL-th line.
+         */
+        setLineNumbers(enabled) {
+            this.showLineNumbers = enabled;
+            try {
+                window.localStorage.setItem(LINE_NUMBERS_STORAGE_KEY, String(enabled));
+            } catch (error) {
+                console.warn('Could not save the line number setting.', error);
+            }
+            document.querySelectorAll('.line-numbers-toggle').forEach(toggle => { toggle.checked = enabled; });
+
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            if (packet && !this.isEditingPacket) {
+                this.renderPacketModal(packet);
+            }
+            console.log(`Line numbers ${enabled ? 'on' : 'off'}.`);
+        }
+
+        /**
+         * Loads the splitting settings saved in a previous session, falling back to the defaults
+         * for anything missing or invalid.
+         * @returns {Object} The splitting settings.
+         */
+        loadSplitSettings() {
+            try {
+                const saved = JSON.parse(window.localStorage.getItem(SPLIT_SETTINGS_STORAGE_KEY) || 'null');
+                return this.normalizeSplitSettings(saved || {});
+            } catch (error) {
+                console.warn('Could not read saved splitting settings; using defaults.', error);
+                return this.normalizeSplitSettings({});
+            }
+        }
+
+        /**
+         * Validates splitting settings, replacing invalid values with the defaults.
+         * @param {Object} settings - Possibly partial or invalid settings.
+         * @returns {Object} A complete, valid settings object.
+         */
+        normalizeSplitSettings(settings) {
+            const normalized = { ...DEFAULT_SPLIT_SETTINGS };
+            Object.keys(DEFAULT_SPLIT_SETTINGS).forEach(key => {
+                const defaultValue = DEFAULT_SPLIT_SETTINGS[key];
+                const value = settings[key];
+                if (typeof defaultValue === 'number') {
+                    const number = parseInt(value, 10);
+                    normalized[key] = Number.isFinite(number) && number >= 0 ? number : defaultValue;
+                }
+            });
+            normalized.headingLevels = Array.isArray(settings.headingLevels)
+                ? ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'].filter(level => settings.headingLevels.includes(level))
+                : [...DEFAULT_SPLIT_SETTINGS.headingLevels];
+            normalized.customSeparators = Array.isArray(settings.customSeparators)
+                ? settings.customSeparators.map(separator => String(separator).trim()).filter(separator => separator.length > 0)
+                : [];
+            return normalized;
+        }
+
+        /**
+         * Saves the splitting settings so they are used again in later sessions.
+         */
+        saveSplitSettings() {
+            try {
+                window.localStorage.setItem(SPLIT_SETTINGS_STORAGE_KEY, JSON.stringify(this.splitSettings));
+                console.log('Splitting settings saved:', this.splitSettings);
+            } catch (error) {
+                console.error('Failed to save splitting settings:', error);
+                this.showNotification('Could not save splitting settings in this browser.', 'error');
+            }
+        }
+
+        /**
+         * Fills the splitting settings panel from this.splitSettings.
+         */
+        renderSplitSettings() {
+            const panel = document.getElementById('splitSettingsPanel');
+            if (!panel) return;
+
+            panel.querySelectorAll('input[type="number"][data-setting]').forEach(input => {
+                input.value = this.splitSettings[input.dataset.setting];
+            });
+            panel.querySelectorAll('input[type="checkbox"][data-heading-level]').forEach(checkbox => {
+                checkbox.checked = this.splitSettings.headingLevels.includes(checkbox.dataset.headingLevel);
+            });
+            const separatorsInput = document.getElementById('customSeparatorsInput');
+            if (separatorsInput) {
+                separatorsInput.value = this.splitSettings.customSeparators.join('\n');
+            }
+        }
+
+        /**
+         * Reads the splitting settings panel, validates the values and saves them.
+         */
+        updateSplitSettingsFromPanel() {
+            const panel = document.getElementById('splitSettingsPanel');
+            if (!panel) return;
+
+            const settings = {};
+            panel.querySelectorAll('input[type="number"][data-setting]').forEach(input => {
+                settings[input.dataset.setting] = input.value;
+            });
+            settings.headingLevels = Array.from(panel.querySelectorAll('input[type="checkbox"][data-heading-level]:checked'))
+                .map(checkbox => checkbox.dataset.headingLevel);
+            const separatorsInput = document.getElementById('customSeparatorsInput');
+            settings.customSeparators = separatorsInput ? separatorsInput.value.split('\n') : [];
+
+            this.splitSettings = this.normalizeSplitSettings(settings);
+            this.saveSplitSettings();
+            this.renderSplitSettings(); // Show corrected values if any input was invalid
+            this.announceToScreenReader('process-status', 'Splitting settings saved.');
+        }
+
+        /**
+         * Restores the default splitting settings.
+         */
+        resetSplitSettings() {
+            this.splitSettings = this.normalizeSplitSettings({});
+            this.saveSplitSettings();
+            this.renderSplitSettings();
+            this.showNotification('Splitting settings reset to defaults.', 'info');
+        }
+
+        /**
+         * Loads the download templates saved in a previous session: the user's own templates and
+         * which template is selected. Anything unreadable is dropped.
+         * @returns {Object} { selectedId, custom } with each custom template validated.
+         */
+        loadExportTemplates() {
+            try {
+                const saved = JSON.parse(window.localStorage.getItem(EXPORT_TEMPLATES_STORAGE_KEY) || 'null') || {};
+                const custom = (Array.isArray(saved.custom) ? saved.custom : [])
+                    .filter(template => template && typeof template === 'object' && !BUILT_IN_EXPORT_TEMPLATES.some(t => t.id === template.id))
+                    .map(template => this.normalizeExportTemplate(template));
+                return { selectedId: typeof saved.selectedId === 'string' ? saved.selectedId : BUILT_IN_EXPORT_TEMPLATES[0].id, custom };
+            } catch (error) {
+                console.warn('Could not read saved download templates; using the standard template.', error);
+                return { selectedId: BUILT_IN_EXPORT_TEMPLATES[0].id, custom: [] };
+            }
+        }
+
+        /**
+         * Validates a download template, replacing missing or invalid values with the standard template's.
+         * Fonts lose characters that could end the CSS rule they are put in, colours must be #rrggbb
+         * and a font stylesheet must be an https address.
+         * @param {Object} template - A possibly partial or invalid template.
+         * @returns {Object} A complete, valid template.
+         */
+        normalizeExportTemplate(template) {
+            const fallback = BUILT_IN_EXPORT_TEMPLATES[0];
+            const text = (value, fallbackValue, maxLength) => typeof value === 'string' ? value.slice(0, maxLength) : fallbackValue;
+            const font = (value, fallbackValue) => (typeof value === 'string' ? value.replace(/[;{}<>\\]/g, '').trim() : '') || fallbackValue;
+            const colour = (value, fallbackValue) => /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallbackValue;
+            const number = (value, fallbackValue, min, max) => {
+                const parsed = parseFloat(value);
+                return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallbackValue;
+            };
+            const fontUrl = typeof template.fontUrl === 'string' ? template.fontUrl.trim() : '';
+
+            return {
+                id: template.id ? String(template.id) : `custom-${Date.now()}`,
+                name: text(template.name, '', 80).trim() || 'Untitled template',
+                description: text(template.description, '', 300),
+                bodyFont: font(template.bodyFont, fallback.bodyFont),
+                headingFont: font(template.headingFont, fallback.headingFont),
+                fontUrl: /^https:\/\/[^\s"'<>]+$/i.test(fontUrl) ? fontUrl : '',
+                fontSize: number(template.fontSize, fallback.fontSize, 8, 36),
+                lineHeight: number(template.lineHeight, fallback.lineHeight, 1, 3),
+                textColor: colour(template.textColor, fallback.textColor),
+                headingColor: colour(template.headingColor, fallback.headingColor),
+                accentColor: colour(template.accentColor, fallback.accentColor),
+                backgroundColor: colour(template.backgroundColor, fallback.backgroundColor),
+                headerText: text(template.headerText, fallback.headerText, 200),
+                footerText: text(template.footerText, fallback.footerText, 200),
+                customCss: text(template.customCss, '', 20000)
+            };
+        }
+
+        /**
+         * Saves the user's templates and the selected template so they are used again in later sessions.
+         */
+        saveExportTemplates() {
+            try {
+                window.localStorage.setItem(EXPORT_TEMPLATES_STORAGE_KEY, JSON.stringify(this.exportTemplates));
+                console.log(`Download templates saved (${this.exportTemplates.custom.length} custom, "${this.exportTemplates.selectedId}" selected).`);
+            } catch (error) {
+                console.error('Failed to save download templates:', error);
+                this.showNotification('Could not save download templates in this browser.', 'error');
+            }
+        }
+
+        /**
+         * Checks whether a template is one of the built-in ones, which cannot be edited or deleted.
+         * @param {string} id - The template ID.
+         * @returns {boolean} True for a built-in template.
+         */
+        isBuiltInExportTemplate(id) {
+            return BUILT_IN_EXPORT_TEMPLATES.some(template => template.id === id);
+        }
+
+        /**
+         * Returns the template the downloads are made with, falling back to the standard template
+         * if the selected one no longer exists.
+         * @returns {Object} The selected template.
+         */
+        getExportTemplate() {
+            return [...BUILT_IN_EXPORT_TEMPLATES, ...this.exportTemplates.custom].find(template => template.id === this.exportTemplates.selectedId) ||
+                BUILT_IN_EXPORT_TEMPLATES[0];
+        }
+
+        /**
+         * The values filled in for {title} and {date} in a template's header and footer.
+         * @returns {Object} { title, date }.
+         */
+        getExportTemplateValues() {
+            return {
+                title: this.compilationTitle,
+                date: new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+            };
+        }
+
+        /**
+         * Fills in the {title}, {date}, {page} and {pages} placeholders of header or footer text.
+         * Placeholders without a value are left as they are.
+         * @param {string} text - The header or footer text.
+         * @param {Object} values - Values by placeholder name.
+         * @returns {string} The filled-in text.
+         */
+        fillExportTemplateText(text, values) {
+            return (text || '').replace(/\{(title|date|page|pages)\}/g, (match, key) => values[key] !== undefined ? String(values[key]) : match);
+        }
+
+        /**
+         * Converts header or footer text into the value of a CSS content property, using the
+         * page counters for {page} and {pages}.
+         * @param {string} text - The header or footer text.
+         * @returns {string} The CSS content value, or "none" for empty text.
+         */
+        exportTemplateTextToCssContent(text) {
+            const values = this.getExportTemplateValues();
+            const parts = (text || '').split(/(\{page\}|\{pages\})/).filter(Boolean).map(part => {
+                if (part === '{page}') return 'counter(page)';
+                if (part === '{pages}') return 'counter(pages)';
+                const filled = this.fillExportTemplateText(part, values);
+                return `"${filled.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/</g, '\\3C ').replace(/\n/g, '\\A ')}"`;
+            });
+            return parts.length > 0 ? parts.join(' ') : 'none';
+        }
+
+        /**
+         * Builds the stylesheet of the HTML download from a template. The template's fonts and
+         * colours are set as CSS variables (which its custom CSS can use too), the header and
+         * footer become print margin boxes, and the custom CSS comes last so it can override the rest.
+         * @param {Object} template - The download template.
+         * @returns {string} The CSS for the document's <style> element.
+         */
+        getExportTemplateCss(template) {
+            return `
+        :root {
+            --body-font: ${template.bodyFont};
+            --heading-font: ${template.headingFont};
+            --text-color: ${template.textColor};
+            --heading-color: ${template.headingColor};
+            --accent-color: ${template.accentColor};
+            --background-color: ${template.backgroundColor};
+        }
+        body { font-family: var(--body-font); font-size: ${template.fontSize}pt; line-height: ${template.lineHeight}; max-width: 800px; margin: 2em auto; padding: 0 1em; color: var(--text-color); background-color: var(--background-color); }
+        h1, h2, h3 { font-family: var(--heading-font); color: var(--heading-color); margin-top: 1.5em; margin-bottom: 0.5em; }
+        h1 { font-size: 2.2em; text-align: center; border-bottom: 2px solid #eee; padding-bottom: 0.5em; }
+        h2 { font-size: 1.8em; }
+        h3 { font-size: 1.4em; }
+        .packet-section { margin-bottom: 2em; padding-bottom: 1em; border-bottom: 1px dashed #eee; }
+        .packet-section:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
+        /* Poems are laid out stanza by stanza and line by line; indentation is set on each line */
+        .packet-content .stanza { margin: 0 0 1em; }
+        .packet-content .line { margin: 0; padding-left: 2em; text-indent: -2em; } /* Long lines wrap with a hanging indent */
+        .packet-content .line.align-center { text-align: center; padding-left: 0; text-indent: 0; }
+        .packet-content .line.align-right { text-align: right; padding-left: 0; text-indent: 0; }
+        .packet-content .line.align-justify { text-align: justify; }
+        /* A dropped line starts where the line above it ended */
+        .packet-content .line-drop { visibility: hidden; }
+        /* Line numbers sit in a gutter to the left of the poem */
+        .packet-content.numbered { position: relative; padding-left: 3em; }
+        .packet-content .line-number { position: absolute; left: 0; width: 2.2em; text-align: right; text-indent: 0; font-size: 0.8em; color: #999; }
+        .packet-content .list-item { margin: 0 0 0.3em; }
+        .packet-content .table-row { margin: 0; white-space: pre-wrap; }
+        .packet-content pre { white-space: pre-wrap; word-wrap: break-word; font-family: monospace; }
+        /* Basic image styling */
+        .packet-content img { max-width: 100%; height: auto; display: block; margin: 0.5em auto; }
+
+        /* Table of Contents Styling */
+        .table-of-contents {
+            margin: 2em 0;
+            padding: 1em;
+            border: 1px solid #eee;
+            background-color: #f9f9f9;
+            border-radius: 5px;
+        }
+        .table-of-contents h2 {
+            margin-top: 0;
+            font-size: 1.5em;
+            text-align: center;
+            border-bottom: 1px solid #ddd;
+            padding-bottom: 0.5em;
+            margin-bottom: 1em;
+        }
+        .table-of-contents ol {
+            list-style: decimal;
+            padding-left: 2em;
+        }
+        .table-of-contents li {
+            margin-bottom: 0.5em;
+        }
+        .table-of-contents a {
+            color: var(--accent-color);
+            text-decoration: none;
+        }
+        .table-of-contents a:hover {
+            text-decoration: underline;
+        }
+        .table-of-contents .toc-section > a { font-weight: bold; }
+        .table-of-contents ol ol { margin-top: 0.5em; }
+        /* Each section opens with a divider page */
+        .section-divider {
+            min-height: 60vh;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            text-align: center;
+            page-break-before: always;
+            page-break-after: always;
+        }
+        .section-divider h1 { border-bottom: none; font-size: 2.6em; margin: 0; }
+        .section-divider p { color: #666; font-style: italic; }
+        /* Set by the "Start each packet on a new page" download option */
+        .packets-on-new-pages .packet-section { page-break-before: always; }
+        /* Packet details shown under each title */
+        .packet-metadata { margin-bottom: 1.2em; color: #555; }
+        .packet-metadata p { margin: 0 0 0.3em; }
+        .packet-metadata .packet-author { font-variant: small-caps; }
+        .packet-metadata .packet-dedication { font-style: italic; }
+        .packet-metadata .packet-epigraph { font-style: italic; margin: 0.6em 0 0.6em 2em; }
+        .packet-metadata .packet-date-written,
+        .packet-metadata .packet-tags,
+        .packet-metadata .packet-notes,
+        .packet-metadata .packet-source,
+        .packet-metadata .packet-word-count { font-size: 0.85em; color: #777; }
+        /* Front and back matter */
+        .cover-page {
+            min-height: 80vh;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            text-align: center;
+            page-break-after: always;
+        }
+        .cover-page h1 { border-bottom: none; font-size: 3em; margin: 0 0 0.3em; }
+        .cover-page .cover-subtitle { font-size: 1.4em; font-style: italic; margin: 0 0 2em; }
+        .cover-page .cover-editor { font-size: 1.1em; margin: 0 0 0.5em; }
+        .cover-page .cover-date { color: #666; margin: 0; }
+        .table-of-contents .toc-matter { list-style: none; padding-left: 0; margin: 0.5em 0; }
+        .matter-page { page-break-before: always; margin-bottom: 2em; }
+        .matter-page p { margin: 0 0 1em; }
+        .author-index dt { font-weight: bold; margin-top: 0.8em; }
+        .author-index dd { margin-left: 2em; }
+        .first-line-index { list-style: none; padding-left: 0; }
+        .first-line-index li { margin-bottom: 0.4em; padding-left: 2em; text-indent: -2em; }
+        .first-line-index .index-title { font-style: italic; color: #666; }
+        .author-index a, .first-line-index a { color: inherit; text-decoration: none; }
+        /* Running header and footer when printed */
+        @page {
+            margin: 2cm;
+            @top-center { content: ${this.exportTemplateTextToCssContent(template.headerText)}; font-family: ${template.bodyFont}; font-size: 9pt; color: #666; }
+            @bottom-center { content: ${this.exportTemplateTextToCssContent(template.footerText)}; font-family: ${template.bodyFont}; font-size: 9pt; color: #666; }
+        }
+        @page :first { @top-center { content: none; } }
+        @media print { body { max-width: none; margin: 0; padding: 0; } }
+
+        /* Template: ${template.name.replace(/\*\//g, '* /').replace(/<\/(style)/gi, '<\\/$1')} */
+        ${template.customCss.replace(/<\/(style)/gi, '<\\/$1')}
+`;
+        }
+
+        /**
+         * Returns the Word font for a CSS font list: its first font, with generic families
+         * such as serif mapped to a common font of that kind.
+         * @param {string} fontList - A CSS font-family list.
+         * @returns {string} The font name.
+         */
+        getDocxFontName(fontList) {
+            const genericFonts = { 'serif': 'Times New Roman', 'sans-serif': 'Arial', 'monospace': 'Courier New', 'cursive': 'Comic Sans MS', 'fantasy': 'Impact', 'system-ui': 'Calibri' };
+            const first = fontList.split(',')[0].trim().replace(/^['"]|['"]$/g, '');
+            return genericFonts[first.toLowerCase()] || first;
+        }
+
+        /**
+         * Converts header or footer text into Word text runs, with page number fields for
+         * {page} and {pages}.
+         * @param {string} text - The header or footer text.
+         * @param {Object} [runOptions={}] - Formatting for every run.
+         * @returns {Array<Object>} docx TextRuns.
+         */
+        exportTemplateTextToDocxRuns(text, runOptions = {}) {
+            const { TextRun, PageNumber } = window.docx;
+            const values = this.getExportTemplateValues();
+            return (text || '').split(/(\{page\}|\{pages\})/).filter(Boolean).map(part => new TextRun({
+                ...runOptions,
+                children: [part === '{page}' ? PageNumber.CURRENT : part === '{pages}' ? PageNumber.TOTAL_PAGES : this.fillExportTemplateText(part, values)]
+            }));
+        }
+
+        /**
+         * Returns a file name (without extension) made from a compilation title.
+         * @param {string} [title] - The title; the compilation's own by default.
+         * @returns {string} The name, e.g. "Combined_Packets".
+         */
+        getTitleFileBaseName(title = this.compilationTitle) {
+            return title.trim().replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '') || 'Compilation';
+        }
+
+        /**
+         * Returns the file name for a download: the one chosen for this compilation in the
+         * download options, or one made from the compilation title.
+         * @param {string} extension - The file extension, without the dot.
+         * @returns {string} The file name, e.g. "Combined_Packets.html".
+         */
+        getExportFileName(extension) {
+            return `${this.exportFileName || this.getTitleFileBaseName()}.${extension}`;
+        }
+
+        /**
+         * Cleans a file name typed in the download options: any extension and the characters
+         * file systems reject are removed.
+         * @param {*} fileName - The typed name, or anything read from a saved workspace or project file.
+         * @returns {string} The name without extension; empty to name the downloads after the title.
+         */
+        normalizeExportFileName(fileName) {
+            if (typeof fileName !== 'string') return '';
+            return fileName.trim().replace(/\.(html?|docx|pdf)$/i, '').replace(/[\\/:*?"<>|]+/g, '_').trim();
+        }
+
+        /**
+         * Loads the download options saved in a previous session, falling back to the defaults
+         * for anything missing or invalid.
+         * @returns {Object} The download options.
+         */
+        loadExportOptions() {
+            try {
+                const saved = JSON.parse(window.localStorage.getItem(EXPORT_OPTIONS_STORAGE_KEY) || 'null');
+                return this.normalizeExportOptions(saved || {});
+            } catch (error) {
+                console.warn('Could not read saved download options; using defaults.', error);
+                return this.normalizeExportOptions({});
+            }
+        }
+
+        /**
+         * Validates download options, replacing invalid values with the defaults.
+         * @param {Object} options - Possibly partial or invalid options.
+         * @returns {Object} A complete, valid options object.
+         */
+        normalizeExportOptions(options) {
+            const normalized = { ...DEFAULT_EXPORT_OPTIONS };
+            if (typeof options.includeToc === 'boolean') normalized.includeToc = options.includeToc;
+            const newPages = options.packetsOnNewPages && typeof options.packetsOnNewPages === 'object' ? options.packetsOnNewPages : {};
+            normalized.packetsOnNewPages = {};
+            Object.keys(DEFAULT_EXPORT_OPTIONS.packetsOnNewPages).forEach(format => {
+                normalized.packetsOnNewPages[format] = typeof newPages[format] === 'boolean'
+                    ? newPages[format]
+                    : DEFAULT_EXPORT_OPTIONS.packetsOnNewPages[format];
+            });
+            normalized.metadataFields = Array.isArray(options.metadataFields)
+                ? Object.keys(EXPORT_METADATA_FIELDS).filter(field => options.metadataFields.includes(field))
+                : [...DEFAULT_EXPORT_OPTIONS.metadataFields];
+            if (HEADING_RULE_LABELS[options.headingRule]) normalized.headingRule = options.headingRule;
+            return normalized;
+        }
+
+        /**
+         * Saves the download options so they are used again in later sessions.
+         */
+        saveExportOptions() {
+            try {
+                window.localStorage.setItem(EXPORT_OPTIONS_STORAGE_KEY, JSON.stringify(this.exportOptions));
+                console.log('Download options saved:', this.exportOptions);
+            } catch (error) {
+                console.error('Failed to save download options:', error);
+                this.showNotification('Could not save download options in this browser.', 'error');
+            }
+        }
+
+        /**
+         * Fills the download template panel: the template list, the selected template's fields
+         * (read-only for built-in templates) and its preview.
+         */
+        renderExportTemplatePanel() {
+            const panel = document.getElementById('exportTemplatePanel');
+            if (!panel) return;
+
+            const template = this.getExportTemplate();
+            const builtIn = this.isBuiltInExportTemplate(template.id);
+            const option = (t) => `<option value="${this.escapeAttribute(t.id)}">${this.escapeHtml(t.name)}</option>`;
+            const select = document.getElementById('exportTemplateSelect');
+            if (select) {
+                select.innerHTML = `<optgroup label="Built-in">${BUILT_IN_EXPORT_TEMPLATES.map(option).join('')}</optgroup>` +
+                    (this.exportTemplates.custom.length > 0 ? `<optgroup label="Your templates">${this.exportTemplates.custom.map(option).join('')}</optgroup>` : '');
+                select.value = template.id;
+            }
+
+            panel.querySelectorAll('[data-template-field]').forEach(input => {
+                input.value = template[input.dataset.templateField];
+                input.disabled = builtIn;
+            });
+            const nameLabel = document.getElementById('exportTemplateName');
+            if (nameLabel) nameLabel.textContent = template.name;
+            const description = document.getElementById('exportTemplateDescription');
+            if (description) {
+                description.textContent = builtIn
+                    ? `${template.description} Built-in templates can’t be changed; use “Copy as new template” to make your own version.`
+                    : 'Your template. Changes are saved as you make them.';
+            }
+            const deleteBtn = document.getElementById('deleteExportTemplateBtn');
+            if (deleteBtn) deleteBtn.disabled = builtIn;
+            this.renderExportTemplatePreview(template);
+        }
+
+        /**
+         * Reads the template fields of the panel into a validated template, without saving it.
+         * @returns {Object} The selected template with the panel's values.
+         */
+        readExportTemplateFields() {
+            const template = { ...this.getExportTemplate() };
+            document.querySelectorAll('#exportTemplatePanel [data-template-field]').forEach(input => {
+                template[input.dataset.templateField] = input.value;
+            });
+            return this.normalizeExportTemplate(template);
+        }
+
+        /**
+         * Shows a sample of a template's fonts, colours, header and footer in the panel.
+         * @param {Object} template - The template to preview.
+         */
+        renderExportTemplatePreview(template) {
+            const preview = document.getElementById('exportTemplatePreview');
+            if (!preview) return;
+
+            const values = { ...this.getExportTemplateValues(), page: 2, pages: 12 };
+            const line = (text, style = {}) => {
+                const p = document.createElement('p');
+                p.textContent = text;
+                Object.assign(p.style, style);
+                return p;
+            };
+            Object.assign(preview.style, {
+                backgroundColor: template.backgroundColor,
+                color: template.textColor,
+                fontFamily: template.bodyFont,
+                lineHeight: String(template.lineHeight)
+            });
+            preview.replaceChildren(
+                line(this.fillExportTemplateText(template.headerText, values), { fontSize: '0.75rem', color: '#666', textAlign: 'center', marginBottom: '0.75rem' }),
+                line('The Heron', { fontFamily: template.headingFont, color: template.headingColor, fontSize: `${template.fontSize * 1.4}pt`, fontWeight: 'bold' }),
+                line('The grey heron stands', { fontSize: `${template.fontSize}pt` }),
+                line('in the reeds, and waits', { fontSize: `${template.fontSize}pt`, paddingLeft: '2em' }),
+                line('Table of Contents link', { fontSize: `${template.fontSize}pt`, color: template.accentColor, marginTop: '0.5rem' }),
+                line(this.fillExportTemplateText(template.footerText, values), { fontSize: '0.75rem', color: '#666', textAlign: 'center', marginTop: '0.75rem' })
+            );
+        }
+
+        /**
+         * Makes a template the one the downloads use.
+         * @param {string} id - The template ID.
+         */
+        selectExportTemplate(id) {
+            this.exportTemplates.selectedId = id;
+            this.saveExportTemplates();
+            this.renderExportTemplatePanel();
+            const template = this.getExportTemplate();
+            this.announceToScreenReader('process-status', `Downloads will use the ${template.name} template.`);
+            console.log(`Download template "${template.name}" selected.`);
+        }
+
+        /**
+         * Saves the panel's values into the selected template, if it is one of the user's own.
+         */
+        updateExportTemplateFromPanel() {
+            const index = this.exportTemplates.custom.findIndex(template => template.id === this.exportTemplates.selectedId);
+            if (index === -1) return;
+
+            this.exportTemplates.custom[index] = this.readExportTemplateFields();
+            this.saveExportTemplates();
+            this.renderExportTemplatePanel(); // Show corrected values if any input was invalid
+            this.announceToScreenReader('process-status', 'Template saved.');
+        }
+
+        /**
+         * Creates a new template from the selected one and selects it for editing.
+         */
+        copyExportTemplate() {
+            const source = this.getExportTemplate();
+            const template = this.normalizeExportTemplate({ ...source, id: `custom-${Date.now()}`, name: `${source.name} (copy)`, description: '' });
+            this.exportTemplates.custom.push(template);
+            this.selectExportTemplate(template.id);
+            this.showNotification(`Created template "${template.name}". Change its fonts, colours, header and footer below.`, 'success');
+            document.querySelector('#exportTemplatePanel [data-template-field="name"]')?.focus();
+        }
+
+        /**
+         * Deletes the selected template, if it is one of the user's own, and goes back to the
+         * standard template. The notification offers to undo it.
+         */
+        deleteExportTemplate() {
+            const index = this.exportTemplates.custom.findIndex(template => template.id === this.exportTemplates.selectedId);
+            if (index === -1) return;
+
+            const [template] = this.exportTemplates.custom.splice(index, 1);
+            this.selectExportTemplate(BUILT_IN_EXPORT_TEMPLATES[0].id);
+            console.log(`Download template "${template.name}" deleted.`);
+            this.showNotification(`Deleted template "${template.name}".`, 'info', 8000, {
+                label: 'Undo',
+                onClick: () => {
+                    this.exportTemplates.custom.splice(index, 0, template);
+                    this.selectExportTemplate(template.id);
+                }
+            });
+        }
+
+        /**
+         * Validates front and back matter from the workspace or a project file, filling in
+         * defaults and sanitizing the introduction and afterword.
+         * @param {Object} frontMatter - Possibly partial or invalid front matter.
+         * @returns {Object} Complete front matter, shaped like DEFAULT_FRONT_MATTER.
+         */
+        normalizeFrontMatter(frontMatter) {
+            const source = frontMatter && typeof frontMatter === 'object' ? frontMatter : {};
+            const part = (key) => source[key] && typeof source[key] === 'object' ? source[key] : {};
+            const text = (value) => typeof value === 'string' ? value : '';
+            const page = (key) => ({
+                heading: text(part(key).heading).trim() || DEFAULT_FRONT_MATTER[key].heading,
+                html: text(part(key).html) ? this.sanitizeHtml(part(key).html) : ''
+            });
+
+            return {
+                cover: {
+                    enabled: part('cover').enabled === true,
+                    subtitle: text(part('cover').subtitle).trim(),
+                    editor: text(part('cover').editor).trim(),
+                    date: text(part('cover').date).trim()
+                },
+                introduction: page('introduction'),
+                afterword: page('afterword'),
+                index: {
+                    authors: part('index').authors === true,
+                    firstLines: part('index').firstLines === true
+                }
+            };
+        }
+
+        /**
+         * Checks whether an introduction or afterword page has anything on it, so empty pages
+         * are left out of the downloads.
+         * @param {Object} page - this.frontMatter.introduction or .afterword.
+         * @returns {boolean} True if the page has text or images.
+         */
+        hasFrontMatterPage(page) {
+            return /<img\b/i.test(page.html) || this.getPlainTextFromHtml(page.html).length > 0;
+        }
+
+        /**
+         * Fills the front and back matter panel from this.frontMatter and the compilation title.
+         */
+        renderFrontMatterPanel() {
+            const panel = document.getElementById('frontMatterPanel');
+            if (!panel) return;
+
+            panel.querySelectorAll('[data-front-matter]').forEach(field => {
+                const path = field.dataset.frontMatter;
+                const [group, key] = path.split('.');
+                const value = path === 'title' ? this.compilationTitle : this.frontMatter[group][key];
+                if (field.type === 'checkbox') {
+                    field.checked = value;
+                } else if (field.hasAttribute('contenteditable')) {
+                    field.innerHTML = value;
+                } else {
+                    field.value = value;
+                }
+            });
+            this.renderContributorIndexStatus();
+        }
+
+        /**
+         * Shows how many packets the author index will list, since it only covers packets with an author.
+         */
+        renderContributorIndexStatus() {
+            const status = document.getElementById('contributorIndexStatus');
+            if (!status) return;
+            const withAuthor = this.packets.filter(packet => typeof packet.author === 'string' && packet.author.trim()).length;
+            status.textContent = this.packets.length === 0 ? '' :
+                `${withAuthor} of ${this.packets.length} packet${this.packets.length !== 1 ? 's have' : ' has'} an author. Add missing authors under “Details” when editing a packet.`;
+        }
+
+        /**
+         * Reads the front and back matter panel and, if anything changed, saves it to the
+         * workspace as an undoable step.
+         */
+        updateFrontMatterFromPanel() {
+            const panel = document.getElementById('frontMatterPanel');
+            if (!panel) return;
+
+            const frontMatter = JSON.parse(JSON.stringify(this.frontMatter));
+            let title = this.compilationTitle;
+            panel.querySelectorAll('[data-front-matter]').forEach(field => {
+                const path = field.dataset.frontMatter;
+                const [group, key] = path.split('.');
+                const value = field.type === 'checkbox' ? field.checked : field.hasAttribute('contenteditable') ? field.innerHTML : field.value;
+                if (path === 'title') {
+                    title = value.trim() || this.compilationTitle;
+                } else {
+                    frontMatter[group][key] = value;
+                }
+            });
+            const normalized = this.normalizeFrontMatter(frontMatter);
+            if (JSON.stringify(normalized) === JSON.stringify(this.frontMatter) && title === this.compilationTitle) {
+                return;
+            }
+
+            this.recordHistory('Edit front and back matter');
+            this.frontMatter = normalized;
+            this.compilationTitle = title;
+            this.scheduleAutosave();
+            const titleInput = panel.querySelector('[data-front-matter="title"]');
+            if (titleInput) titleInput.value = title; // Put back the title if it was cleared
+            this.announceToScreenReader('process-status', 'Front and back matter saved.');
+            console.log('Front and back matter updated.');
+        }
+
+        /**
+         * Returns the first line of a packet's poem, for the index of first lines.
+         * @param {Object} packet - The packet.
+         * @returns {string} The first line with text, shortened if it is very long (as in prose).
+         */
+        getPacketFirstLine(packet) {
+            const line = this.getStructureText(this.getPacketStructure(packet)).split('\n').map(text => text.trim()).find(Boolean) || '';
+            return line.length > 80 ? `${line.slice(0, 80).replace(/\s+\S*$/, '')}…` : line;
+        }
+
+        /**
+         * Builds the indexes for the back of the compilation from the packets being exported.
+         * Authors are sorted by surname (the last word of the name) and list their packets in
+         * compilation order; first lines are sorted alphabetically, ignoring leading punctuation.
+         * @param {Array<Object>} packets - The packets in compilation order.
+         * @returns {{authors: Array<{name: string, packets: Array<Object>}>, firstLines: Array<{line: string, packet: Object}>}}
+         */
+        getContributorIndex(packets) {
+            const compare = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+            const surnameKey = (name) => {
+                const words = name.split(/\s+/);
+                return `${words[words.length - 1]} ${words.slice(0, -1).join(' ')}`;
+            };
+
+            const authors = new Map();
+            packets.forEach(packet => {
+                const name = typeof packet.author === 'string' ? packet.author.trim().replace(/\s+/g, ' ') : '';
+                if (!name) return;
+                const key = name.toLowerCase();
+                if (!authors.has(key)) authors.set(key, { name, packets: [] });
+                authors.get(key).packets.push(packet);
+            });
+
+            const sortText = (text) => text.replace(/^[^\p{L}\p{N}]+/u, '');
+            return {
+                authors: Array.from(authors.values()).sort((a, b) => compare(surnameKey(a.name), surnameKey(b.name))),
+                firstLines: packets
+                    .map(packet => ({ line: this.getPacketFirstLine(packet), packet }))
+                    .filter(entry => entry.line)
+                    .sort((a, b) => compare(sortText(a.line), sortText(b.line)))
+            };
+        }
+
+        /**
+         * Collects the front and back matter pages that go into a download, leaving out empty
+         * pages and indexes with nothing to list.
+         * @param {Array<Object>} outline - The compilation outline being exported.
+         * @returns {{cover: Object|null, before: Array<Object>, after: Array<Object>}} The cover
+         *     ({ title, subtitle, editor, date }), then the pages before and after the packets. Each
+         *     page has an id, a heading and either html (introduction, afterword), authors or firstLines.
+         */
+        getCompilationMatter(outline) {
+            const { cover, introduction, afterword, index } = this.frontMatter;
+            const contributorIndex = this.getContributorIndex(outline.flatMap(group => group.packets));
+            const after = [];
+            if (this.hasFrontMatterPage(afterword)) {
+                after.push({ id: 'afterword', heading: afterword.heading, html: afterword.html });
+            }
+            if (index.authors && contributorIndex.authors.length > 0) {
+                after.push({ id: 'index-of-authors', heading: 'Index of Authors', authors: contributorIndex.authors });
+            }
+            if (index.firstLines && contributorIndex.firstLines.length > 0) {
+                after.push({ id: 'index-of-first-lines', heading: 'Index of First Lines', firstLines: contributorIndex.firstLines });
+            }
+
+            return {
+                cover: cover.enabled ? { title: this.compilationTitle, subtitle: cover.subtitle, editor: cover.editor, date: cover.date } : null,
+                before: this.hasFrontMatterPage(introduction) ? [{ id: 'introduction', heading: introduction.heading, html: introduction.html }] : [],
+                after
+            };
+        }
+
+        /**
+         * Notes a section that was left out for being under the minimum length, for the import report.
+         * Empty sections (blank paragraphs, bare separators) are not worth reporting and are ignored.
+         * @param {Array<Object>} dropped - The list to add to.
+         * @param {string} title - The section's title, if one was found.
+         * @param {string} content - The section's plain text.
+         * @param {number} minimum - The minimum length it missed.
+         */
+        recordDroppedSection(dropped, title, content, minimum) {
+            const text = content.trim();
+            if (!text) return;
+            const preview = text.replace(/\s+/g, ' ');
+            dropped.push({
+                title: title || (preview.length > 60 ? `${preview.slice(0, 60)}…` : preview),
+                length: text.length,
+                minimum
+            });
+        }
+
+        /**
+         * Extracts packets by identifying text blocks separated by heading tags (h1, h2, h3 unless configured otherwise).
+         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
+         * @param {string} filename - The name of the original file.
+         * @param {NodeList<HTMLElement>|Array<HTMLElement>} headings - The heading elements that start packets.
+         * @param {Array<Object>} [dropped=[]] - Collects sections left out for being under the minimum length.
+         * @returns {Array<Object>} An array of packet objects.
+         */
+        extractPacketsByHeadings(tempDiv, filename, headings, dropped = []) {
+            const packets = [];
+            const allElements = Array.from(tempDiv.children);
+            console.log(`  Extracting by headings for "${filename}". Found ${headings.length} headings.`);
+            const MIN_POEM_LENGTH_HEADING = this.splitSettings.minPoemLengthHeading; // Minimum characters for a packet section identified by heading
+
+            for (let i = 0; i < headings.length; i++) {
+                const currentHeading = headings[i];
+                const nextHeading = headings[i + 1];
+
+                const title = currentHeading.textContent.trim();
+                // Ensure heading is meaningful
+                if (title.length === 0 || title.length > 200 || title.split(/\s+/).length > 20) { // Max 20 words for a title
+                    console.log(`    Skipping heading with invalid title: "${title}"`);
+                    continue;
+                }
+
+                const startIndex = allElements.indexOf(currentHeading);
+                const endIndex = nextHeading ? allElements.indexOf(nextHeading) : allElements.length;
+
+                // Collect all elements between current heading and the next (or end of document)
+                const packetElements = allElements.slice(startIndex + 1, endIndex);
+
+                // Filter out any empty text nodes or very short paragraphs that might be artifacts
+                const meaningfulElements = packetElements.filter(el => {
+                    // Check if element has actual content or is a line break (<br>) or non-empty paragraph
+                    // Consider content beyond just whitespace or &nbsp;
+                    return el.textContent.trim().length > 0 || (el.tagName === 'P' && el.innerHTML.trim() !== '&nbsp;' && el.innerHTML.trim() !== '');
+                });
+
+                if (meaningfulElements.length === 0) {
+                    console.log(`    Skipping heading "${title}" as no meaningful content found before next heading/end.`);
+                    continue;
+                }
+
+                // Preserve the structure and formatting as much as possible for htmlContent
+                const packetHtml = meaningfulElements.map(el => el.outerHTML).join('\n');
+                const packetContent = meaningfulElements.map(el => {
+                    // Convert <br> to newline, otherwise use textContent.
+                    // This is for plain text content for word count and duplication check.
+                    return el.tagName === 'BR' ? '\n' : el.textContent;
+                }).join('\n').trim();
+
+                // Add the heading itself to the packet's htmlContent to retain its styling
+                const fullPacketHtml = currentHeading.outerHTML + '\n' + packetHtml;
+
+                if (packetContent.length >= MIN_POEM_LENGTH_HEADING) {
+                    packets.push(this.createPacketObject(title, packetContent, fullPacketHtml, filename));
+                } else {
+                    console.log(`    Skipping heading "${title}" due to insufficient content (${packetContent.length} chars).`);
+                    this.recordDroppedSection(dropped, title, packetContent, MIN_POEM_LENGTH_HEADING);
+                }
+            }
+            console.log(`  Finished heading extraction. Found ${packets.length} packets.`);
+            return packets;
+        }
+
+        /**
+         * Extracts packets by identifying blocks of paragraphs separated by empty or very short paragraphs.
+         * This strategy is now very conservative.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
+         * @param {string} filename - The name of the original file.
+         * @param {NodeList<HTMLElement>} paragraphs - A NodeList of paragraph elements.
+         * @param {Array<Object>} [dropped=[]] - Collects sections left out for being under the minimum length.
+         * @returns {Array<Object>} An array of packet objects.
+         */
+        extractPacketsByParagraphSeparation(tempDiv, filename, paragraphs, dropped = []) {
+            const packets = [];
+            let currentPacketElements = [];
+            let currentTitle = '';
+            let packetIndex = 1;
+            console.log(`  Extracting by paragraph separation for "${filename}". Found ${paragraphs.length} paragraphs.`);
+            const MIN_POEM_LENGTH_PARA_SPLIT = this.splitSettings.minPoemLengthParagraphSplit; // Higher minimum for this ambiguous splitting method
+
+            for (let i = 0; i < paragraphs.length; i++) {
+                const p = paragraphs[i];
+                const text = p.textContent.trim();
+                const html = p.outerHTML;
+
+                // A much stricter heuristic for a "significant break" that indicates a new packet.
+                // Require a truly empty paragraph or a paragraph with only non-breaking spaces,
+                // OR at least two consecutive empty-like paragraphs.
+                const isTrulyEmpty = text.length === 0 || p.innerHTML.trim() === '&nbsp;' || p.innerHTML.trim() === '<br>' || p.innerHTML.trim() === '<br />';
+                const isSignificantBreak = isTrulyEmpty && (
+                    (i + 1 < paragraphs.length && (paragraphs[i + 1].textContent.trim().length === 0 || paragraphs[i + 1].innerHTML.trim() === '&nbsp;')) ||
+                    (i + 2 < paragraphs.length && (paragraphs[i + 2].textContent.trim().length === 0 || paragraphs[i + 2].innerHTML.trim() === '&nbsp;'))
+                );
+
+                // Heuristic for what might be a title: short, possibly bold/centered, starts with a capital letter
+                // Be very conservative: must be short AND either bold, centered, or ALL CAPS
+                const mightBeTitle = text.length > 0 && text.length < 100 &&
+                    (p.querySelector('strong, b') || p.style.textAlign === 'center' || (text === text.toUpperCase() && text.length < 50 && text.split(/\s+/).length < 10)); // Max 10 words for an ALL CAPS title
+
+                if (isSignificantBreak) {
+                    if (currentPacketElements.length > 0) {
+                        const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
+                        const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
+                        const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+
+                        if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) { // Ensure substantial content
+                            packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
+                            packetIndex++;
+                            console.log(`    Packet #${packetIndex - 1} identified by significant paragraph break: "${title}"`);
+                        } else {
+                            console.log(`    Skipping short packet segment before break (length: ${packetContent.length}). Likely part of previous/next.`);
+                            this.recordDroppedSection(dropped, currentTitle, packetContent, MIN_POEM_LENGTH_PARA_SPLIT);
+                        }
+                        currentPacketElements = [];
+                        currentTitle = '';
+                    }
+                    // Skip the actual empty/break paragraphs from being added to any packet's content
+                } else if (mightBeTitle && currentPacketElements.length === 0) {
+                    // If it's a potential title and no current packet content, start a new one
+                    currentTitle = text;
+                    currentPacketElements.push(p);
+                    console.log(`    Potential title detected: "${text}"`);
+                } else {
+                    currentPacketElements.push(p);
+                }
+            }
+
+            // Add any remaining packet elements after the loop finishes
+            if (currentPacketElements.length > 0) {
+                const packetContent = currentPacketElements.map(el => el.textContent).join('\n').trim();
+                const packetHtml = currentPacketElements.map(el => el.outerHTML).join('\n');
+                const title = currentTitle || `Packet ${packetIndex} from ${filename}`;
+
+                if (packetContent.length >= MIN_POEM_LENGTH_PARA_SPLIT) {
+                    packets.push(this.createPacketObject(title, packetContent, packetHtml, filename));
+                    console.log(`    Last packet identified: "${title}"`);
+                } else {
+                    console.log(`    Skipping last packet segment due to insufficient content (length: ${packetContent.length}). Likely part of previous/next.`);
+                    this.recordDroppedSection(dropped, currentTitle, packetContent, MIN_POEM_LENGTH_PARA_SPLIT);
+                }
+            }
+            console.log(`  Finished paragraph separation. Found ${packets.length} packets.`);
+            return packets;
+        }
+
+        /**
+         * Extracts packets by identifying blocks of HTML content based on detected separator patterns.
+         * @param {Array<string>} htmlParts - Array of HTML strings separated by a pattern.
+         * @param {string} filename - The name of the original file.
+         * @param {Array<Object>} [dropped=[]] - Collects sections left out for being under the minimum length.
+         * @returns {Array<Object>} An array of packet objects.
+         */
+        extractPacketsBySeparator(htmlParts, filename, dropped = []) {
+            const packets = [];
+            console.log(`  Extracting by custom separators for "${filename}". Found ${htmlParts.length} parts.`);
+            const MIN_POEM_LENGTH_SEPARATOR = this.splitSettings.minPoemLengthSeparator; // Minimum characters for a packet section identified by separator
+
+            htmlParts.forEach((part, index) => {
+                const tempDiv = document.createElement('div');
+                tempDiv.innerHTML = part.trim();
+                const content = tempDiv.textContent.trim();
+
+                // If the part is just the separator itself or very short, skip it
+                if (content.length < MIN_POEM_LENGTH_SEPARATOR && !tempDiv.querySelector('p, h1, h2, h3, h4, h5, h6, pre')) {
+                    console.log(`    Skipping part ${index + 1} due to insufficient content after separator.`);
+                    this.recordDroppedSection(dropped, '', content, MIN_POEM_LENGTH_SEPARATOR);
+                    return;
+                }
+
+                // Attempt to find a title within this part, prioritizing headings or bold/centered text
+                let title = '';
+                const headings = this.getSplitHeadings(tempDiv);
+                if (headings.length > 0) {
+                    title = headings[0].textContent.trim();
+                } else {
+                    const paragraphs = tempDiv.querySelectorAll('p');
+                    if (paragraphs.length > 0) {
+                        const firstParaText = paragraphs[0].textContent.trim();
+                        if (firstParaText.length > 0 && firstParaText.length < 150) {
+                            const isBold = paragraphs[0].querySelector('strong, b') !== null;
+                            const isCentered = paragraphs[0].style.textAlign === 'center';
+                            if (isBold || isCentered) {
+                                title = firstParaText;
+                            }
+                        }
+                    }
+                }
+
+                if (!title) {
+                    // Fallback to first non-empty line as title if no clear title found
+                    const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+                    const firstLine = lines[0] || '';
+                    if (firstLine.length > 0 && firstLine.length < 100) {
+                        title = firstLine;
+                    } else {
+                        title = `Packet ${index + 1} from ${filename}`;
+                    }
+                }
+
+                if (content.length >= MIN_POEM_LENGTH_SEPARATOR) {
+                    packets.push(this.createPacketObject(title, content, part.trim(), filename));
+                    console.log(`    Packet #${index + 1} identified by separator: "${title}"`);
+                } else {
+                    console.log(`    Skipping segment after separator due to insufficient content (length: ${content.length}).`);
+                    this.recordDroppedSection(dropped, title, content, MIN_POEM_LENGTH_SEPARATOR);
+                }
+            });
+            console.log(`  Finished separator extraction. Found ${packets.length} packets.`);
+            return packets;
+        }
+
+
+        /**
+         * Creates a single packet object from an entire document when multiple packets are not detected.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} html - The full HTML content from Mammoth.js.
+         * @param {string} content - The full plain text content of the document.
+         * @param {string} [documentTitle] - The title stored in the document's properties, used if the text has none.
+         * @returns {Object} A single packet object.
+         */
+        createSinglePacketFromDocument(tempDiv, filename, html, content, documentTitle) {
+            console.log(`Creating single packet object for "${filename}".`);
+            const title = this.extractTitle(tempDiv, filename, documentTitle);
+            return this.createPacketObject(title, content, html, filename); // The full HTML of the document as a single packet
+        }
+
+        /**
+         * Counts the words in a piece of plain text.
+         * @param {string} text - The text to count.
+         * @returns {number} The number of whitespace-separated words.
+         */
+        countWords(text) {
+            return text.split(/\s+/).filter(word => word.length > 0).length;
+        }
+
+        /**
+         * Builds a packet's plain text from its HTML: one line per verse line (including lines
+         * ended by a <br>), a blank line between stanzas, and indentation kept as spaces.
+         * @param {string} html - The packet HTML.
+         * @returns {string} The plain text content.
+         */
+        getPlainTextFromHtml(html) {
+            return this.getStructureText(this.buildPacketStructure(html)).trim();
+        }
+
+        /**
+         * Reads the stanzas and lines of a poem from its HTML, so that line breaks, indentation,
+         * dropped lines and wide (caesura) spacing survive every export.
+         *
+         * Lines end at a <br> or a paragraph. A paragraph of several lines is a stanza. When the
+         * poem has empty paragraphs between its lines, those separate the stanzas and each other
+         * paragraph is a line. Without them, short one-line paragraphs are the lines of a single
+         * stanza and longer paragraphs (prose) are stanzas of their own. Indentation is counted
+         * in columns (about half an em each) from leading non-breaking spaces and the
+         * paragraph's margin, padding or text-indent. Spacing
+         * inside a line is kept as non-breaking spaces in the runs. Headings, list items, table
+         * rows, preformatted text and rules are not verse and are kept as they are.
+         * @param {string} html - The poem's HTML.
+         * @returns {{stanzas: Array<Object>}} Stanzas in reading order. A stanza is either
+         *     {lines: Array<{runs, indent, dropped, align}>}, with runs as from htmlToBlocks(),
+         *     or {block} holding a non-verse block from htmlToBlocks().
+         */
+        buildPacketStructure(html) {
+            const blocks = this.htmlToBlocks(html);
+            const isVerse = (block) => block.type === 'paragraph' && !block.tableRow && !block.preformatted;
+            const hasText = (block) => block.runs.some(run => run.image || (run.text && run.text.trim()));
+            // Blank paragraphs between lines mean every paragraph is a line and the blanks separate stanzas
+            const verseBlocks = blocks.filter(isVerse);
+            const firstLine = verseBlocks.findIndex(hasText);
+            const lastLine = verseBlocks.length - 1 - [...verseBlocks].reverse().findIndex(hasText);
+            const textBlocks = verseBlocks.filter(hasText);
+            const averageLength = textBlocks.reduce((sum, block) => sum + this.getRunsText(block.runs).length, 0) / (textBlocks.length || 1);
+            const linesPerParagraph = verseBlocks.some((block, index) => index > firstLine && index < lastLine && !hasText(block)) ||
+                // One short line per paragraph with nothing between them: the stanza breaks were lost, so keep the lines together
+                (!textBlocks.some(block => block.runs.some(run => run.break)) && averageLength <= 100);
+
+            const stanzas = [];
+            let current = null;
+            const closeStanza = () => {
+                if (current && current.lines.length > 0) stanzas.push(current);
+                current = null;
+            };
+
+            blocks.forEach(block => {
+                if (!isVerse(block)) {
+                    closeStanza();
+                    stanzas.push({ block });
+                    return;
+                }
+                if (!hasText(block)) {
+                    closeStanza();
+                    return;
+                }
+                // A paragraph of several lines (split by <br>) is always a stanza of its own
+                const multiLine = block.runs.some(run => run.break);
+                if (!linesPerParagraph || multiLine) closeStanza();
+                if (!current) current = { lines: [] };
+
+                // Split the paragraph's runs into lines at each <br>
+                const lineRuns = [[]];
+                block.runs.forEach(run => {
+                    if (run.break) {
+                        lineRuns.push([]);
+                    } else {
+                        lineRuns[lineRuns.length - 1].push(run);
+                    }
+                });
+                lineRuns.forEach((runs, index) => {
+                    const line = this.createStructureLine(runs, block, index === 0);
+                    if (!line) return;
+                    const previous = current.lines[current.lines.length - 1];
+                    if (previous && line.indent >= 8) {
+                        // A line that starts about where the one above ended continues it one line down
+                        const previousEnd = previous.indent + this.getRunsText(previous.runs).length;
+                        line.dropped = line.indent >= previousEnd - 2;
+                    }
+                    current.lines.push(line);
+                });
+                if (multiLine) closeStanza();
+            });
+            closeStanza();
+            return { stanzas };
+        }
+
+        /**
+         * Builds one verse line for buildPacketStructure(): collapses ordinary whitespace (including
+         * tabs) as a browser would, and moves leading non-breaking spaces into the indentation.
+         * @param {Array<Object>} runs - The line's runs, as from htmlToBlocks().
+         * @param {Object} block - The paragraph block the line belongs to.
+         * @param {boolean} isFirst - Whether this is the paragraph's first line (text-indent applies to it).
+         * @returns {{runs: Array<Object>, indent: number, dropped: boolean, align: string}|null} The line, or null if it is empty.
+         */
+        createStructureLine(runs, block, isFirst) {
+            let indent = (block.indent || 0) * 6 + (block.indentColumns || 0) + (isFirst ? block.firstLineColumns || 0 : 0);
+            let atStart = true;
+            let afterSpace = false;
+            const lineRuns = [];
+
+            runs.forEach(run => {
+                if (run.image) {
+                    lineRuns.push(run);
+                    atStart = false;
+                    afterSpace = false;
+                    return;
+                }
+                let text = '';
+                for (const char of run.text) {
+                    if (char === '\u00a0') {
+                        if (atStart) {
+                            indent++;
+                        } else {
+                            text += char;
+                            afterSpace = false;
+                        }
+                    } else if (/\s/.test(char)) {
+                        // Ordinary whitespace collapses to one space and is dropped at the start of the line
+                        if (!atStart && !afterSpace) text += ' ';
+                        afterSpace = true;
+                    } else {
+                        text += char;
+                        atStart = false;
+                        afterSpace = false;
+                    }
+                }
+                if (text) lineRuns.push({ ...run, text });
+            });
+
+            // Trim trailing spaces
+            while (lineRuns.length > 0) {
+                const last = lineRuns[lineRuns.length - 1];
+                if (last.image) break;
+                const trimmed = last.text.replace(/[\s\u00a0]+$/, '');
+                if (trimmed) {
+                    lineRuns[lineRuns.length - 1] = { ...last, text: trimmed };
+                    break;
+                }
+                lineRuns.pop();
+            }
+            if (lineRuns.length === 0) return null;
+            return { runs: lineRuns, indent: Math.max(0, Math.round(indent)), dropped: false, align: block.align || 'left' };
+        }
+
+        /**
+         * Joins the text of a list of runs.
+         * @param {Array<Object>} runs - Runs as from htmlToBlocks().
+         * @returns {string} Their text; images and line breaks are left out.
+         */
+        getRunsText(runs) {
+            return runs.map(run => run.text || '').join('');
+        }
+
+        /**
+         * Writes a structure from buildPacketStructure() out as plain text.
+         * @param {{stanzas: Array<Object>}} structure - The structure.
+         * @returns {string} One line per verse line, indented with spaces, with a blank line between stanzas.
+         */
+        getStructureText(structure) {
+            return structure.stanzas.map(stanza => {
+                if (stanza.block) {
+                    return this.getRunsText(stanza.block.runs || []);
+                }
+                return stanza.lines.map(line => ' '.repeat(line.indent) + this.getRunsText(line.runs).replace(/\u00a0/g, ' ')).join('\n');
+            }).filter(text => text.trim()).join('\n\n');
+        }
+
+        /**
+         * Estimates the syllables in an English word by counting its vowel groups, allowing for a
+         * silent final "e" and "-ed"/"-es" endings. Words in other languages get a rougher count.
+         * @param {string} word - The word.
+         * @returns {number} The approximate number of syllables; 0 for a word with no letters.
+         */
+        countSyllables(word) {
+            const letters = word.toLowerCase().replace(/[^a-zà-ÿ]/g, '');
+            if (!letters) return 0;
+            if (letters.length <= 3) return 1;
+            const trimmed = letters
+                .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, match => match.charAt(0))
+                .replace(/^y/, '');
+            const groups = trimmed.match(/[aeiouyà-ÿ]{1,2}/g);
+            return Math.max(1, groups ? groups.length : 1);
+        }
+
+        /**
+         * Works out the statistics shown for a poem in the packet modal.
+         * @param {Object} packet - The packet.
+         * @returns {{lineCount: number, stanzaCount: number, syllablesPerLine: Array<Array<number>>,
+         *     averageSyllables: number, averageWords: number, averageCharacters: number, form: string}}
+         *     Counts over the verse lines of the poem; syllablesPerLine has one array per stanza.
+         */
+        getPacketStatistics(packet) {
+            const stanzas = this.getPacketStructure(packet).stanzas.filter(stanza => stanza.lines);
+            const lines = stanzas.flatMap(stanza => stanza.lines.map(line => this.getRunsText(line.runs).replace(/\u00a0/g, ' ').trim()));
+            const words = lines.map(line => line.split(/\s+/).filter(Boolean));
+            const syllablesPerLine = [];
+            let lineIndex = 0;
+            stanzas.forEach(stanza => {
+                syllablesPerLine.push(stanza.lines.map(() => words[lineIndex++].reduce((sum, word) => sum + this.countSyllables(word), 0)));
+            });
+
+            const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+            const statistics = {
+                lineCount: lines.length,
+                stanzaCount: stanzas.length,
+                syllablesPerLine,
+                averageSyllables: average(syllablesPerLine.flat()),
+                averageWords: average(words.map(lineWords => lineWords.length)),
+                averageCharacters: average(lines.map(line => line.length))
+            };
+            statistics.form = this.guessPoemForm(statistics);
+            return statistics;
+        }
+
+        /**
+         * Makes a rough guess at a poem's form from its line, stanza and syllable counts.
+         * @param {Object} statistics - Statistics from getPacketStatistics() (without the form).
+         * @returns {string} A form such as "Sonnet", "Haiku", "Quatrains" or "Free verse".
+         */
+        guessPoemForm({ lineCount, stanzaCount, syllablesPerLine, averageSyllables, averageWords }) {
+            const syllables = syllablesPerLine.flat();
+            const stanzaSizes = syllablesPerLine.map(stanza => stanza.length);
+            const near = (actual, expected) => actual.length === expected.length && actual.every((count, i) => Math.abs(count - expected[i]) <= 1);
+            const spread = Math.sqrt(syllables.reduce((sum, count) => sum + (count - averageSyllables) ** 2, 0) / (syllables.length || 1));
+
+            if (lineCount === 0) return 'No verse lines';
+            if (near(syllables, [5, 7, 5])) return 'Haiku';
+            if (near(syllables, [5, 7, 5, 7, 7])) return 'Tanka';
+            if (lineCount === 14 && averageSyllables >= 8 && averageSyllables <= 12) return 'Sonnet';
+            if (lineCount === 19 && stanzaCount === 6 && stanzaSizes.slice(0, 5).every(size => size === 3)) return 'Villanelle';
+            if (lineCount === 39 && stanzaCount === 7) return 'Sestina';
+            if (lineCount === 5 && stanzaCount === 1 && syllables[2] < syllables[0] && syllables[3] < syllables[4]) return 'Limerick';
+            if (averageWords > 25 && stanzaSizes.every(size => size <= 2)) return 'Prose poem';
+
+            const stanzaNames = { 2: 'Couplets', 3: 'Tercets', 4: 'Quatrains', 5: 'Quintains', 6: 'Sestets', 8: 'Octaves' };
+            if (stanzaCount > 1 && stanzaSizes.every(size => size === stanzaSizes[0]) && stanzaNames[stanzaSizes[0]]) {
+                return stanzaNames[stanzaSizes[0]];
+            }
+            if (lineCount >= 6 && spread <= 1.2) return `Regular metre (about ${Math.round(averageSyllables)} syllables a line)`;
+            return 'Free verse';
+        }
+
+        /**
+         * Returns the stanzas and lines of a packet's poem, as exported: without the heading that
+         * repeats the title or the lines that repeat its details (see getCleanedPacketHtml()).
+         * The structure is built when first needed and kept in this.packetStructures, outside the
+         * packet, so it is never saved; it is built again once the HTML, title or details change.
+         * @param {Object} packet - The packet.
+         * @returns {{stanzas: Array<Object>}} The structure, as from buildPacketStructure().
+         */
+        getPacketStructure(packet) {
+            const inputs = [packet.htmlContent, packet.title, packet.author, packet.dedication, packet.epigraph, packet.dateWritten, (packet.unconfirmedDetails || []).join()];
+            const cached = this.packetStructures.get(packet);
+            if (cached && cached.inputs.every((value, index) => value === inputs[index])) {
+                return cached.structure;
+            }
+            const structure = this.buildPacketStructure(this.getCleanedPacketHtml(packet));
+            this.packetStructures.set(packet, { inputs, structure });
+            return structure;
+        }
+
+        /**
+         * Returns the stanzas and lines a download uses for a packet. With the default heading
+         * rule and all details shown this is the packet's own structure; otherwise the structure
+         * is built for the chosen download options.
+         * @param {Object} packet - The packet.
+         * @returns {{stanzas: Array<Object>}} The structure, as from buildPacketStructure().
+         */
+        getExportPacketStructure(packet) {
+            const { headingRule, metadataFields } = this.exportOptions;
+            const repeatedFields = ['author', 'dedication', 'epigraph', 'dateWritten']; // Those removeMetadataBlocks() looks for
+            if (headingRule === DEFAULT_EXPORT_OPTIONS.headingRule && repeatedFields.every(field => metadataFields.includes(field))) {
+                return this.getPacketStructure(packet);
+            }
+            return this.buildPacketStructure(this.getCleanedPacketHtml(packet, { headingRule, metadataFields }));
+        }
+
+        /**
+         * Cleans HTML that did not come from Mammoth.js (e.g. typed or pasted into the editor, or
+         * read from another kind of document or a project file), keeping only the elements,
+         * attributes and URLs allowed by SANITIZE_ALLOWED_TAGS and its companions.
+         * @param {string} html - The untrusted HTML.
+         * @returns {string} HTML that is safe to store and render.
+         */
+        sanitizeHtml(html) {
+            // A plain element, not a <template>: in the import worker's DOM (linkedom) a template's
+            // content is detached from its innerHTML, so removals there would not reach the result.
+            // In the page the element belongs to an inert document, so its images do not load (and
+            // their handlers cannot run) while it is being cleaned.
+            const inertDocument = document.implementation ? document.implementation.createHTMLDocument('') : document;
+            const container = inertDocument.createElement('div');
+            container.innerHTML = html;
+            Array.from(container.querySelectorAll('*')).forEach(el => {
+                const tag = el.localName.toLowerCase();
+                if (SANITIZE_DROPPED_TAGS.has(tag)) {
+                    el.remove();
+                    return;
+                }
+                if (!SANITIZE_ALLOWED_TAGS.has(tag)) {
+                    // Unknown elements are unwrapped, keeping their text
+                    while (el.firstChild) el.parentNode.insertBefore(el.firstChild, el);
+                    el.remove();
+                    return;
+                }
+                const allowed = [...SANITIZE_ALLOWED_ATTRIBUTES['*'], ...(SANITIZE_ALLOWED_ATTRIBUTES[tag] || [])];
+                Array.from(el.attributes).forEach(attr => {
+                    const name = attr.name.toLowerCase();
+                    if (!allowed.includes(name)) {
+                        el.removeAttribute(attr.name);
+                    } else if (name === 'href' || name === 'src') {
+                        const url = this.isSafeUrl(attr.value, { image: name === 'src' });
+                        if (url) el.setAttribute(attr.name, url);
+                        else el.removeAttribute(attr.name);
+                    } else if (name === 'style') {
+                        const style = attr.value.split(';')
+                            .map(declaration => declaration.split(':').map(part => part.trim()))
+                            .filter(([property, value, ...rest]) => rest.length === 0 && SANITIZE_ALLOWED_STYLES.includes((property || '').toLowerCase()) && /^[\w\s.%#-]+$/.test(value || ''))
+                            .map(([property, value]) => `${property.toLowerCase()}: ${value}`)
+                            .join('; ');
+                        if (style) el.setAttribute('style', style);
+                        else el.removeAttribute('style');
+                    }
+                });
+            });
+            return container.innerHTML.trim();
+        }
+
+        /**
+         * Checks a link or image URL from outside the app. Only http(s):, mailto: and # links are
+         * allowed, and for images also data:image/ URLs. Control characters and whitespace are
+         * removed first, as browsers ignore them (so "java&#9;script:" is still javascript:).
+         * @param {string} url - The URL.
+         * @param {{image?: boolean}} [options={}] - With image, data:image/ URLs are allowed too.
+         * @returns {string|null} The cleaned URL, or null if it is not allowed.
+         */
+        isSafeUrl(url, options = {}) {
+            const cleaned = String(url || '').replace(/[\u0000-\u0020\u007f-\u009f\u00a0\u1680\u2000-\u200f\u2028\u2029\u202f\u205f\u3000\ufeff]/g, '');
+            if (/^(?:https?:|mailto:|#)/i.test(cleaned)) return cleaned;
+            if (options.image && /^data:image\//i.test(cleaned)) return cleaned;
+            return null;
+        }
+
+        /**
+         * Creates a packet object with all necessary properties. The plain text is rebuilt
+         * from the HTML so that it keeps the poem's line breaks and stanzas.
+         * @param {string} title - The title of the packet.
+         * @param {string} content - The plain text content of the packet, used if the HTML yields none.
+         * @param {string} htmlContent - The HTML content of the packet.
+         * @param {string} filename - The original filename from which the packet was extracted.
+         * @returns {Object} The packet object.
+         */
+        createPacketObject(title, content, htmlContent, filename) {
+            content = this.getPlainTextFromHtml(htmlContent) || content;
+            const wordCount = this.countWords(content);
+            const packet = {
+                id: Date.now() + Math.random(),
+                title: title,
+                content: content,
+                htmlContent: htmlContent,
+                filename: filename,
+                wordCount: wordCount,
+                dateAdded: new Date().toISOString(),
+                // Details (see PACKET_METADATA_FIELDS); filled in by detectPacketMetadata() or the editor
+                author: '',
+                dedication: '',
+                epigraph: '',
+                dateWritten: '',
+                tags: [],
+                notes: ''
+            };
+            return packet;
+        }
+
+        /**
+         * Looks for a packet's details in its text: a "by …" line, a dedication ("for …", "in memory
+         * of …") or an epigraph just below the title, and a date on the last line. A "by …" line
+         * counts only when it names someone (capitalised words, no closing punctuation) or is set
+         * apart, in italics or before a blank line, so that a poem opening "By the waters…" keeps
+         * its first line. An author stored in the document's properties is used when the text names none.
+         * @param {Object} packet - The packet.
+         * @param {{author?: string}} [properties={}] - The document's properties.
+         * @returns {Object} The details found, keyed as in PACKET_METADATA_FIELDS; fields not found are left out.
+         */
+        detectPacketMetadata(packet, properties = {}) {
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = packet.htmlContent;
+            const blocks = Array.from(tempDiv.children).filter(block => block.textContent.trim());
+            const textOf = (block) => block.textContent.replace(/\s+/g, ' ').trim();
+            const isItalic = (block) => {
+                const italicText = Array.from(block.querySelectorAll('em, i')).map(el => el.textContent).join('');
+                return italicText.replace(/\s+/g, '') === block.textContent.replace(/\s+/g, '');
+            };
+            const isNameLike = (value) => /\p{L}$/u.test(value) &&
+                /^\p{Lu}[\p{L}'’.-]*(?:\s+(?:\p{Lu}[\p{L}'’.-]*|de|da|del|della|der|di|du|la|le|van|von|bin|ibn|y|and|&))*$/u.test(value);
+            const isSetApart = (block) => isItalic(block) ||
+                (block.nextElementSibling !== null && !block.nextElementSibling.textContent.trim());
+            const metadata = {};
+
+            // Lines between the title and the poem
+            let index = blocks.length > 0 && textOf(blocks[0]).toLowerCase() === packet.title.trim().toLowerCase() ? 1 : 0;
+            while (index < blocks.length && index < 6) {
+                const block = blocks[index];
+                const text = textOf(block);
+                const byLine = text.match(/^by\s+(.{2,80})$/i);
+                const dedication = text.match(/^\(?((?:for|to|in memory of|i\.\s?m\.)\s+.{2,80}?)\)?$/i);
+                const attribution = blocks[index + 1] && /^[—–-]{1,2}\s*\S/.test(textOf(blocks[index + 1]));
+
+                if (!metadata.author && byLine && byLine[1].split(' ').length <= 6 && (isNameLike(byLine[1]) || isSetApart(block))) {
+                    metadata.author = byLine[1].replace(/[.,;:]+$/, '');
+                } else if (!metadata.dedication && dedication && text.split(' ').length <= 10 &&
+                    (isItalic(block) || /^\(.*\)$/.test(text) || /^(in memory of|i\.\s?m\.)/i.test(text))) {
+                    metadata.dedication = dedication[1];
+                } else if (!metadata.epigraph && block.tagName === 'BLOCKQUOTE') {
+                    metadata.epigraph = block.innerText !== undefined ? block.innerText.trim() : block.textContent.trim();
+                } else if (!metadata.epigraph && isItalic(block) && attribution) {
+                    // An italic quotation followed by "— Its Author"
+                    metadata.epigraph = `${text}\n${textOf(blocks[index + 1])}`;
+                    index++;
+                } else {
+                    break; // The poem itself has started
+                }
+                index++;
+            }
+
+            // A date on the last line, e.g. "May 2019", "(1998)", "12.3.2021" or "2021-03-12"
+            const lastBlock = blocks[blocks.length - 1];
+            if (lastBlock && index < blocks.length) {
+                const text = textOf(lastBlock);
+                const datePattern = /^\(?(?:(?:\d{1,2}(?:st|nd|rd|th)?\s+)?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec|spring|summer|autumn|fall|winter)[a-z]*\.?,?\s+(?:\d{1,2}(?:st|nd|rd|th)?,?\s+)?)?(?:1[5-9]|20)\d{2}\)?$|^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$|^\d{4}-\d{2}-\d{2}$/i;
+                if (datePattern.test(text)) {
+                    metadata.dateWritten = text.replace(/^\((.*)\)$/, '$1');
+                }
+            }
+
+            if (!metadata.author && properties.author) {
+                metadata.author = properties.author;
+            }
+            if (Object.keys(metadata).length > 0) {
+                console.log(`Details found for "${packet.title}":`, metadata);
+            }
+            return metadata;
+        }
+
+        /**
+         * Validates a packet's details read from storage, a project file or the edit form.
+         * @param {Object} raw - An object that may carry the fields in PACKET_METADATA_FIELDS.
+         * @returns {Object} Every field, as trimmed strings and a list of unique tags.
+         */
+        normalizePacketMetadata(raw) {
+            const metadata = {};
+            Object.keys(PACKET_METADATA_FIELDS).forEach(field => {
+                if (field === 'tags') {
+                    const tags = Array.isArray(raw.tags) ? raw.tags : typeof raw.tags === 'string' ? raw.tags.split(',') : [];
+                    metadata.tags = [...new Set(tags.filter(tag => typeof tag === 'string').map(tag => tag.trim()).filter(Boolean))];
+                } else {
+                    metadata[field] = typeof raw[field] === 'string' ? raw[field].trim() : '';
+                }
+            });
+            return metadata;
+        }
+
+        /**
+         * Lists a packet's filled-in details as lines of text, in the order they are shown and exported.
+         * @param {Object} packet - The packet.
+         * @param {Array<string>} [fields] - Keys of EXPORT_METADATA_FIELDS to include; the packet's own details by default.
+         * @returns {Array<{field: string, text: string}>} One entry per detail; the epigraph may span several lines.
+         */
+        getPacketMetadataLines(packet, fields = Object.keys(PACKET_METADATA_FIELDS)) {
+            const metadata = this.normalizePacketMetadata(packet);
+            const lines = [];
+            if (metadata.author) lines.push({ field: 'author', text: `by ${metadata.author}` });
+            if (metadata.dedication) lines.push({ field: 'dedication', text: metadata.dedication });
+            if (metadata.epigraph) lines.push({ field: 'epigraph', text: metadata.epigraph });
+            if (metadata.dateWritten) lines.push({ field: 'dateWritten', text: `Written ${metadata.dateWritten}` });
+            if (metadata.tags.length > 0) lines.push({ field: 'tags', text: `Tags: ${metadata.tags.join(', ')}` });
+            if (metadata.notes) lines.push({ field: 'notes', text: `Notes: ${metadata.notes}` });
+            if (packet.filename) lines.push({ field: 'source', text: `Source: ${packet.filename}` });
+            lines.push({ field: 'wordCount', text: `Words: ${packet.wordCount}` });
+            return lines.filter(line => fields.includes(line.field));
+        }
+
+        /**
+         * Extracts a title from the document HTML, using various heuristics.
+         * @param {HTMLElement} tempDiv - The temporary div containing the document's HTML.
+         * @param {string} filename - The original filename.
+         * @param {string} [documentTitle] - The title stored in the document's properties, preferred over the filename as a last resort.
+         * @returns {string} The extracted or generated title.
+         */
+        extractTitle(tempDiv, filename, documentTitle) {
+            let title = '';
+            console.log(`Attempting to extract title for "${filename}".`);
+
+            // Prioritize actual heading tags
+            const headings = tempDiv.querySelectorAll('h1, h2, h3');
+            for (let i = 0; i < headings.length; i++) {
+                const hText = headings[i].textContent.trim();
+                // Ensure heading is meaningful (not too short/long, not just numbers etc)
+                if (hText.length > 0 && hText.length < 150 && hText.split(/\s+/).length < 25 && /[a-zA-Z]/.test(hText)) {
+                    title = hText;
+                    console.log(`  Title found from heading: "${title}"`);
+                    break;
+                }
+            }
+
+            // If no heading, check first few paragraphs for bold/centered text
+            if (!title) {
+                const paragraphs = tempDiv.querySelectorAll('p');
+                for (let i = 0; i < Math.min(3, paragraphs.length); i++) {
+                    const p = paragraphs[i];
+                    const pText = p.textContent.trim();
+                    if (pText.length > 0 && pText.length < 150) {
+                        const isBold = p.querySelector('strong, b') !== null;
+                        const isCentered = p.style.textAlign === 'center';
+                        const isAllCaps = pText === pText.toUpperCase() && pText.length < 50 && pText.split(/\s+/).length < 10;
+
+                        if (isBold || isCentered || isAllCaps) {
+                            title = pText;
+                            console.log(`  Title found from bold/centered/all caps paragraph: "${title}"`);
+                            break;
+                        }
+                    }
+                }
+            }
+
+            // As a last resort, use the first non-empty line of content or filename
+            if (!title) {
+                const paragraphs = tempDiv.querySelectorAll('p');
+                if (paragraphs.length > 0) {
+                    const firstMeaningfulParagraph = Array.from(paragraphs).find(p => p.textContent.trim().length > 0);
+                    if (firstMeaningfulParagraph) {
+                        const firstParagraphText = firstMeaningfulParagraph.textContent.trim();
+                        if (firstParagraphText.length > 0) {
+                            const firstLine = firstParagraphText.split('\n')[0].trim();
+                            if (firstLine.length > 0 && firstLine.length < 150 && firstLine.split(/\s+/).length < 25) {
+                                title = firstLine;
+                                console.log(`  Title found from first line of first meaningful paragraph: "${title}"`);
+                            }
+                        }
+                    }
+                }
+            }
+
+            if (!title && documentTitle) {
+                title = documentTitle;
+                console.log(`  Title taken from the document properties: "${title}"`);
+            }
+
+            if (!title) {
+                title = filename.replace(/\.[a-z0-9]+$/i, '').replace(/[_-]/g, ' ').trim();
+                console.log(`  Title falling back to cleaned filename: "${title}"`);
+            }
+
+            // Capitalize first letter of fallback titles for better display
+            if (title.startsWith('packet ') && title.toLowerCase().includes('from')) {
+                 // Leave "Packet X from file" as is
+            } else if (title.length > 0) {
+                title = title.charAt(0).toUpperCase() + title.slice(1);
+            }
+
+            return title;
+        }
+
+        /**
+         * Returns the section a packet belongs to, or null if it is not in one (or its section was deleted).
+         * @param {Object} packet - The packet.
+         * @returns {string|number|null} The section ID.
+         */
+        getPacketSectionId(packet) {
+            return packet.sectionId !== undefined && packet.sectionId !== null && this.sections.some(section => section.id == packet.sectionId)
+                ? packet.sectionId
+                : null;
+        }
+
+        /**
+         * Groups the packets by section in display order: packets outside any section first,
+         * then each section in order. Empty sections are included.
+         * @returns {Array<{section: Object|null, packets: Array<Object>}>} The groups.
+         */
+        getPacketGroups() {
+            const groups = [{ section: null, packets: [] }, ...this.sections.map(section => ({ section, packets: [] }))];
+            this.packets.forEach(packet => {
+                const sectionId = this.getPacketSectionId(packet);
+                const group = sectionId === null ? groups[0] : groups.find(g => g.section && g.section.id == sectionId);
+                group.packets.push(packet);
+            });
+            return groups;
+        }
+
+        /**
+         * Returns the groups that have packets, for exporting. When no sections are defined
+         * this is a single group with every packet. While a selection is being exported
+         * (see exportSelectedPackets()), only the selected packets are included.
+         * @returns {Array<{section: Object|null, packets: Array<Object>}>} The non-empty groups.
+         */
+        getCompilationOutline() {
+            const included = (packet) => !this.exportPacketIds || this.exportPacketIds.has(String(packet.id));
+            return this.getPacketGroups()
+                .map(group => ({ ...group, packets: group.packets.filter(included) }))
+                .filter(group => group.packets.length > 0);
+        }
+
+        /**
+         * Reorders this.packets so each section's packets are together and sections follow their
+         * order, keeping the packets' relative order. The flat array therefore stays the
+         * compilation order that all exports use.
+         */
+        normalizePacketOrder() {
+            this.packets = this.getPacketGroups().flatMap(group => group.packets);
+        }
+
+        /**
+         * Validates a list of sections read from storage or a project file. Sections whose ID is
+         * not safe (see isSafeId()) are left out.
+         * @param {Array<Object>} sections - The stored sections.
+         * @returns {Array<{id: (string|number), name: string}>} The usable sections.
+         */
+        normalizeSections(sections) {
+            if (!Array.isArray(sections)) return [];
+            const seen = new Set();
+            return sections
+                .filter(section => section && typeof section.name === 'string' && section.name.trim() && this.isSafeId(section.id))
+                .filter(section => !seen.has(String(section.id)) && seen.add(String(section.id)))
+                .map(section => ({ id: section.id, name: section.name.trim() }));
+        }
+
+        /**
+         * Creates a new, empty section at the end of the list.
+         * @param {string} name - The section name, e.g. an author, theme or workshop week.
+         * @returns {boolean} True if the section was added.
+         */
+        addSection(name) {
+            const trimmed = (name || '').trim();
+            if (!trimmed) {
+                this.showNotification('Please enter a name for the section.', 'warning');
+                return false;
+            }
+            if (this.sections.some(section => section.name.toLowerCase() === trimmed.toLowerCase())) {
+                this.showNotification(`There is already a section called "${trimmed}".`, 'warning');
+                return false;
+            }
+
+            this.recordHistory(`Add section "${trimmed}"`);
+            this.sections.push({ id: Date.now() + Math.random(), name: trimmed });
+            this.updateDisplay();
+            this.showNotification(`Added section "${trimmed}". Drag packets under its heading to add them.`, 'success');
+            this.announceToScreenReader('packet-list-status', `Section ${trimmed} added at the end of the list.`);
+            console.log(`Section "${trimmed}" added.`);
+            return true;
+        }
+
+        /**
+         * Renames a section. An empty name leaves the section unchanged.
+         * @param {string} id - The section ID.
+         * @param {string} name - The new name.
+         */
+        renameSection(id, name) {
+            const section = this.sections.find(s => s.id == id);
+            if (!section) return;
+            const trimmed = (name || '').trim();
+            if (!trimmed) {
+                this.showNotification('A section needs a name.', 'warning');
+                this.updateDisplay();
+                return;
+            }
+            if (trimmed === section.name) return;
+            this.recordHistory(`Rename section "${section.name}"`);
+            console.log(`Section "${section.name}" renamed to "${trimmed}".`);
+            section.name = trimmed;
+            this.scheduleAutosave();
+            this.announceToScreenReader('packet-list-status', `Section renamed to ${trimmed}.`);
+        }
+
+        /**
+         * Moves a section, with its packets, one place up or down.
+         * @param {string} id - The section ID.
+         * @param {number} direction - -1 to move up, 1 to move down.
+         */
+        moveSection(id, direction) {
+            const index = this.sections.findIndex(s => s.id == id);
+            const newIndex = index + direction;
+            if (index === -1 || newIndex < 0 || newIndex >= this.sections.length) return;
+
+            this.recordHistory(`Move section "${this.sections[index].name}"`);
+            const [section] = this.sections.splice(index, 1);
+            this.sections.splice(newIndex, 0, section);
+            this.updateDisplay();
+            this.showNotification(`Moved section "${section.name}" ${direction < 0 ? 'up' : 'down'}.`, 'info');
+            this.announceToScreenReader('packet-list-status', `Section ${section.name} moved to position ${newIndex + 1}.`);
+            document.querySelector(`li[data-section-id="${id}"] .${direction < 0 ? 'section-up-btn' : 'section-down-btn'}`)?.focus();
+        }
+
+        /**
+         * Deletes a section. Its packets are kept and moved out of the section.
+         * @param {string} id - The section ID.
+         */
+        removeSection(id) {
+            const section = this.sections.find(s => s.id == id);
+            if (!section) return;
+
+            this.recordHistory(`Remove section "${section.name}"`);
+            this.packets.forEach(packet => {
+                if (packet.sectionId == id) packet.sectionId = null;
+            });
+            this.sections = this.sections.filter(s => s !== section);
+            this.updateDisplay();
+            this.showUndoableNotification(`Removed section "${section.name}". Its packets are now at the top of the list, outside any section.`, 'info');
+            this.announceToScreenReader('packet-list-status', `Section ${section.name} removed.`);
+            console.log(`Section "${section.name}" removed.`);
+        }
+
+        /**
+         * Builds the list row that heads a section in the packet list: an editable name,
+         * a packet count and buttons to move or delete the section. Packets dragged below it join the section.
+         * @param {Object|null} section - The section, or null for the packets outside any section.
+         * @param {number} packetCount - How many packets the section holds.
+         * @returns {HTMLLIElement} The header row.
+         */
+        createSectionHeader(section, packetCount) {
+            const li = document.createElement('li');
+            li.className = 'section-header flex items-center gap-2 pt-4 pb-1 border-b-2 border-gray-300';
+            li.dataset.sectionId = section ? section.id : '';
+            const count = `<span class="text-sm text-gray-500 shrink-0">${packetCount} packet${packetCount !== 1 ? 's' : ''}</span>`;
+
+            if (!section) {
+                li.innerHTML = `<h3 class="flex-1 text-lg font-bold text-gray-500">Not in a section</h3>${count}`;
+                return li;
+            }
+
+            const index = this.sections.indexOf(section);
+            const name = this.escapeAttribute(section.name); // Only used in attributes
+            li.innerHTML = `
+                <input type="text" class="section-name-input flex-1 min-w-0 text-lg font-bold text-gray-800 bg-transparent rounded px-1 focus:outline-none focus:ring-2 focus:ring-blue-500" value="${name}" aria-label="Section name" data-section-id="${this.escapeAttribute(section.id)}">
+                ${count}
+                <button type="button" class="section-up-btn p-1 rounded-full text-gray-600 hover:bg-gray-200 disabled:opacity-30" aria-label="Move section ${name} up" data-section-id="${this.escapeAttribute(section.id)}" ${index === 0 ? 'disabled' : ''}>
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                        <path stroke-linecap="round" stroke-linejoin="round" d="M5 15l7-7 7 7" />
+                    </svg>
+                </button>
+                <button type="button" class="section-down-btn p-1 rounded-full text-gray-600 hover:bg-gray-200 disabled:opacity-30" aria-label="Move section ${name} down" data-section-id="${this.escapeAttribute(section.id)}" ${index === this.sections.length - 1 ? 'disabled' : ''}>
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                        <path stroke-linecap="round" stroke-linejoin="round" d="M19 9l-7 7-7-7" />
+                    </svg>
+                </button>
+                <button type="button" class="section-remove-btn p-1 rounded-full text-red-600 hover:bg-red-100" aria-label="Delete section ${name} (its packets are kept)" data-section-id="${this.escapeAttribute(section.id)}">
+                    <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                        <path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            `;
+            return li;
+        }
+
+        /**
+         * Returns the value a packet is sorted by for a sort key.
+         * Titles ignore a leading article and punctuation, so "The Heron" sorts under H.
+         * @param {Object} packet - The packet.
+         * @param {string} key - One of the keys in SORT_KEY_LABELS.
+         * @returns {string|number|null} The sort value, or null if the packet has none (sorted last).
+         */
+        getPacketSortValue(packet, key) {
+            switch (key) {
+                case 'title':
+                    return packet.title.replace(/^[^\p{L}\p{N}]+/u, '').replace(/^(the|an?)\s+/i, '');
+                case 'author':
+                    return typeof packet.author === 'string' && packet.author.trim() ? packet.author.trim() : null;
+                case 'filename':
+                    return packet.filename;
+                case 'wordCount':
+                    return packet.wordCount;
+                case 'dateAdded':
+                    return Date.parse(packet.dateAdded) || 0;
+                default:
+                    return null;
+            }
+        }
+
+        /**
+         * Sorts the whole packet list, or the packets at a range of positions, by one key.
+         * Packets stay in their sections. The order from before the first sort is kept as the
+         * "custom" order, and each sort can be undone.
+         * @param {string} key - One of the keys in SORT_KEY_LABELS.
+         * @param {string} [direction='asc'] - 'asc' or 'desc'.
+         * @param {number} [start=1] - First position to sort (1-based, inclusive).
+         * @param {number} [end] - Last position to sort (1-based, inclusive); defaults to the end of the list.
+         */
+        sortPackets(key, direction = 'asc', start = 1, end = this.packets.length) {
+            if (!SORT_KEY_LABELS[key]) {
+                console.warn(`Unknown sort key "${key}".`);
+                return;
+            }
+            const from = Math.max(1, Math.floor(start)) - 1;
+            const to = Math.min(this.packets.length, Math.floor(end));
+            if (isNaN(from) || isNaN(to) || to - from < 2) {
+                this.showNotification('Choose a range of at least two packets to sort.', 'warning');
+                return;
+            }
+
+            const range = this.packets.slice(from, to);
+            const historySnapshot = this.createHistorySnapshot();
+            if (key === 'author' && range.every(packet => this.getPacketSortValue(packet, 'author') === null)) {
+                this.showNotification('No authors have been detected for these packets yet.', 'warning');
+                return;
+            }
+
+            const previousOrder = this.packets.map(packet => packet.id);
+            const handMadeOrder = previousOrder.join('\n') !== this.sortedOrderSignature;
+
+            const sign = direction === 'desc' ? -1 : 1;
+            const sorted = range
+                .map(packet => ({ packet, value: this.getPacketSortValue(packet, key) }))
+                .sort((a, b) => {
+                    // Packets without a value (e.g. no author) go last in either direction
+                    if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+                    const result = typeof a.value === 'number' ? a.value - b.value : a.value.localeCompare(b.value, undefined, { sensitivity: 'base', numeric: true });
+                    return sign * result;
+                })
+                .map(entry => entry.packet);
+            this.packets.splice(from, sorted.length, ...sorted);
+            this.normalizePacketOrder();
+
+            if (this.getPacketOrderSignature() === previousOrder.join('\n')) {
+                this.showNotification('The packets were already in that order.', 'info');
+                return;
+            }
+            if (handMadeOrder) {
+                this.customOrder = previousOrder; // Keep the hand-made order that the sort replaced
+            }
+            this.recordHistory(`Sort by ${SORT_KEY_LABELS[key].toLowerCase()}`, historySnapshot);
+            this.sortedOrderSignature = this.getPacketOrderSignature();
+            this.updateDisplay();
+
+            const scope = from === 0 && to === this.packets.length ? 'all packets' : `packets ${from + 1}–${to}`;
+            this.showNotification(`Sorted ${scope} by ${SORT_KEY_LABELS[key].toLowerCase()} (${direction === 'desc' ? 'descending' : 'ascending'}).`, 'success');
+            this.announceToScreenReader('packet-list-status', `Sorted ${scope} by ${SORT_KEY_LABELS[key]}.`);
+            console.log(`Sorted ${scope} by ${key} ${direction}.`);
+        }
+
+        /**
+         * Returns the packet order as a string, for telling whether it changed since the last sort.
+         * @returns {string} The packet IDs in order.
+         */
+        getPacketOrderSignature() {
+            return this.packets.map(packet => packet.id).join('\n');
+        }
+
+        /**
+         * Puts the packets back into an order given as a list of IDs. Packets missing from the
+         * list (e.g. imported since) keep their relative order after the listed ones.
+         * @param {Array<string|number>} order - Packet IDs in the wanted order.
+         */
+        applyPacketOrder(order) {
+            const position = new Map(order.map((id, index) => [String(id), index]));
+            this.packets = this.packets
+                .map((packet, index) => ({ packet, rank: position.has(String(packet.id)) ? position.get(String(packet.id)) : order.length + index }))
+                .sort((a, b) => a.rank - b.rank)
+                .map(entry => entry.packet);
+            this.normalizePacketOrder();
+        }
+
+        /**
+         * Restores the saved custom order: the hand-made order the packets had before they were first sorted.
+         */
+        restoreCustomOrder() {
+            if (!this.customOrder) {
+                this.showNotification('There is no saved custom order yet. It is saved when you first sort the list.', 'info');
+                return;
+            }
+            this.recordHistory('Restore custom order');
+            this.applyPacketOrder(this.customOrder);
+            this.sortedOrderSignature = null;
+            this.updateDisplay();
+            this.showNotification('Custom order restored.', 'success');
+            this.announceToScreenReader('packet-list-status', 'Custom order restored.');
+        }
+
+        /**
+         * Enables the sort controls that apply to the current state.
+         */
+        updateSortControls() {
+            const sortBtn = document.getElementById('sortBtn');
+            const restoreCustomOrderBtn = document.getElementById('restoreCustomOrderBtn');
+            if (sortBtn) sortBtn.disabled = this.packets.length < 2;
+            if (restoreCustomOrderBtn) restoreCustomOrderBtn.disabled = !this.customOrder;
+        }
+
+        /**
+         * Splits the search box text into terms. Words in quotes ("grey heron", or curly quotes)
+         * stay together as an exact phrase; other words are separate terms.
+         * @returns {Array<string>} The terms; empty when there is no search.
+         */
+        getSearchTerms() {
+            const terms = [];
+            const pattern = /["“”]([^"“”]*)["“”]?|(\S+)/g;
+            let match;
+            while ((match = pattern.exec(this.searchQuery)) !== null) {
+                const term = (match[1] !== undefined ? match[1] : match[2]).trim();
+                if (term) terms.push(term);
+            }
+            return terms;
+        }
+
+        /**
+         * Builds a regular expression matching any of the search terms, honouring "Match case".
+         * Spaces in a phrase match any whitespace, so a phrase can run across a line break.
+         * @param {Array<string>} [terms] - The terms; defaults to the current search.
+         * @returns {RegExp|null} A global pattern, or null when there is no search.
+         */
+        getSearchPattern(terms = this.getSearchTerms()) {
+            if (terms.length === 0) return null;
+            const source = terms
+                .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+'))
+                .sort((a, b) => b.length - a.length) // Prefer the longest match where terms overlap
+                .join('|');
+            return new RegExp(source, this.searchCaseSensitive ? 'g' : 'gi');
+        }
+
+        /**
+         * Tells whether a packet matches the search: every term must appear in its title, text or source filename.
+         * @param {Object} packet - The packet.
+         * @returns {boolean} True if it matches, or if there is no search.
+         */
+        packetMatchesSearch(packet) {
+            const haystack = [packet.title, packet.content, packet.filename].join('\n');
+            return this.getSearchTermPatterns().every(pattern => pattern.test(haystack));
+        }
+
+        /**
+         * Returns one pattern per search term, built once for each search rather than for every packet.
+         * @returns {Array<RegExp>} Non-global patterns, safe to reuse with test(); empty when there is no search.
+         */
+        getSearchTermPatterns() {
+            const key = `${this.searchCaseSensitive}:${this.searchQuery}`;
+            if (!this.searchTermPatterns || this.searchTermPatterns.key !== key) {
+                const flags = this.searchCaseSensitive ? '' : 'i';
+                this.searchTermPatterns = {
+                    key,
+                    patterns: this.getSearchTerms().map(term => new RegExp(this.getSearchPattern([term]).source, flags))
+                };
+            }
+            return this.searchTermPatterns.patterns;
+        }
+
+        /**
+         * Escapes text for HTML, wrapping search matches in highlight marks.
+         * @param {string} text - The text.
+         * @param {RegExp|null} pattern - The search pattern from getSearchPattern(), or null for none.
+         * @returns {string} Safe HTML.
+         */
+        highlightSearchText(text, pattern) {
+            if (!pattern) return this.escapeHtml(text);
+            let html = '';
+            let last = 0;
+            for (const match of text.matchAll(pattern)) {
+                html += `${this.escapeHtml(text.slice(last, match.index))}<mark class="search-hit">${this.escapeHtml(match[0])}</mark>`;
+                last = match.index + match[0].length;
+            }
+            return html + this.escapeHtml(text.slice(last));
+        }
+
+        /**
+         * Returns the text around the first search match in a packet's content, for the packet list.
+         * @param {Object} packet - The packet.
+         * @param {RegExp} pattern - The search pattern.
+         * @returns {string} Highlighted HTML, or '' if the content does not match.
+         */
+        getSearchSnippet(packet, pattern) {
+            const text = packet.content.replace(/\s+/g, ' ');
+            const match = text.matchAll(pattern).next().value;
+            if (!match) return '';
+            const start = Math.max(0, match.index - 40);
+            const end = Math.min(text.length, match.index + match[0].length + 60);
+            return `${start > 0 ? '…' : ''}${this.highlightSearchText(text.slice(start, end), pattern)}${end < text.length ? '…' : ''}`;
+        }
+
+        /**
+         * Updates the search and refilters the list. Only the list is redrawn: the workspace
+         * itself has not changed, so nothing is autosaved.
+         * @param {string} query - The search box text.
+         */
+        setSearchQuery(query) {
+            clearTimeout(this.searchTimeout);
+            this.searchQuery = query;
+            this.renderPacketList();
+            if (this.getSearchTerms().length > 0) {
+                const count = this.packets.filter(packet => this.packetMatchesSearch(packet)).length;
+                this.announceToScreenReader('packet-list-status', `${count} packet${count !== 1 ? 's' : ''} match.`);
+            }
+        }
+
+        /**
+         * Shows how many packets match the search next to the search box.
+         */
+        updateSearchStatus() {
+            const status = document.getElementById('packetSearchStatus');
+            if (!status) return;
+            if (this.getSearchTerms().length === 0 || this.packets.length === 0) {
+                status.textContent = '';
+                return;
+            }
+            const count = this.packets.filter(packet => this.packetMatchesSearch(packet)).length;
+            status.textContent = count === 0 ? 'No packets match.' : `${count} of ${this.packets.length} packets match.`;
+        }
+
+        /**
+         * Opens the first packet in the list that matches the search.
+         */
+        openFirstSearchMatch() {
+            if (this.getSearchTerms().length === 0) return;
+            const first = this.packets.find(packet => this.packetMatchesSearch(packet));
+            if (first) {
+                this.viewPacket(first.id);
+            } else {
+                this.showNotification('No packets match your search.', 'info');
+            }
+        }
+
+        /**
+         * Highlights the search matches in the packet modal and shows the first one, with the
+         * previous/next controls. The title is highlighted too, but only matches in the text are stepped through.
+         * @param {Object} packet - The packet shown in the modal.
+         */
+        renderSearchHits(packet) {
+            const nav = document.getElementById('packetSearchNav');
+            const pattern = this.getSearchPattern();
+            this.searchHitIndex = -1;
+            if (nav) nav.classList.toggle('hidden', !pattern);
+            if (!pattern) return;
+
+            document.getElementById('packetModalTitle').innerHTML = this.highlightSearchText(packet.title, pattern);
+            const modalContent = document.getElementById('packetModalContent');
+            const textNodes = [];
+            const walker = document.createTreeWalker(modalContent, NodeFilter.SHOW_TEXT);
+            while (walker.nextNode()) {
+                // Loose top-level text is left alone so the blocks "Split…" counts stay the same,
+                // and so are line numbers and the hidden text that places a dropped line
+                const parent = walker.currentNode.parentNode;
+                if (parent !== modalContent && !parent.closest('.line-number, .line-drop')) textNodes.push(walker.currentNode);
+            }
+            textNodes.forEach(node => {
+                const text = node.nodeValue;
+                const matches = Array.from(text.matchAll(pattern));
+                if (matches.length === 0) return;
+                const fragment = document.createDocumentFragment();
+                let last = 0;
+                matches.forEach(match => {
+                    const mark = document.createElement('mark');
+                    mark.className = 'search-hit';
+                    mark.textContent = match[0];
+                    fragment.append(text.slice(last, match.index), mark);
+                    last = match.index + match[0].length;
+                });
+                fragment.append(text.slice(last));
+                node.replaceWith(fragment);
+            });
+
+            if (modalContent.querySelector('mark.search-hit')) {
+                this.showSearchHit(0);
+            } else {
+                document.getElementById('packetSearchHitStatus').textContent = 'No matches in the text; the title or source file matches.';
+            }
+        }
+
+        /**
+         * Marks one search match in the packet modal as the current one and scrolls to it.
+         * @param {number} index - The match's position among the highlighted matches.
+         */
+        showSearchHit(index) {
+            const marks = document.querySelectorAll('#packetModalContent mark.search-hit');
+            marks.forEach((mark, i) => mark.classList.toggle('current', i === index));
+            this.searchHitIndex = index;
+            if (marks[index]) marks[index].scrollIntoView({ block: 'center' });
+            document.getElementById('packetSearchHitStatus').textContent = `Match ${index + 1} of ${marks.length}`;
+        }
+
+        /**
+         * Steps to the next or previous search match. Past the last (or before the first) match in
+         * the open packet, it continues in the next (or previous) matching packet, wrapping around the list.
+         * @param {number} direction - 1 for next, -1 for previous.
+         */
+        goToSearchHit(direction) {
+            const marks = document.querySelectorAll('#packetModalContent mark.search-hit');
+            const index = this.searchHitIndex + direction;
+            if (index >= 0 && index < marks.length) {
+                this.showSearchHit(index);
+                return;
+            }
+
+            const matches = this.packets.filter(packet => this.packetMatchesSearch(packet));
+            const position = matches.findIndex(packet => packet.id == this.viewedPacketId);
+            const target = matches[(position + direction + matches.length) % matches.length];
+            if (!target) return;
+            this.viewPacket(target.id);
+            const targetMarks = document.querySelectorAll('#packetModalContent mark.search-hit');
+            if (targetMarks.length > 0) {
+                this.showSearchHit(direction > 0 ? 0 : targetMarks.length - 1);
+            }
+            this.announceToScreenReader('packet-list-status', `Showing ${target.title}.`);
+        }
+
+        /**
+         * Updates the display of loaded packets in the UI after the workspace has changed,
+         * and schedules an autosave of the change.
+         */
+        updateDisplay() {
+            console.log('Updating display for packets. Total packets:', this.packets.length);
+            this.scheduleAutosave();
+            this.renderPacketList();
+        }
+
+        /**
+         * Draws the packet list, hiding packets that do not match the search.
+         * Enables/disables the download button based on packet count.
+         * Re-initializes drag-and-drop for packet reordering.
+         */
+        renderPacketList() {
+            const packetsList = document.getElementById('packetsList');
+            const downloadBtn = document.getElementById('downloadBtn');
+            const clearBtn = document.getElementById('clearBtn');
+            const placeholder = document.getElementById('packetsPlaceholder');
+            const packetCountSpan = document.getElementById('packetCount');
+            const downloadDocxBtn = document.getElementById('downloadDocxBtn');
+            const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+            const saveProjectBtn = document.getElementById('saveProjectBtn');
+
+            if (!packetsList || !downloadBtn || !clearBtn || !placeholder || !packetCountSpan) {
+                console.error('Required DOM elements for display update not found. Ensure all IDs are correct in HTML.');
+                return;
+            }
+
+            packetsList.innerHTML = ''; // Clear existing list
+            packetCountSpan.textContent = this.packets.length.toString();
+            this.updateSortControls();
+            this.updateHistoryControls();
+            this.updateSelectionDisplay();
+            this.updateSearchStatus();
+
+            if (this.packets.length === 0) {
+                placeholder.style.display = 'block';
+                packetsList.style.display = 'none';
+                downloadBtn.disabled = true;
+                if (downloadDocxBtn) downloadDocxBtn.disabled = true;
+                if (downloadPdfBtn) downloadPdfBtn.disabled = true;
+                if (saveProjectBtn) saveProjectBtn.disabled = true;
+                clearBtn.disabled = true;
+                this.announceToScreenReader('packet-list-status', 'No packets loaded.');
+                console.log('No packets to display. Placeholder shown, buttons disabled.');
+                return;
+            }
+
+            placeholder.style.display = 'none';
+            packetsList.style.display = 'block';
+            downloadBtn.disabled = false;
+            if (downloadDocxBtn) downloadDocxBtn.disabled = false;
+            if (downloadPdfBtn) downloadPdfBtn.disabled = false;
+            if (saveProjectBtn) saveProjectBtn.disabled = false;
+            clearBtn.disabled = false;
+
+            // Re-render packets based on the current order in this.packets array, under their section headings.
+            // Packets that do not match the search stay in the list, hidden, so reordering still sees the whole order.
+            this.normalizePacketOrder();
+            const groups = this.getPacketGroups();
+            const lastGroupIndex = groups.length - 1;
+            const searchPattern = this.getSearchPattern();
+            const matching = new Set(this.packets.filter(packet => this.packetMatchesSearch(packet)));
+            groups.forEach((group, groupIndex) => {
+                if (group.section || (this.sections.length > 0 && group.packets.length > 0)) {
+                    const header = this.createSectionHeader(group.section, group.packets.length);
+                    header.classList.toggle('hidden', !!searchPattern && !group.packets.some(packet => matching.has(packet)));
+                    packetsList.appendChild(header);
+                }
+                group.packets.forEach(packet => {
+                    const index = this.packets.indexOf(packet);
+                    const selected = this.selectedPacketIds.has(String(packet.id));
+                    const snippet = searchPattern ? this.getSearchSnippet(packet, searchPattern) : '';
+                    const li = document.createElement('li');
+                    li.className = 'packet-item bg-white p-4 shadow-sm rounded-lg flex items-center justify-between transition-all duration-200 ease-in-out';
+                    li.classList.toggle('selected', selected);
+                    li.classList.toggle('hidden', !matching.has(packet));
+                    li.draggable = true;
+                    li.dataset.id = packet.id;
+                    li.dataset.index = index; // Important for reordering
+
+                    li.innerHTML = `
+                        <input type="checkbox" class="packet-select-checkbox h-4 w-4 mr-3 flex-shrink-0 cursor-pointer" aria-label="Select packet ${this.escapeAttribute(packet.title)}" data-id="${this.escapeAttribute(packet.id)}" ${selected ? 'checked' : ''}>
+                        <div class="flex-1 min-w-0">
+                            <h3 class="text-lg font-semibold text-gray-800 truncate"><span class="text-gray-400 font-normal mr-1">${index + 1}.</span>${this.highlightSearchText(packet.title, searchPattern)}</h3>
+                            <p class="text-sm text-gray-500 truncate">${packet.author ? `by ${this.escapeHtml(packet.author)} - ` : ''}${this.highlightSearchText(packet.filename, searchPattern)} - ${packet.wordCount} words</p>
+                            ${snippet ? `<p class="text-sm text-gray-600 truncate">${snippet}</p>` : ''}
+                        </div>
+                        <div class="flex items-center space-x-2 ml-4">
+                            <button type="button" class="move-up-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeAttribute(packet.title)} up" data-id="${this.escapeAttribute(packet.id)}" ${index === 0 && groupIndex === 0 ? 'disabled' : ''}>
+                                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                    <path stroke-linecap="round" stroke-linejoin="round" d="M5 10l7-7m0 0l7 7m-7-7v18" />
+                                </svg>
+                            </button>
+                            <button type="button" class="move-down-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeAttribute(packet.title)} down" data-id="${this.escapeAttribute(packet.id)}" ${index === this.packets.length - 1 && groupIndex === lastGroupIndex ? 'disabled' : ''}>
+                                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                    <path stroke-linecap="round" stroke-linejoin="round" d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+                                </svg>
+                            </button>
+                            <button type="button" class="merge-next-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Merge packet ${this.escapeAttribute(packet.title)} with the next packet" title="Merge with next" data-id="${this.escapeAttribute(packet.id)}" ${index === this.packets.length - 1 ? 'disabled' : ''}>
+                                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+                                    <path stroke-linecap="round" stroke-linejoin="round" d="M8 7l4 4 4-4M8 17l4-4 4 4" />
+                                </svg>
+                            </button>
+                            <button type="button" class="view-packet-btn p-2 rounded-full text-blue-600 hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50" aria-label="View packet ${this.escapeAttribute(packet.title)}" data-id="${this.escapeAttribute(packet.id)}">
+                                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                                    <path d="M10 12a2 2 0 100-4 2 2 0 000 4z" />
+                                    <path fill-rule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clip-rule="evenodd" />
+                                </svg>
+                            </button>
+                            <button type="button" class="remove-packet-btn p-2 rounded-full text-red-600 hover:bg-red-100 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50" aria-label="Remove packet ${this.escapeAttribute(packet.title)}" data-id="${this.escapeAttribute(packet.id)}">
+                                <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+                                    <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clip-rule="evenodd" />
+                                </svg>
+                            </button>
+                        </div>
+                    `;
+                    packetsList.appendChild(li);
+                });
+            });
+
+            this.addPacketListEventListeners();
+            this.announceToScreenReader('packet-list-status', `${this.packets.length} packets loaded. Use drag and drop or arrows to reorder.`);
+            console.log('Packet list rendered and event listeners added.');
+        }
+
+        /**
+         * Adds event listeners for viewing, removing, and reordering packets.
+         */
+        addPacketListEventListeners() {
+            const packetsList = document.getElementById('packetsList');
+            if (!packetsList) {
+                console.error('Packet list element not found for event listeners.');
+                return;
+            }
+
+            // Delegated event listeners for buttons for better performance and dynamic content
+            packetsList.removeEventListener('click', this._packetListClickHandler); // Remove old handler if exists
+            this._packetListClickHandler = (e) => { // Store handler for removal
+                if (e.target.classList.contains('packet-select-checkbox')) {
+                    this.setPacketSelected(e.target.dataset.id, e.target.checked, e.shiftKey);
+                    return;
+                }
+                const button = e.target.closest('button');
+                if (!button) {
+                    // Shift-click on a row selects up to it; Ctrl/⌘-click ticks or unticks it
+                    const row = e.target.closest('.packet-item');
+                    if (row && !e.target.closest('input') && (e.shiftKey || e.ctrlKey || e.metaKey)) {
+                        this.setPacketSelected(row.dataset.id, e.shiftKey || !this.selectedPacketIds.has(row.dataset.id), e.shiftKey);
+                    }
+                    return;
+                }
+
+                const id = button.dataset.id;
+                if (button.dataset.sectionId) {
+                    if (button.classList.contains('section-up-btn')) {
+                        this.moveSection(button.dataset.sectionId, -1);
+                    } else if (button.classList.contains('section-down-btn')) {
+                        this.moveSection(button.dataset.sectionId, 1);
+                    } else if (button.classList.contains('section-remove-btn')) {
+                        this.removeSection(button.dataset.sectionId);
+                    }
+                } else if (button.classList.contains('view-packet-btn')) {
+                    this.viewPacket(id);
+                } else if (button.classList.contains('remove-packet-btn')) {
+                    this.removePacket(id);
+                } else if (button.classList.contains('move-up-btn')) {
+                    this.movePacketUp(id);
+                } else if (button.classList.contains('move-down-btn')) {
+                    this.movePacketDown(id);
+                } else if (button.classList.contains('merge-next-btn')) {
+                    this.mergePacketWithNext(id);
+                }
+            };
+            packetsList.addEventListener('click', this._packetListClickHandler);
+
+            // Section names are edited in place
+            packetsList.removeEventListener('change', this._sectionRenameHandler);
+            this._sectionRenameHandler = (e) => {
+                if (e.target.classList.contains('section-name-input')) {
+                    this.renameSection(e.target.dataset.sectionId, e.target.value);
+                }
+            };
+            packetsList.addEventListener('change', this._sectionRenameHandler);
+            packetsList.removeEventListener('keydown', this._sectionNameKeyHandler);
+            this._sectionNameKeyHandler = (e) => {
+                if (e.key === 'Enter' && e.target.classList.contains('section-name-input')) {
+                    e.target.blur();
+                }
+            };
+            packetsList.addEventListener('keydown', this._sectionNameKeyHandler);
+
+            // Drag and Drop for reordering
+            packetsList.removeEventListener('dragstart', this._dragStartHandler);
+            packetsList.removeEventListener('dragover', this._dragOverHandler);
+            packetsList.removeEventListener('drop', this._dropHandler);
+            packetsList.removeEventListener('dragend', this._dragEndHandler);
+
+            this._dragStartHandler = (e) => {
+                const target = e.target.closest('.packet-item');
+                if (target) {
+                    this.draggedIndex = parseInt(target.dataset.index, 10);
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', this.draggedIndex); // Set data for Firefox compatibility
+                    setTimeout(() => target.classList.add('dragging'), 0); // Add class after a tiny delay
+                    // Dragging a selected packet carries the rest of the selection along
+                    if (this.selectedPacketIds.has(target.dataset.id)) {
+                        packetsList.querySelectorAll('.packet-item.selected').forEach(row => {
+                            if (row !== target) row.classList.add('dragging-group');
+                        });
+                    }
+                    console.log('Drag started for index:', this.draggedIndex);
+                }
+            };
+            packetsList.addEventListener('dragstart', this._dragStartHandler);
+
+            this._dragOverHandler = (e) => {
+                this.preventDefaults(e); // Allow drop
+                // Over a section heading: the upper half ends the previous section, the lower half starts this one
+                const header = e.target.closest('.section-header');
+                const draggingEl = packetsList.querySelector('.packet-item.dragging');
+                if (header && draggingEl) {
+                    const headerRect = header.getBoundingClientRect();
+                    if (e.clientY < headerRect.top + headerRect.height / 2) {
+                        if (draggingEl !== header.previousElementSibling) packetsList.insertBefore(draggingEl, header);
+                    } else if (draggingEl !== header.nextElementSibling) {
+                        packetsList.insertBefore(draggingEl, header.nextSibling);
+                    }
+                    return;
+                }
+                const target = e.target.closest('.packet-item');
+                if (target && target.dataset.index !== undefined && this.draggedIndex !== null) {
+                    const dragOverIndex = parseInt(target.dataset.index, 10);
+                    const draggedEl = packetsList.querySelector('.packet-item.dragging');
+
+                    if (draggedEl && this.draggedIndex !== dragOverIndex) {
+                        const currentParent = target.parentNode;
+                        if (currentParent && draggedEl.parentNode === currentParent) {
+                            const targetRect = target.getBoundingClientRect();
+                            const mouseY = e.clientY;
+                            const targetMidY = targetRect.top + targetRect.height / 2;
+
+                            if (mouseY < targetMidY && draggedEl !== target.previousElementSibling) {
+                                currentParent.insertBefore(draggedEl, target);
+                            } else if (mouseY >= targetMidY && draggedEl !== target.nextElementSibling) {
+                                currentParent.insertBefore(draggedEl, target.nextSibling);
+                            }
+                        }
+                    }
+                }
+            };
+            packetsList.addEventListener('dragover', this._dragOverHandler);
+
+            // No specific action needed for dragleave for this simple reorder logic
+
+            this._dropHandler = (e) => {
+                this.preventDefaults(e);
+                const draggedEl = packetsList.querySelector('.packet-item.dragging'); // Get the element still marked as dragging
+
+                if (draggedEl && this.draggedIndex !== null) {
+                    // Read the new order, and the section each packet now sits under, from the list itself
+                    const visualOrder = [];
+                    let currentSectionId = null;
+                    Array.from(packetsList.children).forEach(el => {
+                        if (el.classList.contains('section-header')) {
+                            currentSectionId = el.dataset.sectionId || null;
+                        } else if (el.classList.contains('packet-item')) {
+                            visualOrder.push({ id: el.dataset.id, sectionId: currentSectionId });
+                        }
+                    });
+                    const draggedPacket = this.packets[this.draggedIndex];
+                    const newIndex = visualOrder.findIndex(entry => entry.id == draggedPacket.id); // Get the new visual index
+                    const newSection = newIndex !== -1 ? this.sections.find(section => section.id == visualOrder[newIndex].sectionId) || null : null;
+                    const sectionChanged = newIndex !== -1 && this.getPacketSectionId(draggedPacket) != (newSection ? newSection.id : null);
+                    const isGroupDrag = this.selectedPacketIds.size > 1 && this.selectedPacketIds.has(String(draggedPacket.id));
+
+                    if (isGroupDrag && newIndex !== -1) {
+                        this.draggedIndex = null;
+                        draggedEl.classList.remove('dragging');
+                        this.moveSelectedPacketsToDrop(visualOrder, draggedPacket, newSection);
+                    } else if ((this.draggedIndex !== newIndex || sectionChanged) && newIndex !== -1) {
+                        console.log(`Drop detected. Original Dragged Index: ${this.draggedIndex}, New Visual Index: ${newIndex}`);
+
+                        this.recordHistory(`Move "${draggedPacket.title}"`);
+                        const byId = new Map(this.packets.map(packet => [String(packet.id), packet]));
+                        this.packets = visualOrder.map(entry => byId.get(entry.id));
+                        draggedPacket.sectionId = newSection ? newSection.id : null;
+
+                        const where = sectionChanged ? (newSection ? ` into section "${newSection.name}"` : ' out of its section') : '';
+                        this.showNotification(`Reordered packet "${draggedPacket.title}"${where}`, 'info');
+                        this.announceToScreenReader('packet-list-status', `Packet ${draggedPacket.title} moved to position ${newIndex + 1}${where}.`);
+
+                        this.draggedIndex = null; // Reset
+                        draggedEl.classList.remove('dragging'); // Remove dragging class
+
+                        // Re-render the list to reflect the new order and update data-index attributes correctly
+                        this.updateDisplay();
+                    } else {
+                        console.log('Packet dropped on its original position or invalid drop. No reordering needed.');
+                        this.draggedIndex = null;
+                        if (draggedEl) draggedEl.classList.remove('dragging');
+                    }
+                } else if (draggedEl) {
+                    // If dropped outside a valid target, just remove dragging class
+                    draggedEl.classList.remove('dragging');
+                    this.draggedIndex = null;
+                }
+            };
+            packetsList.addEventListener('drop', this._dropHandler);
+
+            this._dragEndHandler = (e) => {
+                const draggedEl = packetsList.querySelector('.packet-item.dragging');
+                if (draggedEl) {
+                    draggedEl.classList.remove('dragging');
+                }
+                packetsList.querySelectorAll('.packet-item.dragging-group').forEach(row => row.classList.remove('dragging-group'));
+                this.draggedIndex = null; // Reset
+                console.log('Drag ended. draggedIndex reset.');
+            };
+            packetsList.addEventListener('dragend', this._dragEndHandler);
+
+            console.log('Drag and drop listeners (re)added to packet list.');
+        }
+
+        /**
+         * Moves a packet up in the list (towards the beginning of the array).
+         * @param {string} id - The ID of the packet to move.
+         */
+        movePacketUp(id) {
+            const index = this.packets.findIndex(p => p.id == id);
+            if (this.movePacketAcrossSection(id, -1)) {
+                document.querySelector(`li[data-id="${id}"] .move-up-btn`)?.focus();
+            } else if (index > 0) {
+                this.recordHistory(`Move "${this.packets[index].title}" up`);
+                const [packet] = this.packets.splice(index, 1);
+                this.packets.splice(index - 1, 0, packet);
+                this.updateDisplay();
+                this.showNotification(`Moved "${packet.title}" up.`, 'info');
+                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved up to position ${index}.`);
+                // Re-focus the moved packet's up button for better accessibility
+                document.querySelector(`li[data-id="${id}"] .move-up-btn`)?.focus();
+            } else {
+                this.showNotification('Packet is already at the top.', 'info');
+            }
+        }
+
+        /**
+         * Moves a packet down in the list (towards the end of the array).
+         * @param {string} id - The ID of the packet to move.
+         */
+        movePacketDown(id) {
+            const index = this.packets.findIndex(p => p.id == id);
+            if (this.movePacketAcrossSection(id, 1)) {
+                document.querySelector(`li[data-id="${id}"] .move-down-btn`)?.focus();
+            } else if (index < this.packets.length - 1 && index !== -1) {
+                this.recordHistory(`Move "${this.packets[index].title}" down`);
+                const [packet] = this.packets.splice(index, 1);
+                this.packets.splice(index + 1, 0, packet);
+                this.updateDisplay();
+                this.showNotification(`Moved "${packet.title}" down.`, 'info');
+                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved down to position ${index + 2}.`);
+                // Re-focus the moved packet's down button for better accessibility
+                document.querySelector(`li[data-id="${id}"] .move-down-btn`)?.focus();
+            } else {
+                this.showNotification('Packet is already at the bottom.', 'info');
+            }
+        }
+
+        /**
+         * Moves a packet that is first (or last) in its section into the previous (or next) section,
+         * so the arrow buttons can carry a packet across section headings.
+         * @param {string} id - The ID of the packet to move.
+         * @param {number} direction - -1 for up, 1 for down.
+         * @returns {boolean} True if the packet changed section; false if it should move within its section.
+         */
+        movePacketAcrossSection(id, direction) {
+            const packet = this.packets.find(p => p.id == id);
+            if (!packet || this.sections.length === 0) return false;
+
+            const groups = this.getPacketGroups();
+            const groupIndex = groups.findIndex(group => group.packets.includes(packet));
+            const groupPackets = groups[groupIndex].packets;
+            const atEdge = direction < 0 ? groupPackets[0] === packet : groupPackets[groupPackets.length - 1] === packet;
+            const target = groups[groupIndex + direction];
+            if (!atEdge || !target) return false;
+
+            this.recordHistory(`Move "${packet.title}" ${direction < 0 ? 'up' : 'down'}`);
+            packet.sectionId = target.section ? target.section.id : null;
+            this.updateDisplay();
+            const where = target.section ? `into section "${target.section.name}"` : 'out of its section';
+            this.showNotification(`Moved "${packet.title}" ${where}.`, 'info');
+            this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved ${where}.`);
+            return true;
+        }
+
+        /**
+         * Removes a packet from the list by its ID.
+         * @param {string} id - The ID of the packet to remove.
+         */
+        removePacket(id) {
+            console.log('Attempting to remove packet with ID:', id);
+            const initialCount = this.packets.length;
+            const removedPacket = this.packets.find(packet => packet.id == id);
+            const historySnapshot = this.createHistorySnapshot();
+            this.packets = this.packets.filter(packet => packet.id != id); // Use != for loose comparison with dataset.id (string)
+            if (this.packets.length < initialCount) {
+                this.recordHistory(`Remove "${removedPacket ? removedPacket.title : 'Unknown'}"`, historySnapshot);
+                this.showUndoableNotification(`Packet "${removedPacket ? removedPacket.title : 'Unknown'}" removed!`, 'success');
+                this.announceToScreenReader('packet-list-status', `Packet ${removedPacket ? removedPacket.title : 'Unknown'} removed.`);
+                this.updateDisplay();
+                console.log('Packet removed successfully. Remaining packets:', this.packets.length);
+            } else {
+                console.warn('Packet with ID not found:', id);
+            }
+        }
+
+        /**
+         * Displays a packet's content in a modal.
+         * @param {string} id - The ID of the packet to view.
+         */
+        viewPacket(id) {
+            console.log('Viewing packet with ID:', id);
+            const packet = this.packets.find(p => p.id == id);
+            if (packet) {
+                const modal = document.getElementById('packetModal');
+                const modalTitle = document.getElementById('packetModalTitle');
+                const modalContent = document.getElementById('packetModalContent');
+                const closeModalBtn = document.getElementById('closeModal');
+
+                if (!modal || !modalTitle || !modalContent || !closeModalBtn) {
+                    console.error('Modal elements not found.');
+                    this.showNotification('Error: Modal display elements missing.', 'error');
+                    return;
+                }
+
+                this.viewedPacketId = packet.id;
+                this.setPacketEditMode(false);
+                this.renderPacketModal(packet);
+
+                // The modal may already be open (e.g. after saving an edit); keep its listeners
+                if (this.closePacketModal) {
+                    return;
+                }
+
+                modal.classList.remove('hidden');
+                modal.setAttribute('aria-hidden', 'false');
+                modal.focus(); // Focus the modal for accessibility
+
+                const closeHandler = () => {
+                    this.setPacketEditMode(false);
+                    this.setSplitMode(false);
+                    modal.classList.add('hidden');
+                    modal.setAttribute('aria-hidden', 'true');
+                    // Return focus to the button that opened the modal if possible
+                    document.querySelector(`button[data-id="${this.viewedPacketId}"]`)?.focus();
+                    closeModalBtn.removeEventListener('click', closeHandler); // Clean up listener
+                    document.removeEventListener('keydown', handleEscape);
+                    this.closePacketModal = null;
+                    this.viewedPacketId = null;
+                };
+
+                closeModalBtn.addEventListener('click', closeHandler);
+                this.closePacketModal = closeHandler;
+
+                // Close modal on escape key (or leave edit mode first, if editing)
+                const handleEscape = (e) => {
+                    if (e.key === 'Escape') {
+                        if (this.isEditingPacket) {
+                            this.cancelPacketEdit();
+                        } else if (this.isSplitMode) {
+                            this.setSplitMode(false);
+                        } else {
+                            closeHandler();
+                        }
+                    }
+                };
+                document.addEventListener('keydown', handleEscape);
+
+                console.log(`Modal opened for "${packet.title}".`);
+            } else {
+                this.showNotification('Packet not found.', 'error');
+                console.warn('Attempted to view non-existent packet ID:', id);
+            }
+        }
+
+        /**
+         * Fills the packet modal's read-only view with a packet's title and content.
+         * @param {Object} packet - The packet to show.
+         */
+        renderPacketModal(packet) {
+            const modalTitle = document.getElementById('packetModalTitle');
+            const modalContent = document.getElementById('packetModalContent');
+            const revertBtn = document.getElementById('revertPacketBtn');
+
+            modalTitle.textContent = packet.title;
+            this.setSplitMode(false);
+            if (this.showLineNumbers) {
+                // Numbered view, laid out from the poem's lines; the title and details are shown above it
+                modalContent.innerHTML = this.structureToHtml(this.getPacketStructure(packet), { lineNumbers: true });
+            } else {
+                // Use innerHTML to preserve formatting from Mammoth.js
+                modalContent.innerHTML = packet.htmlContent;
+            }
+            modalContent.classList.toggle('numbered', this.showLineNumbers);
+            if (revertBtn) {
+                revertBtn.disabled = !packet.original;
+            }
+            this.renderPacketMetadata(packet);
+            this.renderPacketStatistics(packet);
+            this.renderPacketVersions(packet);
+            this.renderSearchHits(packet);
+        }
+
+        /**
+         * Lists the packet's filled-in details above its content in the modal; hidden when it has none.
+         * @param {Object} packet - The packet shown.
+         */
+        renderPacketMetadata(packet) {
+            const list = document.getElementById('packetMetadata');
+            if (!list) return;
+
+            const metadata = this.normalizePacketMetadata(packet);
+            list.innerHTML = '';
+            Object.entries(PACKET_METADATA_FIELDS).forEach(([field, label]) => {
+                const value = field === 'tags' ? metadata.tags.join(', ') : metadata[field];
+                if (!value) return;
+                const term = document.createElement('dt');
+                term.className = 'font-semibold text-gray-600';
+                term.textContent = label;
+                const description = document.createElement('dd');
+                description.className = 'whitespace-pre-line';
+                description.textContent = value;
+                list.append(term, description);
+            });
+            list.classList.toggle('hidden', list.children.length === 0);
+
+            const notice = document.getElementById('packetDetailsNotice');
+            const noticeText = document.getElementById('packetDetailsNoticeText');
+            const unconfirmed = (packet.unconfirmedDetails || []).filter(field => metadata[field]);
+            if (notice && noticeText) {
+                const labels = unconfirmed.map(field => PACKET_METADATA_FIELDS[field].toLowerCase());
+                const listed = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+                noticeText.textContent = unconfirmed.length > 0
+                    ? `The ${listed} ${labels.length > 1 ? 'were' : 'was'} read from the poem's text, so ${labels.length > 1 ? 'their lines stay' : 'its line stays'} in the poem until you confirm. Correct any mistakes with “Edit”.`
+                    : '';
+                notice.classList.toggle('hidden', unconfirmed.length === 0);
+            }
+        }
+
+        /**
+         * Confirms the details guessed from the viewed packet's text, so that the lines they were
+         * read from are left out of the text in downloads and views, as for details entered by hand.
+         */
+        confirmPacketDetails() {
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            if (!packet || !packet.unconfirmedDetails) return;
+
+            this.recordHistory(`Confirm the details of "${packet.title}"`);
+            delete packet.unconfirmedDetails;
+            this.updateDisplay();
+            this.viewPacket(packet.id);
+            this.showNotification(`Confirmed the details of "${packet.title}".`, 'success');
+            this.announceToScreenReader('packet-list-status', `Details of ${packet.title} confirmed.`);
+            console.log(`Details of "${packet.title}" confirmed.`);
+        }
+
+        /**
+         * Shows the poem's line and stanza counts, average line length, syllables per line
+         * and a guess at its form in the packet modal.
+         * @param {Object} packet - The packet shown.
+         */
+        renderPacketStatistics(packet) {
+            const panel = document.getElementById('packetStats');
+            if (!panel) return;
+
+            const stats = this.getPacketStatistics(packet);
+            const plural = (count, word) => `${count} ${word}${count !== 1 ? 's' : ''}`;
+            document.getElementById('packetStatsSummary').textContent = stats.lineCount === 0
+                ? 'No verse lines'
+                : `${plural(stats.lineCount, 'line')} · ${plural(stats.stanzaCount, 'stanza')} · ${stats.form}`;
+            document.getElementById('packetStatsAverages').textContent = stats.lineCount === 0 ? '' :
+                `Average line: ${stats.averageWords.toFixed(1)} words, ${Math.round(stats.averageCharacters)} characters, about ${stats.averageSyllables.toFixed(1)} syllables`;
+            // One group per stanza, e.g. "10 9 11 10 / 10 10 9 11"
+            document.getElementById('packetStatsSyllables').textContent = stats.syllablesPerLine.map(stanza => stanza.join(' ')).join(' / ');
+            panel.classList.toggle('hidden', stats.lineCount === 0);
+        }
+
+        /**
+         * Switches the packet modal between its read-only view and the edit form.
+         * @param {boolean} editing - True to show the edit form.
+         */
+        setPacketEditMode(editing) {
+            const viewArea = document.getElementById('packetViewArea');
+            const editArea = document.getElementById('packetEditArea');
+            if (!viewArea || !editArea) return;
+
+            this.isEditingPacket = editing;
+            viewArea.classList.toggle('hidden', editing);
+            editArea.classList.toggle('hidden', !editing);
+        }
+
+        /**
+         * Opens the edit form for the packet currently shown in the modal.
+         */
+        startPacketEdit() {
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            const titleInput = document.getElementById('packetTitleInput');
+            const editor = document.getElementById('packetEditor');
+            if (!packet || !titleInput || !editor) {
+                console.error('Cannot start editing: packet or edit elements missing.');
+                return;
+            }
+
+            titleInput.value = packet.title;
+            editor.innerHTML = packet.htmlContent;
+            const metadata = this.normalizePacketMetadata(packet);
+            document.querySelectorAll('#packetEditArea [data-metadata-field]').forEach(input => {
+                const field = input.dataset.metadataField;
+                input.value = field === 'tags' ? metadata.tags.join(', ') : metadata[field];
+            });
+            this.setSplitMode(false);
+            this.setPacketEditMode(true);
+            titleInput.focus();
+            this.announceToScreenReader('packet-list-status', `Editing packet ${packet.title}.`);
+            console.log(`Editing packet "${packet.title}".`);
+        }
+
+        /**
+         * Applies a formatting command from an edit toolbar to a rich-text editor.
+         * @param {string} command - A document.execCommand command name (e.g. 'bold', 'justifyCenter').
+         * @param {HTMLElement} [editor] - The editor; the packet editor by default.
+         */
+        applyEditorCommand(command, editor = document.getElementById('packetEditor')) {
+            if (!editor) return;
+            editor.focus();
+            document.execCommand('styleWithCSS', false, false); // Prefer <b>/<i> tags over inline styles
+            document.execCommand(command, false, null);
+        }
+
+        /**
+         * Saves the edit form back to the packet, updating title, HTML, plain text and word count together,
+         * along with the packet's details, which count as confirmed once saved. The packet's original title and content are kept the first time
+         * it is edited so it can be reverted.
+         */
+        savePacketEdit() {
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            const titleInput = document.getElementById('packetTitleInput');
+            const editor = document.getElementById('packetEditor');
+            if (!packet || !titleInput || !editor) return;
+
+            const title = titleInput.value.trim();
+            if (!title) {
+                this.showNotification('Please enter a title for the packet.', 'warning');
+                titleInput.focus();
+                return;
+            }
+
+            const htmlContent = this.sanitizeHtml(editor.innerHTML);
+            const content = this.getPlainTextFromHtml(htmlContent);
+            if (!content) {
+                this.showNotification('A packet cannot be empty. Use Remove to delete it instead.', 'warning');
+                editor.focus();
+                return;
+            }
+
+            this.recordHistory(`Edit "${packet.title}"`);
+            if (!packet.original) {
+                packet.original = {
+                    title: packet.title,
+                    content: packet.content,
+                    htmlContent: packet.htmlContent,
+                    wordCount: packet.wordCount
+                };
+            }
+            packet.title = title;
+            packet.htmlContent = htmlContent;
+            packet.content = content;
+            packet.wordCount = this.countWords(content);
+            const metadata = {};
+            document.querySelectorAll('#packetEditArea [data-metadata-field]').forEach(input => {
+                metadata[input.dataset.metadataField] = input.value;
+            });
+            Object.assign(packet, this.normalizePacketMetadata(metadata));
+            delete packet.unconfirmedDetails;
+
+            this.updateDisplay();
+            this.viewPacket(packet.id);
+            this.showNotification(`Saved changes to "${packet.title}".`, 'success');
+            this.announceToScreenReader('packet-list-status', `Packet ${packet.title} updated.`);
+            console.log(`Packet "${packet.title}" edited (${packet.wordCount} words).`);
+        }
+
+        /**
+         * Leaves the edit form without saving.
+         */
+        cancelPacketEdit() {
+            this.setPacketEditMode(false);
+            document.getElementById('editPacketBtn')?.focus();
+            console.log('Packet edit cancelled.');
+        }
+
+        /**
+         * Restores the title and content the packet had when it was imported, discarding all edits.
+         */
+        revertPacketToOriginal() {
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            if (!packet || !packet.original) {
+                this.showNotification('This packet has not been edited.', 'info');
+                return;
+            }
+
+            this.recordHistory(`Revert "${packet.title}" to original`);
+            Object.assign(packet, packet.original);
+            delete packet.original;
+
+            this.updateDisplay();
+            this.viewPacket(packet.id);
+            this.showNotification(`Reverted "${packet.title}" to its original content.`, 'info');
+            this.announceToScreenReader('packet-list-status', `Packet ${packet.title} reverted to original.`);
+            console.log(`Packet "${packet.title}" reverted to original.`);
+        }
+
+        /**
+         * Finds the loaded packet that an imported packet is a new version of: same source file
+         * and same title (ignoring case), either in its current version or an earlier one.
+         * @param {Object} packetData - The imported packet.
+         * @returns {Object|undefined} The loaded packet, or undefined if there is none.
+         */
+        findPacketForNewVersion(packetData) {
+            const sameDraft = (draft) => draft.filename === packetData.filename && draft.title.toLowerCase() === packetData.title.toLowerCase();
+            return this.packets.find(packet => sameDraft(packet) || (packet.versions || []).some(sameDraft));
+        }
+
+        /**
+         * Copies a packet's current version into a version history entry.
+         * @param {Object} packet - The packet.
+         * @returns {Object} The version: id, title, content, htmlContent, wordCount, filename, dateAdded
+         *     (when this draft was imported, split or merged), how it was made (`change`, 'split' or
+         *     'merged', when it was not imported) and the pre-edit original, if the draft was edited.
+         */
+        snapshotPacketVersion(packet) {
+            const version = {
+                id: packet.versionId !== undefined ? packet.versionId : packet.id,
+                title: packet.title,
+                content: packet.content,
+                htmlContent: packet.htmlContent,
+                wordCount: packet.wordCount,
+                filename: packet.filename,
+                dateAdded: packet.versionDate || packet.dateAdded
+            };
+            if (packet.versionChange) {
+                version.change = packet.versionChange;
+            }
+            if (packet.original) {
+                version.original = packet.original;
+            }
+            return version;
+        }
+
+        /**
+         * Makes an imported draft the current version of a loaded packet, keeping the previous
+         * version in the packet's history. The packet keeps its ID and position in the list.
+         * @param {Object} packet - The loaded packet.
+         * @param {Object} packetData - The imported packet holding the new draft.
+         */
+        addPacketVersion(packet, packetData) {
+            packet.versions = [...(packet.versions || []), this.snapshotPacketVersion(packet)];
+            packet.title = packetData.title;
+            packet.content = packetData.content;
+            packet.htmlContent = packetData.htmlContent;
+            packet.wordCount = packetData.wordCount;
+            packet.filename = packetData.filename;
+            packet.versionId = packetData.id;
+            packet.versionDate = packetData.dateAdded;
+            delete packet.versionChange;
+            delete packet.original;
+            // Details belong to the poem rather than a draft: keep the ones set, fill in any the new draft adds
+            const unconfirmed = [...(packet.unconfirmedDetails || [])];
+            Object.keys(PACKET_METADATA_FIELDS).forEach(field => {
+                const empty = (value) => !value || (Array.isArray(value) && value.length === 0);
+                if (empty(packet[field]) && !empty(packetData[field])) {
+                    packet[field] = packetData[field];
+                    if ((packetData.unconfirmedDetails || []).includes(field)) unconfirmed.push(field);
+                }
+            });
+            if (unconfirmed.length > 0) packet.unconfirmedDetails = [...new Set(unconfirmed)];
+            console.log(`Packet "${packet.title}" now has ${packet.versions.length + 1} versions.`);
+        }
+
+        /**
+         * Keeps a packet's current text in its version history before it is split or merged, so
+         * the packet's earlier versions, and the text it had before the change, can be restored.
+         * The changed text becomes a new version dated now.
+         * @param {Object} packet - The packet about to be changed.
+         * @param {string} change - How the new version is made: 'split' or 'merged'.
+         */
+        startPacketVersion(packet, change) {
+            packet.versions = [...(packet.versions || []), this.snapshotPacketVersion(packet)];
+            packet.versionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            packet.versionDate = new Date().toISOString();
+            packet.versionChange = change;
+            delete packet.original; // The pre-change original now lives in the kept version
+        }
+
+        /**
+         * Describes how and when a version was made, e.g. "imported 19/10/2026, 10:00:00".
+         * @param {Object} version - A version, as from snapshotPacketVersion().
+         * @returns {string} The description.
+         */
+        describePacketVersion(version) {
+            return `${version.change || 'imported'} ${new Date(version.dateAdded).toLocaleString()}`;
+        }
+
+        /**
+         * Lists every version of a packet, oldest first, with the current one marked.
+         * @param {Object} packet - The packet.
+         * @returns {Array<Object>} The versions, as from snapshotPacketVersion() plus a `current` flag.
+         */
+        getPacketVersions(packet) {
+            return [...(packet.versions || []), { ...this.snapshotPacketVersion(packet), current: true }]
+                .sort((a, b) => new Date(a.dateAdded) - new Date(b.dateAdded));
+        }
+
+        /**
+         * Fills the version history section of the packet modal. It is hidden for packets
+         * that have only ever had one version.
+         * @param {Object} packet - The packet shown in the modal.
+         */
+        renderPacketVersions(packet) {
+            const panel = document.getElementById('packetVersionsPanel');
+            const list = document.getElementById('packetVersionsList');
+            const count = document.getElementById('packetVersionCount');
+            if (!panel || !list || !count) return;
+
+            document.getElementById('packetVersionDiff')?.classList.add('hidden');
+            const versions = this.getPacketVersions(packet);
+            panel.classList.toggle('hidden', versions.length < 2);
+            count.textContent = versions.length;
+
+            list.innerHTML = versions.map((version, index) => `
+                <li class="flex flex-wrap items-center justify-between gap-2 border border-gray-200 rounded-lg px-3 py-2 ${version.current ? 'bg-blue-50' : ''}">
+                    <span>
+                        <span class="font-semibold text-gray-800">Version ${index + 1}${version.current ? ' (current)' : ''}</span>
+                        <span class="text-gray-600">- ${this.escapeHtml(version.title)}, ${version.wordCount} words</span>
+                        <span class="block text-gray-500">${this.escapeHtml(version.filename)}, ${this.describePacketVersion(version)}</span>
+                    </span>
+                    ${version.current ? '' : `
+                    <span class="flex gap-2">
+                        <button type="button" data-version-action="compare" data-version-id="${this.escapeAttribute(version.id)}" class="bg-white hover:bg-gray-100 text-gray-700 text-xs font-semibold py-1 px-2 rounded-lg border border-gray-300">Compare</button>
+                        <button type="button" data-version-action="restore" data-version-id="${this.escapeAttribute(version.id)}" class="bg-white hover:bg-gray-100 text-blue-700 text-xs font-semibold py-1 px-2 rounded-lg border border-blue-300">Restore</button>
+                    </span>`}
+                </li>
+            `).join('');
+        }
+
+        /**
+         * Shows the differences between an earlier version of the viewed packet and its current version.
+         * @param {string} versionId - The ID of the earlier version.
+         */
+        comparePacketVersion(versionId) {
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            const version = packet && (packet.versions || []).find(v => v.id == versionId);
+            const diff = document.getElementById('packetVersionDiff');
+            if (!version || !diff) return;
+
+            const { oldHtml, newHtml } = this.renderDiffHtml(this.diffWords(version.content, packet.content));
+            document.getElementById('packetVersionDiffOldLabel').textContent = `${version.title} (${new Date(version.dateAdded).toLocaleDateString()})`;
+            document.getElementById('packetVersionDiffNewLabel').textContent = packet.title;
+            document.getElementById('packetVersionDiffOld').innerHTML = oldHtml;
+            document.getElementById('packetVersionDiffNew').innerHTML = newHtml;
+            diff.classList.remove('hidden');
+            diff.scrollIntoView({ block: 'nearest' });
+            this.announceToScreenReader('packet-list-status', `Comparing ${version.title} with the current version.`);
+        }
+
+        /**
+         * Makes an earlier version the viewed packet's current version. The version it replaces
+         * stays in the history, so restoring can always be undone by restoring again.
+         * @param {string} versionId - The ID of the version to restore.
+         */
+        restorePacketVersion(versionId) {
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            const version = packet && (packet.versions || []).find(v => v.id == versionId);
+            if (!version) {
+                this.showNotification('That version could not be found.', 'error');
+                return;
+            }
+
+            this.recordHistory(`Restore an earlier version of "${packet.title}"`);
+            packet.versions = [...packet.versions.filter(v => v !== version), this.snapshotPacketVersion(packet)];
+            packet.title = version.title;
+            packet.content = version.content;
+            packet.htmlContent = version.htmlContent;
+            packet.wordCount = version.wordCount;
+            packet.filename = version.filename;
+            packet.versionId = version.id;
+            packet.versionDate = version.dateAdded;
+            if (version.change) {
+                packet.versionChange = version.change;
+            } else {
+                delete packet.versionChange;
+            }
+            if (version.original) {
+                packet.original = version.original;
+            } else {
+                delete packet.original;
+            }
+
+            this.updateDisplay();
+            this.viewPacket(packet.id);
+            this.showNotification(`Restored the version of "${packet.title}" ${this.describePacketVersion(version)}.`, 'success');
+            this.announceToScreenReader('packet-list-status', `Packet ${packet.title} restored to an earlier version.`);
+            console.log(`Packet "${packet.title}" restored to version ${version.id}.`);
+        }
+
+        /**
+         * Turns "split mode" on or off in the packet modal. While it is on, clicking a
+         * paragraph splits the packet so that the clicked paragraph starts a new packet.
+         * @param {boolean} [enabled] - The desired state; toggles when omitted.
+         */
+        setSplitMode(enabled) {
+            const modalContent = document.getElementById('packetModalContent');
+            const splitBtn = document.getElementById('splitPacketBtn');
+            const splitHint = document.getElementById('splitHint');
+            this.isSplitMode = enabled === undefined ? !this.isSplitMode : enabled;
+
+            if (modalContent) modalContent.classList.toggle('split-mode', this.isSplitMode);
+            if (splitHint) splitHint.classList.toggle('hidden', !this.isSplitMode);
+            const packet = this.packets.find(p => p.id == this.viewedPacketId);
+            if (modalContent && packet && this.showLineNumbers && modalContent.classList.contains('numbered') === this.isSplitMode) {
+                // Split mode needs the packet's own paragraphs, which the numbered view does not show
+                modalContent.innerHTML = this.isSplitMode ? packet.htmlContent : this.structureToHtml(this.getPacketStructure(packet), { lineNumbers: true });
+                modalContent.classList.toggle('numbered', !this.isSplitMode);
+            }
+            if (splitBtn) {
+                splitBtn.textContent = this.isSplitMode ? 'Cancel split' : 'Split…';
+                splitBtn.setAttribute('aria-pressed', this.isSplitMode ? 'true' : 'false');
+            }
+        }
+
+        /**
+         * Splits a packet in two before the given top-level block of its HTML.
+         * The first part keeps the packet's title; the second gets a title from extractTitle().
+         * Both parts keep the source filename and have their content and word counts recomputed.
+         * The packet's text before the split is kept in its version history.
+         * @param {string} id - The ID of the packet to split.
+         * @param {number} blockIndex - Index of the top-level element that starts the second packet.
+         */
+        splitPacketAt(id, blockIndex) {
+            const index = this.packets.findIndex(p => p.id == id);
+            if (index === -1) return;
+            const packet = this.packets[index];
+
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = packet.htmlContent;
+            const elements = Array.from(tempDiv.children);
+            if (blockIndex <= 0 || blockIndex >= elements.length) {
+                this.showNotification('Choose a paragraph after the first one to split there.', 'warning');
+                return;
+            }
+
+            const firstHtml = elements.slice(0, blockIndex).map(el => el.outerHTML).join('\n');
+            const secondHtml = elements.slice(blockIndex).map(el => el.outerHTML).join('\n');
+            const firstContent = this.getPlainTextFromHtml(firstHtml);
+            const secondContent = this.getPlainTextFromHtml(secondHtml);
+            if (!firstContent || !secondContent) {
+                this.showNotification('Both parts of a split need some text.', 'warning');
+                return;
+            }
+
+            const secondDiv = document.createElement('div');
+            secondDiv.innerHTML = secondHtml;
+            const secondPacket = this.createPacketObject(this.extractTitle(secondDiv, packet.filename), secondContent, secondHtml, packet.filename);
+            secondPacket.sectionId = packet.sectionId;
+            secondPacket.author = packet.author || '';
+
+            this.recordHistory(`Split "${packet.title}"`);
+            this.startPacketVersion(packet, 'split');
+            packet.htmlContent = firstHtml;
+            packet.content = firstContent;
+            packet.wordCount = this.countWords(firstContent);
+            this.packets.splice(index + 1, 0, secondPacket);
+
+            this.updateDisplay();
+            this.viewPacket(packet.id);
+            this.showNotification(`Split "${packet.title}" into two packets. The new one is "${secondPacket.title}".`, 'success');
+            this.announceToScreenReader('packet-list-status', `Packet ${packet.title} split. New packet ${secondPacket.title} added at position ${index + 2}.`);
+            console.log(`Split packet "${packet.title}" at block ${blockIndex}; created "${secondPacket.title}".`);
+        }
+
+        /**
+         * Joins a packet with the one after it. The merged packet keeps the first packet's
+         * title, position and version history, with its text before the merge kept as a version;
+         * content and word count are recomputed.
+         * @param {string} id - The ID of the first packet.
+         */
+        mergePacketWithNext(id) {
+            const index = this.packets.findIndex(p => p.id == id);
+            if (index === -1 || index >= this.packets.length - 1) {
+                this.showNotification('There is no next packet to merge with.', 'info');
+                return;
+            }
+
+            const packet = this.packets[index];
+            const next = this.packets[index + 1];
+            this.recordHistory(`Merge "${next.title}" into "${packet.title}"`);
+            this.startPacketVersion(packet, 'merged');
+            this.appendPacketContent(packet, next);
+            this.packets.splice(index + 1, 1);
+
+            this.updateDisplay();
+            this.showUndoableNotification(`Merged "${next.title}" into "${packet.title}".${this.describeDroppedVersions([next])}`, 'success');
+            this.announceToScreenReader('packet-list-status', `Packet ${next.title} merged into ${packet.title}.`);
+            document.querySelector(`li[data-id="${packet.id}"] .merge-next-btn`)?.focus();
+            console.log(`Merged packet "${next.title}" into "${packet.title}".`);
+        }
+
+        /**
+         * Warns that the earlier versions of packets merged into another are not kept: only the
+         * packet merged into keeps its history.
+         * @param {Array<Object>} merged - The packets merged into another.
+         * @returns {string} A sentence to append to the merge notification, or '' if none had versions.
+         */
+        describeDroppedVersions(merged) {
+            const withVersions = merged.filter(p => p.versions && p.versions.length > 0);
+            if (withVersions.length === 0) return '';
+            const titles = withVersions.map(p => `"${p.title}"`).join(', ');
+            return ` Earlier versions of ${titles} were not kept; use Undo to get them back.`;
+        }
+
+        /**
+         * Appends another packet's content to a packet, recomputing its plain text and word
+         * count. The other packet's source file is added to the filename if it differs.
+         * @param {Object} packet - The packet to extend.
+         * @param {Object} other - The packet whose content is appended.
+         */
+        appendPacketContent(packet, other) {
+            packet.htmlContent = `${packet.htmlContent}\n${other.htmlContent}`;
+            packet.content = this.getPlainTextFromHtml(packet.htmlContent);
+            packet.wordCount = this.countWords(packet.content);
+            if (other.filename !== packet.filename) {
+                const filenames = packet.filename.split(' + ');
+                if (!filenames.includes(other.filename)) {
+                    packet.filename = [...filenames, other.filename].join(' + ');
+                }
+            }
+        }
+
+        /**
+         * Returns the selected packets in list order.
+         * @returns {Array<Object>} The selected packets.
+         */
+        getSelectedPackets() {
+            return this.packets.filter(packet => this.selectedPacketIds.has(String(packet.id)));
+        }
+
+        /**
+         * Ticks or unticks a packet in the list. With extendRange, every packet shown between the
+         * one last ticked and this one is changed too, as with a shift-click.
+         * @param {string} id - The packet ID.
+         * @param {boolean} selected - Whether the packet should be selected.
+         * @param {boolean} [extendRange=false] - Whether to apply the change to the whole range.
+         */
+        setPacketSelected(id, selected, extendRange = false) {
+            const index = this.packets.findIndex(p => p.id == id);
+            if (index === -1) return;
+            const anchorIndex = extendRange ? this.packets.findIndex(p => p.id == this.selectionAnchorId) : -1;
+            // A range only takes in the packets shown: those hidden by the search are left as they are
+            const targets = anchorIndex === -1
+                ? [this.packets[index]]
+                : this.packets.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1).filter(packet => this.packetMatchesSearch(packet));
+
+            targets.forEach(packet => {
+                if (selected) {
+                    this.selectedPacketIds.add(String(packet.id));
+                } else {
+                    this.selectedPacketIds.delete(String(packet.id));
+                }
+            });
+            this.selectionAnchorId = String(this.packets[index].id);
+            this.updateSelectionDisplay();
+            this.announceToScreenReader('packet-list-status', `${this.selectedPacketIds.size} packet${this.selectedPacketIds.size !== 1 ? 's' : ''} selected.`);
+        }
+
+        /**
+         * Selects every packet shown in the list: all of them, or those matching the search.
+         */
+        selectAllPackets() {
+            const shown = this.packets.filter(packet => this.packetMatchesSearch(packet));
+            shown.forEach(packet => this.selectedPacketIds.add(String(packet.id)));
+            this.updateSelectionDisplay();
+            this.announceToScreenReader('packet-list-status', `${shown.length === this.packets.length ? 'All ' : ''}${shown.length} packets selected.`);
+        }
+
+        /**
+         * Unticks every packet.
+         */
+        clearPacketSelection() {
+            this.selectedPacketIds.clear();
+            this.selectionAnchorId = null;
+            this.updateSelectionDisplay();
+            this.announceToScreenReader('packet-list-status', 'Selection cleared.');
+        }
+
+        /**
+         * Brings the checkboxes, row highlights and the bulk action bar in line with the selection.
+         * Packets that are no longer loaded (e.g. removed, or gone after an undo) are dropped from it.
+         */
+        updateSelectionDisplay() {
+            const loadedIds = new Set(this.packets.map(packet => String(packet.id)));
+            this.selectedPacketIds.forEach(id => {
+                if (!loadedIds.has(id)) this.selectedPacketIds.delete(id);
+            });
+
+            document.querySelectorAll('#packetsList .packet-item').forEach(row => {
+                const selected = this.selectedPacketIds.has(row.dataset.id);
+                row.classList.toggle('selected', selected);
+                const checkbox = row.querySelector('.packet-select-checkbox');
+                if (checkbox) checkbox.checked = selected;
+            });
+
+            const bulkActions = document.getElementById('bulkActions');
+            if (!bulkActions) return;
+            const count = this.selectedPacketIds.size;
+            bulkActions.classList.toggle('hidden', count === 0);
+            document.getElementById('selectedPacketCount').textContent = count;
+            const mergeBtn = bulkActions.querySelector('[data-bulk-action="merge"]');
+            if (mergeBtn) mergeBtn.disabled = count < 2;
+
+            const sectionSelect = document.getElementById('bulkSectionSelect');
+            if (sectionSelect) {
+                const previous = sectionSelect.value;
+                sectionSelect.innerHTML = '<option value="">No section</option>' + this.sections
+                    .map(section => `<option value="${this.escapeAttribute(section.id)}">${this.escapeHtml(section.name)}</option>`)
+                    .join('');
+                if (this.sections.some(section => String(section.id) === previous)) sectionSelect.value = previous;
+                sectionSelect.disabled = this.sections.length === 0;
+                const sectionBtn = bulkActions.querySelector('[data-bulk-action="section"]');
+                if (sectionBtn) sectionBtn.disabled = this.sections.length === 0;
+            }
+        }
+
+        /**
+         * Removes every selected packet.
+         */
+        removeSelectedPackets() {
+            const selected = this.getSelectedPackets();
+            if (selected.length === 0) return;
+
+            const label = `${selected.length} packet${selected.length > 1 ? 's' : ''}`;
+            this.recordHistory(`Remove ${label}`);
+            this.packets = this.packets.filter(packet => !this.selectedPacketIds.has(String(packet.id)));
+            this.selectedPacketIds.clear();
+            this.updateDisplay();
+            this.showUndoableNotification(`Removed ${label}.`, 'success');
+            this.announceToScreenReader('packet-list-status', `${label} removed.`);
+            console.log(`Removed ${label}. Remaining packets:`, this.packets.length);
+        }
+
+        /**
+         * Moves the selected packets, in their current order, to the top or bottom of their
+         * section (or of the list, when there are no sections).
+         * @param {string} edge - 'top' or 'bottom'.
+         */
+        moveSelectedPackets(edge) {
+            const selected = this.getSelectedPackets();
+            if (selected.length === 0) return;
+
+            const historySnapshot = this.createHistorySnapshot();
+            const previousOrder = this.getPacketOrderSignature();
+            const rest = this.packets.filter(packet => !this.selectedPacketIds.has(String(packet.id)));
+            this.packets = edge === 'top' ? [...selected, ...rest] : [...rest, ...selected];
+            this.normalizePacketOrder(); // Keeps each packet in its section
+            if (this.getPacketOrderSignature() === previousOrder) {
+                this.showNotification(`The selected packets are already at the ${edge}.`, 'info');
+                return;
+            }
+
+            const label = `${selected.length} packet${selected.length > 1 ? 's' : ''}`;
+            this.recordHistory(`Move ${label} to the ${edge}`, historySnapshot);
+            this.updateDisplay();
+            this.showNotification(`Moved ${label} to the ${edge}${this.sections.length > 0 ? ' of their sections' : ''}.`, 'info');
+            this.announceToScreenReader('packet-list-status', `${label} moved to the ${edge}.`);
+        }
+
+        /**
+         * Moves the selected packets to the end of a section, or out of any section.
+         * @param {string|null} sectionId - The section ID, or null/empty for no section.
+         */
+        moveSelectedPacketsToSection(sectionId) {
+            const selected = this.getSelectedPackets();
+            if (selected.length === 0) return;
+            const section = sectionId ? this.sections.find(s => s.id == sectionId) : null;
+            if (sectionId && !section) {
+                this.showNotification('That section no longer exists.', 'error');
+                return;
+            }
+
+            const label = `${selected.length} packet${selected.length > 1 ? 's' : ''}`;
+            const where = section ? `into section "${section.name}"` : 'out of their sections';
+            this.recordHistory(`Move ${label} ${where}`);
+            selected.forEach(packet => { packet.sectionId = section ? section.id : null; });
+            this.packets = [...this.packets.filter(packet => !selected.includes(packet)), ...selected];
+            this.updateDisplay();
+
+            this.showNotification(`Moved ${label} ${where}.`, 'info');
+            this.announceToScreenReader('packet-list-status', `${label} moved ${where}.`);
+        }
+
+        /**
+         * Finishes dragging one of several selected packets: the others follow it to where it was
+         * dropped, in their current order, and join the section it was dropped into.
+         * @param {Array<{id: string, sectionId: ?string}>} visualOrder - The list order after the drop, read from the page.
+         * @param {Object} draggedPacket - The packet that was dragged.
+         * @param {Object|null} section - The section it was dropped into, or null for none.
+         */
+        moveSelectedPacketsToDrop(visualOrder, draggedPacket, section) {
+            const moved = this.getSelectedPackets();
+            const byId = new Map(this.packets.map(packet => [String(packet.id), packet]));
+            const order = visualOrder.flatMap(entry => {
+                if (entry.id == draggedPacket.id) return moved;
+                return this.selectedPacketIds.has(entry.id) ? [] : [byId.get(entry.id)];
+            });
+            const sectionId = section ? section.id : null;
+            const unchanged = order.every((packet, index) => packet === this.packets[index]) &&
+                moved.every(packet => this.getPacketSectionId(packet) == sectionId);
+
+            if (!unchanged) {
+                this.recordHistory(`Move ${moved.length} packets`);
+                this.packets = order;
+                moved.forEach(packet => { packet.sectionId = sectionId; });
+                const where = section ? ` into section "${section.name}"` : '';
+                this.showNotification(`Moved ${moved.length} packets${where}.`, 'info');
+                this.announceToScreenReader('packet-list-status', `${moved.length} packets moved to position ${this.packets.indexOf(moved[0]) + 1}${where}.`);
+                console.log(`Dropped ${moved.length} selected packets at position ${this.packets.indexOf(moved[0]) + 1}.`);
+            }
+            this.updateDisplay(); // Also puts the rows back if nothing changed
+        }
+
+        /**
+         * Merges the selected packets into the first of them, in list order. The merged packet
+         * keeps the first packet's title, position, section and version history, with its text
+         * before the merge kept as a version.
+         */
+        mergeSelectedPackets() {
+            const [packet, ...others] = this.getSelectedPackets();
+            if (others.length === 0) {
+                this.showNotification('Select at least two packets to merge.', 'info');
+                return;
+            }
+
+            this.recordHistory(`Merge ${others.length + 1} packets into "${packet.title}"`);
+            this.startPacketVersion(packet, 'merged');
+            others.forEach(other => this.appendPacketContent(packet, other));
+            this.packets = this.packets.filter(p => !others.includes(p));
+            this.selectedPacketIds.clear();
+
+            this.updateDisplay();
+            this.showUndoableNotification(`Merged ${others.length + 1} packets into "${packet.title}".${this.describeDroppedVersions(others)}`, 'success');
+            this.announceToScreenReader('packet-list-status', `${others.length + 1} packets merged into ${packet.title}.`);
+            console.log(`Merged ${others.length} selected packets into "${packet.title}".`);
+        }
+
+        /**
+         * Downloads a compilation of only the selected packets, keeping their sections, after
+         * asking for the download options.
+         * @param {string} format - 'html', 'docx' or 'pdf'.
+         */
+        async exportSelectedPackets(format) {
+            if (this.selectedPacketIds.size === 0) {
+                this.showNotification('Select the packets to export first.', 'info');
+                return;
             }
+            if (!await this.chooseExportOptions(format, this.selectedPacketIds.size)) return;
 
-            return title;
+            console.log(`Exporting ${this.selectedPacketIds.size} selected packets as ${format}.`);
+            this.exportPacketIds = new Set(this.selectedPacketIds);
+            try {
+                await this.downloadCompilation(format);
+            } finally {
+                this.exportPacketIds = null;
+            }
         }
 
         /**
-         * Updates the display of loaded packets in the UI.
-         * Enables/disables the download button based on packet count.
-         * Re-initializes drag-and-drop for packet reordering.
+         * Asks for the download options, then downloads every packet in the given format.
+         * @param {string} format - 'html', 'docx' or 'pdf'.
          */
-        updateDisplay() {
-            console.log('Updating display for packets. Total packets:', this.packets.length);
-            const packetsList = document.getElementById('packetsList');
-            const downloadBtn = document.getElementById('downloadBtn');
-            const clearBtn = document.getElementById('clearBtn');
-            const placeholder = document.getElementById('packetsPlaceholder');
-            const packetCountSpan = document.getElementById('packetCount');
-
-            if (!packetsList || !downloadBtn || !clearBtn || !placeholder || !packetCountSpan) {
-                console.error('Required DOM elements for display update not found. Ensure all IDs are correct in HTML.');
+        async downloadWithOptions(format) {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
                 return;
             }
+            if (await this.chooseExportOptions(format)) {
+                await this.downloadCompilation(format);
+            }
+        }
 
-            packetsList.innerHTML = ''; // Clear existing list
-            packetCountSpan.textContent = this.packets.length.toString();
+        /**
+         * Downloads the compilation in the given format with the current download options.
+         * @param {string} format - 'html', 'docx' or 'pdf'.
+         */
+        async downloadCompilation(format) {
+            if (format === 'docx') {
+                await this.downloadCombinedDocx();
+            } else if (format === 'pdf') {
+                await this.downloadCombinedPdf();
+            } else {
+                this.downloadCombinedDocument();
+            }
+        }
 
-            if (this.packets.length === 0) {
-                placeholder.style.display = 'block';
-                packetsList.style.display = 'none';
-                downloadBtn.disabled = true;
-                clearBtn.disabled = true;
-                this.announceToScreenReader('packet-list-status', 'No packets loaded.');
-                console.log('No packets to display. Placeholder shown, buttons disabled.');
-                return;
+        /**
+         * Shows the download options dialog, filled in with the remembered options. Confirming
+         * saves the options for later sessions and, if the title or file name was changed, saves
+         * them with the compilation as an undoable step. Whether packets start on new pages is
+         * remembered for each format.
+         * @param {string} format - The format about to be downloaded: 'html', 'docx' or 'pdf'.
+         * @param {number} [selectedCount] - How many packets are selected, when only those are downloaded.
+         * @returns {Promise<boolean>} True to go ahead with the download, false if cancelled.
+         */
+        chooseExportOptions(format, selectedCount) {
+            const modal = document.getElementById('exportOptionsModal');
+            const form = document.getElementById('exportOptionsForm');
+            if (!modal || !form) {
+                console.error('Download options dialog elements not found.');
+                return Promise.resolve(true);
             }
 
-            placeholder.style.display = 'none';
-            packetsList.style.display = 'block';
-            downloadBtn.disabled = false;
-            clearBtn.disabled = false;
+            const options = this.exportOptions;
+            const titleInput = document.getElementById('exportTitleInput');
+            const fileNameInput = document.getElementById('exportFileNameInput');
+            const packetCount = selectedCount || this.packets.length;
+            document.getElementById('exportOptionsTitle').textContent = `Download ${EXPORT_FORMAT_LABELS[format]}`;
+            document.getElementById('exportOptionsMessage').textContent = selectedCount
+                ? `Only the ${selectedCount} selected packet${selectedCount !== 1 ? 's are' : ' is'} included. These choices are remembered for your next download.`
+                : `All ${packetCount} packet${packetCount !== 1 ? 's are' : ' is'} included. These choices are remembered for your next download.`;
+            document.getElementById('exportFileExtension').textContent = `.${format}`;
+            titleInput.value = this.compilationTitle;
+            fileNameInput.value = this.exportFileName;
+            fileNameInput.placeholder = this.getTitleFileBaseName();
+            document.getElementById('exportIncludeTocInput').checked = options.includeToc;
+            document.getElementById('exportNewPagesInput').checked = options.packetsOnNewPages[format];
+            document.getElementById('exportMetadataFields').innerHTML = Object.entries(EXPORT_METADATA_FIELDS).map(([field, label]) => `
+                <label class="flex items-center gap-2">
+                    <input type="checkbox" name="metadataField" value="${field}" class="h-4 w-4"${options.metadataFields.includes(field) ? ' checked' : ''}>
+                    ${this.escapeHtml(label)}
+                </label>`).join('');
+            document.getElementById('exportHeadingRules').innerHTML = Object.entries(HEADING_RULE_LABELS).map(([rule, label]) => `
+                <label class="flex items-center gap-2">
+                    <input type="radio" name="headingRule" value="${rule}" class="h-4 w-4"${options.headingRule === rule ? ' checked' : ''}>
+                    ${this.escapeHtml(label)}
+                </label>`).join('');
+
+            // The suggested file name follows the title while no name of its own is given
+            const handleTitleInput = () => {
+                fileNameInput.placeholder = this.getTitleFileBaseName(titleInput.value);
+            };
 
-            // Re-render packets based on the current order in this.packets array
-            this.packets.forEach((packet, index) => {
-                const li = document.createElement('li');
-                li.className = 'packet-item bg-white p-4 shadow-sm rounded-lg flex items-center justify-between transition-all duration-200 ease-in-out';
-                li.draggable = true;
-                li.dataset.id = packet.id;
-                li.dataset.index = index; // Important for reordering
-
-                li.innerHTML = `
-                    <div class="flex-1 min-w-0">
-                        <h3 class="text-lg font-semibold text-gray-800 truncate">${this.escapeHtml(packet.title)}</h3>
-                        <p class="text-sm text-gray-500 truncate">${this.escapeHtml(packet.filename)} - ${packet.wordCount} words</p>
-                    </div>
-                    <div class="flex items-center space-x-2 ml-4">
-                        <button type="button" class="move-up-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeHtml(packet.title)} up" data-id="${packet.id}" ${index === 0 ? 'disabled' : ''}>
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="M5 10l7-7m0 0l7 7m-7-7v18" />
-                            </svg>
-                        </button>
-                        <button type="button" class="move-down-btn p-2 rounded-full text-gray-600 hover:bg-gray-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50" aria-label="Move packet ${this.escapeHtml(packet.title)} down" data-id="${packet.id}" ${index === this.packets.length - 1 ? 'disabled' : ''}>
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
-                                <path stroke-linecap="round" stroke-linejoin="round" d="M19 14l-7 7m0 0l-7-7m7 7V3" />
-                            </svg>
-                        </button>
-                        <button type="button" class="view-packet-btn p-2 rounded-full text-blue-600 hover:bg-blue-100 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50" aria-label="View packet ${this.escapeHtml(packet.title)}" data-id="${packet.id}">
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                <path d="M10 12a2 2 0 100-4 2 2 0 000 4z" />
-                                <path fill-rule="evenodd" d="M.458 10C1.732 5.943 5.522 3 10 3s8.268 2.943 9.542 7c-1.274 4.057-5.064 7-9.542 7S1.732 14.057.458 10zM14 10a4 4 0 11-8 0 4 4 0 018 0z" clip-rule="evenodd" />
-                            </svg>
-                        </button>
-                        <button type="button" class="remove-packet-btn p-2 rounded-full text-red-600 hover:bg-red-100 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50" aria-label="Remove packet ${this.escapeHtml(packet.title)}" data-id="${packet.id}">
-                            <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
-                                <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm6 0a1 1 0 012 0v6a1 1 0 11-2 0V8z" clip-rule="evenodd" />
-                            </svg>
-                        </button>
-                    </div>
-                `;
-                packetsList.appendChild(li);
+            modal.classList.remove('hidden');
+            modal.setAttribute('aria-hidden', 'false');
+            titleInput.focus();
+
+            return new Promise(resolve => {
+                const handleSubmit = (e) => {
+                    e.preventDefault();
+                    this.exportOptions = this.normalizeExportOptions({
+                        includeToc: document.getElementById('exportIncludeTocInput').checked,
+                        packetsOnNewPages: { ...options.packetsOnNewPages, [format]: document.getElementById('exportNewPagesInput').checked },
+                        metadataFields: [...form.querySelectorAll('input[name="metadataField"]:checked')].map(input => input.value),
+                        headingRule: form.querySelector('input[name="headingRule"]:checked')?.value
+                    });
+                    this.saveExportOptions();
+
+                    const title = titleInput.value.trim() || this.compilationTitle;
+                    const fileName = this.normalizeExportFileName(fileNameInput.value);
+                    if (title !== this.compilationTitle || fileName !== this.exportFileName) {
+                        this.recordHistory(title !== this.compilationTitle ? 'Rename compilation' : 'Change download file name');
+                        this.compilationTitle = title;
+                        this.exportFileName = fileName;
+                        this.scheduleAutosave();
+                        this.renderFrontMatterPanel();
+                    }
+                    close(true);
+                };
+                const handleClick = (e) => {
+                    if (e.target.closest('button[data-action="cancel"]')) close(false);
+                };
+                const handleEscape = (e) => {
+                    if (e.key === 'Escape') close(false);
+                };
+                const close = (confirmed) => {
+                    modal.classList.add('hidden');
+                    modal.setAttribute('aria-hidden', 'true');
+                    form.removeEventListener('submit', handleSubmit);
+                    titleInput.removeEventListener('input', handleTitleInput);
+                    modal.removeEventListener('click', handleClick);
+                    document.removeEventListener('keydown', handleEscape);
+                    console.log(confirmed ? `Download options confirmed for ${format}.` : 'Download cancelled.');
+                    resolve(confirmed);
+                };
+                form.addEventListener('submit', handleSubmit);
+                titleInput.addEventListener('input', handleTitleInput);
+                modal.addEventListener('click', handleClick);
+                document.addEventListener('keydown', handleEscape);
             });
+        }
 
-            this.addPacketListEventListeners();
-            this.announceToScreenReader('packet-list-status', `${this.packets.length} packets loaded. Use drag and drop or arrows to reorder.`);
-            console.log('Packet list rendered and event listeners added.');
+        /**
+         * Decides whether a packet starts a new page in the Word and PDF downloads. The first packet
+         * in a section follows the divider page, and the first packet overall follows the cover,
+         * table of contents or introduction; any other packet does when the download options say so.
+         * @param {string} format - 'docx' or 'pdf'.
+         * @param {Object} group - The packet's entry in getCompilationOutline().
+         * @param {number} indexInGroup - The packet's position in its group.
+         * @param {number} packetNumber - The packet's position in the whole download, from 1.
+         * @param {Object} matter - The front and back matter, from getCompilationMatter().
+         * @returns {boolean} True if the packet starts a new page.
+         */
+        packetStartsNewPage(format, group, indexInGroup, packetNumber, matter) {
+            if (group.section && indexInGroup === 0) return true;
+            if (packetNumber === 1) return this.exportOptions.includeToc || !!matter.cover || matter.before.length > 0;
+            return this.exportOptions.packetsOnNewPages[format];
         }
 
         /**
-         * Adds event listeners for viewing, removing, and reordering packets.
+         * Combines all loaded packets into a single HTML document, styled by the selected
+         * download template and laid out by the download options, and triggers a download.
+         * The cover (or a plain title), table of contents and introduction come before the
+         * packets; the afterword and indexes after them.
          */
-        addPacketListEventListeners() {
-            const packetsList = document.getElementById('packetsList');
-            if (!packetsList) {
-                console.error('Packet list element not found for event listeners.');
+        downloadCombinedDocument() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('Download attempted with no packets.');
                 return;
             }
 
-            // Delegated event listeners for buttons for better performance and dynamic content
-            packetsList.removeEventListener('click', this._packetListClickHandler); // Remove old handler if exists
-            this._packetListClickHandler = (e) => { // Store handler for removal
-                const button = e.target.closest('button');
-                if (!button) return;
+            const template = this.getExportTemplate();
+            const options = this.exportOptions;
+            console.log(`Preparing combined HTML document for download (template "${template.name}").`, options);
 
-                const id = button.dataset.id;
-                if (button.classList.contains('view-packet-btn')) {
-                    this.viewPacket(id);
-                } else if (button.classList.contains('remove-packet-btn')) {
-                    this.removePacket(id);
-                } else if (button.classList.contains('move-up-btn')) {
-                    this.movePacketUp(id);
-                } else if (button.classList.contains('move-down-btn')) {
-                    this.movePacketDown(id);
+            // Generate Table of Contents: packets, nested under their sections if there are any,
+            // between the front and back matter pages
+            const outline = this.getCompilationOutline();
+            const matter = this.getCompilationMatter(outline);
+            const tocEntry = (packet) => `
+                <li><a href="#packet-${this.escapeAttribute(packet.id)}">${this.escapeHtml(packet.title)}</a></li>
+`;
+            const matterTocHtml = (pages) => pages.length === 0 ? '' : `
+            <ul class="toc-matter">${pages.map(page => `<li><a href="#${page.id}">${this.escapeHtml(page.heading)}</a></li>`).join('')}</ul>
+`;
+            let tableOfContentsHtml = '';
+            if (options.includeToc) {
+                tableOfContentsHtml = `
+        <nav class="table-of-contents">
+            <h2>Table of Contents</h2>${matterTocHtml(matter.before)}
+            <ol>
+`;
+                outline.forEach(group => {
+                    if (!group.section) {
+                        group.packets.forEach(packet => { tableOfContentsHtml += tocEntry(packet); });
+                        return;
+                    }
+                    tableOfContentsHtml += `
+                <li class="toc-section"><a href="#section-${this.escapeAttribute(group.section.id)}">${this.escapeHtml(group.section.name)}</a>
+                    <ol>${group.packets.map(tocEntry).join('')}</ol>
+                </li>
+`;
+                });
+                tableOfContentsHtml += `
+            </ol>${matterTocHtml(matter.after)}
+        </nav>
+`;
+            }
+
+            // Introduction, afterword and indexes
+            const matterPageHtml = (page) => {
+                let body = '';
+                if (page.html) {
+                    body = `<div class="matter-content">${page.html}</div>`;
+                } else if (page.authors) {
+                    body = `<dl class="author-index">${page.authors.map(author => `
+                <dt>${this.escapeHtml(author.name)}</dt>${author.packets.map(packet => `<dd><a href="#packet-${this.escapeAttribute(packet.id)}">${this.escapeHtml(packet.title)}</a></dd>`).join('')}`).join('')}
+            </dl>`;
+                } else if (page.firstLines) {
+                    body = `<ul class="first-line-index">${page.firstLines.map(entry => `
+                <li><a href="#packet-${this.escapeAttribute(entry.packet.id)}">${this.escapeHtml(entry.line)}</a> <span class="index-title">${this.escapeHtml(entry.packet.title)}</span></li>`).join('')}
+            </ul>`;
                 }
+                return `
+        <section class="matter-page" id="${page.id}">
+            <h2>${this.escapeHtml(page.heading)}</h2>
+            ${body}
+        </section>
+`;
             };
-            packetsList.addEventListener('click', this._packetListClickHandler);
+            const coverHtml = matter.cover ? `
+    <section class="cover-page">
+        <h1>${this.escapeHtml(matter.cover.title)}</h1>
+        ${matter.cover.subtitle ? `<p class="cover-subtitle">${this.escapeHtml(matter.cover.subtitle)}</p>` : ''}
+        ${matter.cover.editor ? `<p class="cover-editor">Edited by ${this.escapeHtml(matter.cover.editor)}</p>` : ''}
+        ${matter.cover.date ? `<p class="cover-date">${this.escapeHtml(matter.cover.date)}</p>` : ''}
+    </section>` : `
+    <h1>${this.escapeHtml(this.compilationTitle)}</h1>`;
 
 
-            // Drag and Drop for reordering
-            packetsList.removeEventListener('dragstart', this._dragStartHandler);
-            packetsList.removeEventListener('dragover', this._dragOverHandler);
-            packetsList.removeEventListener('drop', this._dropHandler);
-            packetsList.removeEventListener('dragend', this._dragEndHandler);
+            let combinedHtml = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(this.compilationTitle)}</title>
+    ${template.fontUrl ? `<link rel="stylesheet" href="${this.escapeAttribute(template.fontUrl)}">
+    ` : ''}<style>${this.getExportTemplateCss(template)}    </style>
+</head>
+<body${options.packetsOnNewPages.html ? ' class="packets-on-new-pages"' : ''}>${coverHtml}
+    ${tableOfContentsHtml}
+    ${matter.before.map(matterPageHtml).join('')}
+    <div class="packets-container">
+`;
 
-            this._dragStartHandler = (e) => {
-                const target = e.target.closest('.packet-item');
-                if (target) {
-                    this.draggedIndex = parseInt(target.dataset.index, 10);
-                    e.dataTransfer.effectAllowed = 'move';
-                    e.dataTransfer.setData('text/plain', this.draggedIndex); // Set data for Firefox compatibility
-                    setTimeout(() => target.classList.add('dragging'), 0); // Add class after a tiny delay
-                    console.log('Drag started for index:', this.draggedIndex);
+            outline.forEach(group => {
+                if (group.section) {
+                    combinedHtml += `
+        <section class="section-divider" id="section-${this.escapeAttribute(group.section.id)}">
+            <h1>${this.escapeHtml(group.section.name)}</h1>
+            <p>${group.packets.length} packet${group.packets.length !== 1 ? 's' : ''}</p>
+        </section>
+`;
                 }
-            };
-            packetsList.addEventListener('dragstart', this._dragStartHandler);
-
-            this._dragOverHandler = (e) => {
-                this.preventDefaults(e); // Allow drop
-                const target = e.target.closest('.packet-item');
-                if (target && target.dataset.index !== undefined && this.draggedIndex !== null) {
-                    const dragOverIndex = parseInt(target.dataset.index, 10);
-                    const draggedEl = packetsList.querySelector('.packet-item.dragging');
 
-                    if (draggedEl && this.draggedIndex !== dragOverIndex) {
-                        const currentParent = target.parentNode;
-                        if (currentParent && draggedEl.parentNode === currentParent) {
-                            const targetRect = target.getBoundingClientRect();
-                            const mouseY = e.clientY;
-                            const targetMidY = targetRect.top + targetRect.height / 2;
+                group.packets.forEach(packet => {
+                    const poemHtml = this.structureToHtml(this.getExportPacketStructure(packet), { lineNumbers: this.showLineNumbers });
+                    const metadataLines = this.getPacketMetadataLines(packet, options.metadataFields);
+                    const metadataHtml = metadataLines.length === 0 ? '' : `
+            <div class="packet-metadata">
+                ${metadataLines.map(line => `<p class="packet-${line.field.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}">${this.escapeHtml(line.text).replace(/\n/g, '<br>')}</p>`).join('\n                ')}
+            </div>`;
+
+                    combinedHtml += `
+        <div class="packet-section" id="packet-${this.escapeAttribute(packet.id)}">
+            <h2>${this.escapeHtml(packet.title)}</h2>${metadataHtml}
+            <div class="packet-content${this.showLineNumbers ? ' numbered' : ''}">
+                ${poemHtml}
+            </div>
+        </div>
+`;
+                });
+            });
 
-                            if (mouseY < targetMidY && draggedEl !== target.previousElementSibling) {
-                                currentParent.insertBefore(draggedEl, target);
-                            } else if (mouseY >= targetMidY && draggedEl !== target.nextElementSibling) {
-                                currentParent.insertBefore(draggedEl, target.nextSibling);
-                            }
-                        }
-                    }
-                }
-            };
-            packetsList.addEventListener('dragover', this._dragOverHandler);
+            combinedHtml += `
+    </div>
+    ${matter.after.map(matterPageHtml).join('')}
+</body>
+</html>`;
 
-            // No specific action needed for dragleave for this simple reorder logic
+            const blob = new Blob([combinedHtml], { type: 'text/html;charset=utf-8' });
+            this.triggerDownload(blob, this.getExportFileName('html'));
+            this.showNotification('Combined document downloaded as HTML!', 'success');
+            this.announceToScreenReader('process-status', 'Combined document downloaded as HTML.');
+            console.log('Combined document download initiated.');
+        }
 
-            this._dropHandler = (e) => {
-                this.preventDefaults(e);
-                const draggedEl = packetsList.querySelector('.packet-item.dragging'); // Get the element still marked as dragging
+        /**
+         * Returns a packet's HTML ready for export, with a leading heading removed
+         * when it duplicates the packet title (the export adds its own title heading),
+         * and the by-line, dedication, epigraph and date removed when they repeat the
+         * packet's details (the export shows those above the text).
+         * @param {Object} packet - The packet to prepare.
+         * @param {Object} [options={}] - headingRule (a key of HEADING_RULE_LABELS, 'similar' by default) and
+         *     metadataFields (the details shown above the text, all of PACKET_METADATA_FIELDS by default).
+         * @returns {string} The cleaned HTML content.
+         */
+        getCleanedPacketHtml(packet, options = {}) {
+            const { headingRule = 'similar', metadataFields = Object.keys(PACKET_METADATA_FIELDS) } = options;
+            const tempContentDiv = document.createElement('div');
+            tempContentDiv.innerHTML = packet.htmlContent;
+
+            // Check if the packet's title (or a very similar version) is the first heading in its htmlContent
+            const firstHeading = headingRule === 'never' ? null : tempContentDiv.querySelector('h1, h2, h3');
+            if (firstHeading) {
+                const normalizedTitle = packet.title.toLowerCase().replace(/[^a-z0-9]/g, '');
+                const normalizedHeadingText = firstHeading.textContent.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+
+                // Use a more robust check for similarity
+                // Check if the heading text is a significant portion of the packet title or vice-versa
+                const isSimilar = normalizedTitle.includes(normalizedHeadingText) || normalizedHeadingText.includes(normalizedTitle);
+                const isExactMatch = normalizedTitle === normalizedHeadingText;
+
+                if (isExactMatch || (headingRule === 'similar' && isSimilar && firstHeading.textContent.trim().length > 0)) {
+                    console.log(`Removing duplicate heading "${firstHeading.textContent.trim()}" from packet "${packet.title}" for export.`);
+                    firstHeading.remove();
+                }
+            }
 
-                if (draggedEl && this.draggedIndex !== null) {
-                    const newIndex = Array.from(packetsList.children).indexOf(draggedEl); // Get the new visual index
+            this.removeMetadataBlocks(tempContentDiv, packet, metadataFields);
+            return tempContentDiv.innerHTML;
+        }
 
-                    if (this.draggedIndex !== newIndex && newIndex !== -1) {
-                        console.log(`Drop detected. Original Dragged Index: ${this.draggedIndex}, New Visual Index: ${newIndex}`);
+        /**
+         * Removes the blocks at the start and end of a packet's HTML that only repeat its details.
+         * Details that are not shown, and those guessed from the text that the user has not
+         * confirmed yet (see confirmPacketDetails()), are left in the text.
+         * @param {HTMLElement} container - Element holding the packet HTML; changed in place.
+         * @param {Object} packet - The packet whose details to look for.
+         * @param {Array<string>} [fields] - The details shown above the text; all of them by default.
+         */
+        removeMetadataBlocks(container, packet, fields = Object.keys(PACKET_METADATA_FIELDS)) {
+            const unconfirmed = packet.unconfirmedDetails || [];
+            fields = fields.filter(field => !unconfirmed.includes(field));
+            const metadata = this.normalizePacketMetadata(packet);
+            fields.includes('author') || (metadata.author = '');
+            fields.includes('dedication') || (metadata.dedication = '');
+            fields.includes('epigraph') || (metadata.epigraph = '');
+            fields.includes('dateWritten') || (metadata.dateWritten = '');
+            const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+            const repeats = [
+                metadata.author && `by${normalize(metadata.author)}`,
+                metadata.dedication && normalize(metadata.dedication),
+                ...metadata.epigraph.split('\n').map(normalize)
+            ].filter(Boolean);
+            const blocks = Array.from(container.children).filter(block => block.textContent.trim());
+
+            for (const block of blocks.slice(0, 6)) {
+                const text = normalize(block.textContent);
+                // An epigraph block may hold the quotation and its attribution together
+                if (!text || !(repeats.includes(text) || (metadata.epigraph && normalize(metadata.epigraph) === text))) break;
+                block.remove();
+            }
+            const lastBlock = blocks[blocks.length - 1];
+            if (metadata.dateWritten && lastBlock && container.contains(lastBlock) &&
+                normalize(lastBlock.textContent) === normalize(metadata.dateWritten)) {
+                lastBlock.remove();
+            }
+        }
 
-                        const [draggedPacket] = this.packets.splice(this.draggedIndex, 1);
-                        this.packets.splice(newIndex, 0, draggedPacket);
+        /**
+         * Saves a Blob to the user's device by clicking a temporary download link.
+         * @param {Blob} blob - The file contents.
+         * @param {string} filename - The name to save the file under.
+         */
+        triggerDownload(blob, filename) {
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        }
 
-                        this.showNotification(`Reordered packet "${draggedPacket.title}"`, 'info');
-                        this.announceToScreenReader('packet-list-status', `Packet ${draggedPacket.title} moved to position ${newIndex + 1}.`);
+        /**
+         * Converts packet HTML (as produced by Mammoth.js) into a flat list of blocks
+         * that non-HTML exporters can render. Each block carries its inline runs with
+         * their formatting, so bold, italics, line breaks and images survive.
+         * @param {string} html - The HTML to convert.
+         * @returns {Array<Object>} Blocks of type 'heading', 'paragraph', 'listItem' or 'rule'.
+         *     Paragraphs also carry their indentation in columns (see cssLengthToColumns()).
+         */
+        htmlToBlocks(html) {
+            const container = document.createElement('div');
+            container.innerHTML = html;
+            const blocks = [];
+
+            const getAlignment = (el) => {
+                const align = (el.style && el.style.textAlign) || el.getAttribute('align') || '';
+                return ['center', 'right', 'justify'].includes(align.toLowerCase()) ? align.toLowerCase() : 'left';
+            };
+            // Paragraph indentation, in columns of about half an em
+            const getIndentColumns = (el) => this.cssLengthToColumns(el.style && el.style.marginLeft) + this.cssLengthToColumns(el.style && el.style.paddingLeft);
+            const getFirstLineColumns = (el) => this.cssLengthToColumns(el.style && el.style.textIndent);
+
+            const collectRuns = (node, format, runs) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    const text = node.textContent.replace(/[\r\n]+/g, ' ');
+                    if (text.length > 0) {
+                        runs.push({ ...format, text });
+                    }
+                    return runs;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return runs;
 
-                        this.draggedIndex = null; // Reset
-                        draggedEl.classList.remove('dragging'); // Remove dragging class
+                const tag = node.tagName;
+                const childFormat = { ...format };
+                if (tag === 'BR') {
+                    runs.push({ ...format, break: true });
+                    return runs;
+                }
+                if (tag === 'IMG') {
+                    const src = this.isSafeUrl(node.getAttribute('src'), { image: true });
+                    if (src) {
+                        runs.push({ image: src, alt: node.getAttribute('alt') || '' });
+                    }
+                    return runs;
+                }
+                if (tag === 'STRONG' || tag === 'B') childFormat.bold = true;
+                if (tag === 'EM' || tag === 'I') childFormat.italics = true;
+                if (tag === 'U') childFormat.underline = true;
+                if (tag === 'S' || tag === 'STRIKE' || tag === 'DEL') childFormat.strike = true;
+                if (tag === 'SUP') childFormat.superScript = true;
+                if (tag === 'SUB') childFormat.subScript = true;
+                const href = tag === 'A' && this.isSafeUrl(node.getAttribute('href'));
+                if (href && !href.startsWith('#')) {
+                    childFormat.link = href;
+                }
+                node.childNodes.forEach(child => collectRuns(child, childFormat, runs));
+                return runs;
+            };
 
-                        // Re-render the list to reflect the new order and update data-index attributes correctly
-                        this.updateDisplay();
+            const walk = (node, context) => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    if (node.textContent.trim().length > 0) {
+                        blocks.push({ type: 'paragraph', align: 'left', indent: context.indent, runs: collectRuns(node, {}, []) });
+                    }
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                const tag = node.tagName;
+                if (/^H[1-6]$/.test(tag)) {
+                    blocks.push({ type: 'heading', level: parseInt(tag.charAt(1), 10), align: getAlignment(node), runs: collectRuns(node, {}, []) });
+                } else if (tag === 'P' || tag === 'PRE') {
+                    blocks.push({
+                        type: 'paragraph',
+                        align: getAlignment(node),
+                        indent: context.indent,
+                        indentColumns: getIndentColumns(node),
+                        firstLineColumns: getFirstLineColumns(node),
+                        preformatted: tag === 'PRE',
+                        runs: collectRuns(node, {}, [])
+                    });
+                } else if (tag === 'UL' || tag === 'OL') {
+                    let number = parseInt(node.getAttribute('start') || '1', 10);
+                    Array.from(node.children).forEach(li => {
+                        if (li.tagName !== 'LI') return;
+                        // Nested lists become their own list items one level deeper
+                        const inlineNodes = Array.from(li.childNodes).filter(child => !(child.tagName === 'UL' || child.tagName === 'OL'));
+                        const runs = [];
+                        inlineNodes.forEach(child => collectRuns(child, {}, runs));
+                        blocks.push({ type: 'listItem', ordered: tag === 'OL', number: number++, level: context.listLevel, runs });
+                        Array.from(li.children)
+                            .filter(child => child.tagName === 'UL' || child.tagName === 'OL')
+                            .forEach(nested => walk(nested, { ...context, listLevel: context.listLevel + 1 }));
+                    });
+                } else if (tag === 'TABLE') {
+                    // Tables are flattened to one paragraph per row, with cells separated by tabs
+                    node.querySelectorAll('tr').forEach(row => {
+                        const runs = [];
+                        Array.from(row.children).forEach((cell, cellIndex) => {
+                            if (cellIndex > 0) runs.push({ text: '\t' });
+                            collectRuns(cell, {}, runs);
+                        });
+                        blocks.push({ type: 'paragraph', align: 'left', indent: context.indent, tableRow: true, runs });
+                    });
+                } else if (tag === 'BLOCKQUOTE') {
+                    node.childNodes.forEach(child => walk(child, { ...context, indent: context.indent + 1 }));
+                } else if (tag === 'HR') {
+                    blocks.push({ type: 'rule' });
+                } else if (['DIV', 'SECTION', 'ARTICLE', 'MAIN'].includes(tag)) {
+                    const hasBlockChildren = Array.from(node.children).some(child => /^(P|PRE|H[1-6]|UL|OL|TABLE|BLOCKQUOTE|HR|DIV|SECTION|ARTICLE|MAIN)$/.test(child.tagName));
+                    if (hasBlockChildren) {
+                        node.childNodes.forEach(child => walk(child, context));
+                    } else if (node.textContent.trim().length > 0 || node.querySelector('img, br')) {
+                        // A div holding only inline content (e.g. from the rich-text editor) acts as a paragraph
+                        blocks.push({
+                            type: 'paragraph',
+                            align: getAlignment(node),
+                            indent: context.indent,
+                            indentColumns: getIndentColumns(node),
+                            firstLineColumns: getFirstLineColumns(node),
+                            runs: collectRuns(node, {}, [])
+                        });
                     } else {
-                        console.log('Packet dropped on its original position or invalid drop. No reordering needed.');
-                        this.draggedIndex = null;
-                        if (draggedEl) draggedEl.classList.remove('dragging');
+                        // An empty div (e.g. a blank line typed in the rich-text editor) separates stanzas
+                        blocks.push({ type: 'paragraph', align: 'left', indent: context.indent, runs: [] });
+                    }
+                } else {
+                    // Inline element at block level (e.g. a bare <img> or <strong>)
+                    const runs = collectRuns(node, {}, []);
+                    if (runs.length > 0) {
+                        blocks.push({ type: 'paragraph', align: 'left', indent: context.indent, runs });
                     }
-                } else if (draggedEl) {
-                    // If dropped outside a valid target, just remove dragging class
-                    draggedEl.classList.remove('dragging');
-                    this.draggedIndex = null;
                 }
             };
-            packetsList.addEventListener('drop', this._dropHandler);
 
-            this._dragEndHandler = (e) => {
-                const draggedEl = packetsList.querySelector('.packet-item.dragging');
-                if (draggedEl) {
-                    draggedEl.classList.remove('dragging');
+            container.childNodes.forEach(node => walk(node, { indent: 0, listLevel: 0 }));
+            return blocks;
+        }
+
+        /**
+         * Converts a CSS length (e.g. "36pt", "2em", "0.5in") to columns of about half an em,
+         * the unit verse indentation is measured in.
+         * @param {string} [value] - The CSS length.
+         * @returns {number} The length in columns; 0 for empty, negative or unknown values.
+         */
+        cssLengthToColumns(value) {
+            const match = /^(-?[\d.]+)(pt|px|em|rem|ch|in|cm|mm)$/.exec((value || '').trim());
+            if (!match) return 0;
+            const columnsPerUnit = { pt: 1 / 6, px: 1 / 8, em: 2, rem: 2, ch: 1, in: 12, cm: 12 / 2.54, mm: 12 / 25.4 };
+            return Math.max(0, parseFloat(match[1]) * columnsPerUnit[match[2]]);
+        }
+
+        /**
+         * Converts inline runs back to HTML.
+         * @param {Array<Object>} runs - Runs as from htmlToBlocks().
+         * @returns {string} The HTML.
+         */
+        runsToHtml(runs) {
+            return runs.map(run => {
+                if (run.image) return this.isSafeUrl(run.image, { image: true }) ? `<img src="${this.escapeAttribute(run.image)}" alt="${this.escapeAttribute(run.alt || '')}">` : '';
+                if (run.break) return '<br>';
+                let html = this.escapeHtml(run.text);
+                if (run.bold) html = `<strong>${html}</strong>`;
+                if (run.italics) html = `<em>${html}</em>`;
+                if (run.underline) html = `<u>${html}</u>`;
+                if (run.strike) html = `<s>${html}</s>`;
+                if (run.superScript) html = `<sup>${html}</sup>`;
+                if (run.subScript) html = `<sub>${html}</sub>`;
+                if (run.link && this.isSafeUrl(run.link)) html = `<a href="${this.escapeAttribute(run.link)}">${html}</a>`;
+                return html;
+            }).join('');
+        }
+
+        /**
+         * Renders a structure from buildPacketStructure() as HTML for the HTML export and the
+         * numbered view in the packet modal: a .stanza per stanza and a .line per line, with
+         * indentation as a margin.
+         * @param {{stanzas: Array<Object>}} structure - The structure.
+         * @param {{lineNumbers?: boolean}} [options={}] - With lineNumbers, every LINE_NUMBER_INTERVAL-th
+         *     line gets a .line-number; the container should then have the .numbered class, which makes room for them.
+         * @returns {string} The HTML.
+         */
+        structureToHtml(structure, options = {}) {
+            let lineNumber = 0;
+            return structure.stanzas.map(stanza => {
+                const block = stanza.block;
+                if (block) {
+                    if (block.type === 'rule') return '<hr>';
+                    if (block.type === 'heading') {
+                        // The packet title is an <h2>, so headings inside the poem sit below it
+                        const level = Math.min(block.level + 2, 6);
+                        return `<h${level}${block.align !== 'left' ? ` style="text-align: ${block.align}"` : ''}>${this.runsToHtml(block.runs)}</h${level}>`;
+                    }
+                    if (block.type === 'listItem') {
+                        return `<p class="list-item" style="margin-left: ${1.5 * (block.level + 1)}em">${block.ordered ? `${block.number}.` : '•'} ${this.runsToHtml(block.runs)}</p>`;
+                    }
+                    if (block.preformatted) return `<pre>${this.runsToHtml(block.runs)}</pre>`;
+                    return `<p class="table-row">${this.runsToHtml(block.runs)}</p>`;
                 }
-                this.draggedIndex = null; // Reset
-                console.log('Drag ended. draggedIndex reset.');
-            };
-            packetsList.addEventListener('dragend', this._dragEndHandler);
 
-            console.log('Drag and drop listeners (re)added to packet list.');
+                const lines = stanza.lines.map((line, index) => {
+                    const previous = stanza.lines[index - 1];
+                    const indent = line.dropped ? previous.indent : line.indent;
+                    const classes = ['line', line.dropped ? 'line-dropped' : '', line.align !== 'left' ? `align-${line.align}` : ''].filter(Boolean).join(' ');
+                    const style = indent > 0 ? ` style="margin-left: ${indent / 2}em"` : '';
+                    const spacer = line.dropped ? `<span class="line-drop" aria-hidden="true">${this.escapeHtml(this.getRunsText(previous.runs))}</span>` : '';
+                    lineNumber++;
+                    const number = options.lineNumbers && lineNumber % LINE_NUMBER_INTERVAL === 0
+                        ? `<span class="line-number" aria-hidden="true">${lineNumber}</span>` : '';
+                    return `<p class="${classes}"${style}>${number}${spacer}${this.runsToHtml(line.runs)}</p>`;
+                });
+                return `<div class="stanza">\n${lines.join('\n')}\n</div>`;
+            }).join('\n');
         }
 
         /**
-         * Moves a packet up in the list (towards the beginning of the array).
-         * @param {string} id - The ID of the packet to move.
+         * Reads the pixel dimensions of an image so it can be sized in the exported document.
+         * Large images are scaled down to fit the page width.
+         * @param {string} src - The image source (usually a base64 data URL from Mammoth.js).
+         * @param {number} maxWidth - The widest the image may be, in pixels.
+         * @returns {Promise<{width: number, height: number}|null>} The scaled size, or null if the image cannot be loaded.
          */
-        movePacketUp(id) {
-            const index = this.packets.findIndex(p => p.id == id);
-            if (index > 0) {
-                const [packet] = this.packets.splice(index, 1);
-                this.packets.splice(index - 1, 0, packet);
-                this.updateDisplay();
-                this.showNotification(`Moved "${packet.title}" up.`, 'info');
-                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved up to position ${index}.`);
-                // Re-focus the moved packet's up button for better accessibility
-                document.querySelector(`li[data-id="${id}"] .move-up-btn`)?.focus();
-            } else {
-                this.showNotification('Packet is already at the top.', 'info');
+        getImageSize(src, maxWidth) {
+            return new Promise(resolve => {
+                const img = new Image();
+                img.onload = () => {
+                    let width = img.naturalWidth || maxWidth;
+                    let height = img.naturalHeight || Math.round(maxWidth * 0.75);
+                    if (width > maxWidth) {
+                        height = Math.round(height * (maxWidth / width));
+                        width = maxWidth;
+                    }
+                    resolve({ width, height });
+                };
+                img.onerror = () => resolve(null);
+                img.src = src;
+            });
+        }
+
+        /**
+         * Converts a list of inline runs into docx.js run objects.
+         * @param {Array<Object>} runs - Runs produced by htmlToBlocks().
+         * @param {Object} [extraFormat={}] - Formatting applied on top of every run (e.g. a font).
+         * @returns {Promise<Array<Object>>} docx.js TextRun, ImageRun and ExternalHyperlink objects.
+         */
+        async runsToDocx(runs, extraFormat = {}) {
+            const { TextRun, ImageRun, ExternalHyperlink } = window.docx;
+            const children = [];
+
+            for (const run of runs) {
+                if (run.image) {
+                    if (!run.image.startsWith('data:image/')) {
+                        console.warn('Skipping non-embedded image in DOCX export:', run.image.slice(0, 80));
+                        continue;
+                    }
+                    const size = await this.getImageSize(run.image, 600);
+                    if (!size) {
+                        console.warn('Skipping image that could not be decoded for DOCX export.');
+                        continue;
+                    }
+                    children.push(new ImageRun({ data: run.image, transformation: size, altText: { name: run.alt || 'Image', description: run.alt || '' } }));
+                    continue;
+                }
+
+                const textRun = new TextRun({
+                    ...extraFormat,
+                    text: run.break ? undefined : run.text,
+                    break: run.break ? 1 : undefined,
+                    bold: run.bold || extraFormat.bold,
+                    italics: run.italics || extraFormat.italics,
+                    underline: (run.underline || run.link) ? {} : undefined,
+                    strike: run.strike,
+                    superScript: run.superScript,
+                    subScript: run.subScript,
+                    color: run.link ? '2563EB' : extraFormat.color
+                });
+                children.push(run.link ? new ExternalHyperlink({ link: run.link, children: [textRun] }) : textRun);
             }
+            return children;
         }
 
         /**
-         * Moves a packet down in the list (towards the end of the array).
-         * @param {string} id - The ID of the packet to move.
+         * Converts blocks from htmlToBlocks() into docx.js paragraphs.
+         * Headings inside a packet are shifted one level down so they sit below the packet title.
+         * @param {Array<Object>} blocks - The blocks to convert.
+         * @returns {Promise<Array<Object>>} docx.js Paragraph objects.
          */
-        movePacketDown(id) {
-            const index = this.packets.findIndex(p => p.id == id);
-            if (index < this.packets.length - 1 && index !== -1) {
-                const [packet] = this.packets.splice(index, 1);
-                this.packets.splice(index + 1, 0, packet);
-                this.updateDisplay();
-                this.showNotification(`Moved "${packet.title}" down.`, 'info');
-                this.announceToScreenReader('packet-list-status', `Packet ${packet.title} moved down to position ${index + 2}.`);
-                // Re-focus the moved packet's down button for better accessibility
-                document.querySelector(`li[data-id="${id}"] .move-down-btn`)?.focus();
-            } else {
-                this.showNotification('Packet is already at the bottom.', 'info');
+        async blocksToDocxParagraphs(blocks) {
+            const { Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle } = window.docx;
+            const alignments = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT, justify: AlignmentType.JUSTIFIED };
+            const headingLevels = [HeadingLevel.HEADING_2, HeadingLevel.HEADING_3, HeadingLevel.HEADING_4, HeadingLevel.HEADING_5, HeadingLevel.HEADING_6, HeadingLevel.HEADING_6];
+            const paragraphs = [];
+
+            for (const block of blocks) {
+                if (block.type === 'rule') {
+                    paragraphs.push(new Paragraph({ border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: 'CCCCCC', space: 1 } } }));
+                } else if (block.type === 'heading') {
+                    paragraphs.push(new Paragraph({
+                        heading: headingLevels[block.level - 1],
+                        alignment: alignments[block.align],
+                        children: await this.runsToDocx(block.runs)
+                    }));
+                } else if (block.type === 'listItem') {
+                    const children = await this.runsToDocx(block.runs);
+                    if (block.ordered) {
+                        children.unshift(new TextRun({ text: `${block.number}.\t` }));
+                        paragraphs.push(new Paragraph({ children, indent: { left: 720 * (block.level + 1), hanging: 360 } }));
+                    } else {
+                        paragraphs.push(new Paragraph({ children, bullet: { level: Math.min(block.level, 8) } }));
+                    }
+                } else {
+                    paragraphs.push(new Paragraph({
+                        alignment: alignments[block.align],
+                        indent: block.indent ? { left: 720 * block.indent } : undefined,
+                        spacing: { after: 120 },
+                        children: await this.runsToDocx(block.runs, block.preformatted ? { font: 'Courier New' } : {})
+                    }));
+                }
             }
+            return paragraphs;
         }
 
         /**
-         * Removes a packet from the list by its ID.
-         * @param {string} id - The ID of the packet to remove.
+         * Converts a structure from buildPacketStructure() into docx.js paragraphs: one paragraph
+         * per line, with space after the last line of each stanza. Indentation is about 6pt a column.
+         * @param {{stanzas: Array<Object>}} structure - The structure.
+         * @param {{lineNumbers?: boolean}} [options={}] - With lineNumbers, every LINE_NUMBER_INTERVAL-th
+         *     line is numbered in a gutter left of the poem. Centred and right-aligned lines are then
+         *     placed with a tab stop instead, as Word cannot hang a number in front of them.
+         * @returns {Promise<Array<Object>>} docx.js Paragraph objects.
          */
-        removePacket(id) {
-            console.log('Attempting to remove packet with ID:', id);
-            const initialCount = this.packets.length;
-            const removedPacket = this.packets.find(packet => packet.id == id);
-            this.packets = this.packets.filter(packet => packet.id != id); // Use != for loose comparison with dataset.id (string)
-            if (this.packets.length < initialCount) {
-                this.showNotification(`Packet "${removedPacket ? removedPacket.title : 'Unknown'}" removed!`, 'success');
-                this.announceToScreenReader('packet-list-status', `Packet ${removedPacket ? removedPacket.title : 'Unknown'} removed.`);
-                this.updateDisplay();
-                console.log('Packet removed successfully. Remaining packets:', this.packets.length);
-            } else {
-                console.warn('Packet with ID not found:', id);
+        async structureToDocxParagraphs(structure, options = {}) {
+            const { Paragraph, TextRun, AlignmentType, TabStopType } = window.docx;
+            const alignments = { left: AlignmentType.LEFT, center: AlignmentType.CENTER, right: AlignmentType.RIGHT, justify: AlignmentType.JUSTIFIED };
+            const gutter = options.lineNumbers ? 480 : 0;
+            const textWidth = 9026; // docx.js's default A4 page less its 1-inch margins, in twips
+            const paragraphs = [];
+            let lineNumber = 0;
+
+            for (const stanza of structure.stanzas) {
+                if (stanza.block) {
+                    paragraphs.push(...await this.blocksToDocxParagraphs([stanza.block]));
+                    continue;
+                }
+                for (let i = 0; i < stanza.lines.length; i++) {
+                    const line = stanza.lines[i];
+                    const previous = stanza.lines[i - 1];
+                    // A dropped line starts roughly where the line above it ended
+                    const columns = line.dropped ? previous.indent + this.getRunsText(previous.runs).length : line.indent;
+                    const children = await this.runsToDocx(line.runs);
+                    const left = gutter + 120 * columns;
+                    let indent = left > 0 ? { left } : undefined;
+                    let alignment = alignments[line.align];
+                    let tabStops;
+                    lineNumber++;
+                    if (gutter) {
+                        // The number hangs out into the gutter; the tab lines the text up with the rest of the poem
+                        const label = lineNumber % LINE_NUMBER_INTERVAL === 0 ? String(lineNumber) : '';
+                        children.unshift(new TextRun({ text: `${label}\t`, size: 16, color: '999999' }));
+                        indent = { left, hanging: left };
+                        if (line.align === 'center' || line.align === 'right') {
+                            const center = line.align === 'center';
+                            children.splice(1, 0, new TextRun({ text: '\t' }));
+                            tabStops = [{ type: center ? TabStopType.CENTER : TabStopType.RIGHT, position: center ? Math.round((left + textWidth) / 2) : textWidth }];
+                            alignment = AlignmentType.LEFT;
+                        }
+                    }
+                    paragraphs.push(new Paragraph({
+                        alignment,
+                        indent,
+                        tabStops,
+                        spacing: { after: i === stanza.lines.length - 1 ? 240 : 0 },
+                        children
+                    }));
+                }
             }
+            return paragraphs;
         }
 
         /**
-         * Displays a packet's content in a modal.
-         * @param {string} id - The ID of the packet to view.
+         * Combines all loaded packets into a single Word (.docx) document and triggers a download.
+         * The document mirrors the HTML export: a title or cover page, a linked table of contents,
+         * the introduction, each packet with its heading, details and formatted content, then
+         * the afterword and indexes. Fonts, sizes, colours,
+         * line spacing and the running header and footer come from the selected download template;
+         * the table of contents, details and page breaks follow the download options.
          */
-        viewPacket(id) {
-            console.log('Viewing packet with ID:', id);
-            const packet = this.packets.find(p => p.id == id);
-            if (packet) {
-                const modal = document.getElementById('packetModal');
-                const modalTitle = document.getElementById('packetModalTitle');
-                const modalContent = document.getElementById('packetModalContent');
-                const closeModalBtn = document.getElementById('closeModal');
+        async downloadCombinedDocx() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('DOCX download attempted with no packets.');
+                return;
+            }
 
-                if (!modal || !modalTitle || !modalContent || !closeModalBtn) {
-                    console.error('Modal elements not found.');
-                    this.showNotification('Error: Modal display elements missing.', 'error');
-                    return;
+            if (!window.docx) {
+                console.error('docx library (window.docx) is not loaded.');
+                this.showNotification('Word export library not loaded. Please check the script tag.', 'error');
+                return;
+            }
+
+            const downloadDocxBtn = document.getElementById('downloadDocxBtn');
+            if (downloadDocxBtn) downloadDocxBtn.disabled = true;
+            console.log('Preparing combined DOCX document for download.');
+
+            try {
+                const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, InternalHyperlink, Bookmark, Header, Footer } = window.docx;
+                const template = this.getExportTemplate();
+                const options = this.exportOptions;
+                const accentColor = template.accentColor.slice(1);
+                const children = [];
+
+                const outline = this.getCompilationOutline();
+                const matter = this.getCompilationMatter(outline);
+                const matterAnchor = (page) => `matter_${page.id.replace(/-/g, '_')}`;
+                const packetAnchors = new Map(outline.flatMap(group => group.packets).map((packet, index) => [packet, `packet_${index + 1}`]));
+                const tocMatterEntry = (page) => new Paragraph({
+                    spacing: { before: 120, after: 120 },
+                    children: [new InternalHyperlink({ anchor: matterAnchor(page), children: [new TextRun({ text: page.heading, color: accentColor })] })]
+                });
+
+                if (matter.cover) {
+                    // Cover page: title, subtitle, editor and date centred on a page of their own
+                    const { title, subtitle, editor, date } = matter.cover;
+                    children.push(new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, spacing: { before: 3600, after: 240 }, children: [new TextRun(title)] }));
+                    if (subtitle) children.push(new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 720 }, children: [new TextRun({ text: subtitle, italics: true, size: Math.round(template.fontSize * 2.8) })] }));
+                    if (editor) children.push(new Paragraph({ alignment: AlignmentType.CENTER, spacing: { after: 120 }, children: [new TextRun(`Edited by ${editor}`)] }));
+                    if (date) children.push(new Paragraph({ alignment: AlignmentType.CENTER, children: [new TextRun({ text: date, color: '666666' })] }));
+                } else {
+                    children.push(new Paragraph({ heading: HeadingLevel.TITLE, alignment: AlignmentType.CENTER, children: [new TextRun(this.compilationTitle)] }));
                 }
 
-                modalTitle.textContent = packet.title;
-                // Use innerHTML to preserve formatting from Mammoth.js
-                modalContent.innerHTML = packet.htmlContent;
-                modal.classList.remove('hidden');
-                modal.setAttribute('aria-hidden', 'false');
-                modal.focus(); // Focus the modal for accessibility
+                // Table of Contents, linked to a bookmark on each section and packet heading.
+                // Packets in a section are indented under it and numbered within it.
+                const hasSections = outline.some(group => group.section);
+                let packetNumber = 0;
+                if (options.includeToc) {
+                    children.push(new Paragraph({ heading: HeadingLevel.HEADING_1, pageBreakBefore: !!matter.cover, children: [new TextRun('Table of Contents')] }));
+                    children.push(...matter.before.map(tocMatterEntry));
+                    outline.forEach((group, groupIndex) => {
+                        if (group.section) {
+                            children.push(new Paragraph({
+                                spacing: { before: 120 },
+                                children: [new InternalHyperlink({
+                                    anchor: `section_${groupIndex + 1}`,
+                                    children: [new TextRun({ text: group.section.name, bold: true, color: accentColor })]
+                                })]
+                            }));
+                        }
+                        group.packets.forEach((packet, index) => {
+                            packetNumber++;
+                            children.push(new Paragraph({
+                                indent: group.section ? { left: 360 } : undefined,
+                                children: [new InternalHyperlink({
+                                    anchor: `packet_${packetNumber}`,
+                                    children: [new TextRun({ text: `${index + 1}. ${packet.title}`, color: accentColor })]
+                                })]
+                            }));
+                        });
+                    });
+                    children.push(...matter.after.map(tocMatterEntry));
+                }
 
-                const closeHandler = () => {
-                    modal.classList.add('hidden');
-                    modal.setAttribute('aria-hidden', 'true');
-                    // Return focus to the button that opened the modal if possible
-                    document.querySelector(`button[data-id="${id}"]`)?.focus();
-                    closeModalBtn.removeEventListener('click', closeHandler); // Clean up listener
-                    document.removeEventListener('keydown', handleEscape);
+                // Introduction, afterword and index pages, each starting on a new page
+                const matterParagraphs = async (page) => {
+                    const paragraphs = [new Paragraph({
+                        heading: HeadingLevel.HEADING_1,
+                        pageBreakBefore: true,
+                        spacing: { after: 240 },
+                        children: [new Bookmark({ id: matterAnchor(page), children: [new TextRun(page.heading)] })]
+                    })];
+                    if (page.html) {
+                        paragraphs.push(...await this.blocksToDocxParagraphs(this.htmlToBlocks(page.html)));
+                    } else if (page.authors) {
+                        page.authors.forEach(author => {
+                            paragraphs.push(new Paragraph({ spacing: { before: 160 }, keepNext: true, children: [new TextRun({ text: author.name, bold: true })] }));
+                            author.packets.forEach(packet => paragraphs.push(new Paragraph({
+                                indent: { left: 360 },
+                                children: [new InternalHyperlink({ anchor: packetAnchors.get(packet), children: [new TextRun({ text: packet.title, color: accentColor })] })]
+                            })));
+                        });
+                    } else if (page.firstLines) {
+                        page.firstLines.forEach(entry => paragraphs.push(new Paragraph({
+                            indent: { left: 360, hanging: 360 },
+                            spacing: { after: 60 },
+                            children: [
+                                new InternalHyperlink({ anchor: packetAnchors.get(entry.packet), children: [new TextRun({ text: entry.line, color: accentColor })] }),
+                                new TextRun({ text: `  ${entry.packet.title}`, italics: true, color: '666666' })
+                            ]
+                        })));
+                    }
+                    return paragraphs;
                 };
+                for (const page of matter.before) {
+                    children.push(...await matterParagraphs(page));
+                }
 
-                closeModalBtn.addEventListener('click', closeHandler);
+                packetNumber = 0;
+                for (let g = 0; g < outline.length; g++) {
+                    const group = outline[g];
+                    if (group.section) {
+                        // Divider page: the section name alone on its page
+                        children.push(new Paragraph({
+                            heading: HeadingLevel.HEADING_1,
+                            alignment: AlignmentType.CENTER,
+                            pageBreakBefore: true,
+                            spacing: { before: 4000 },
+                            children: [new Bookmark({ id: `section_${g + 1}`, children: [new TextRun(group.section.name)] })]
+                        }));
+                        children.push(new Paragraph({
+                            alignment: AlignmentType.CENTER,
+                            children: [new TextRun({ text: `${group.packets.length} packet${group.packets.length !== 1 ? 's' : ''}`, italics: true, color: '666666' })]
+                        }));
+                    }
 
-                // Close modal on escape key
-                const handleEscape = (e) => {
-                    if (e.key === 'Escape') {
-                        closeHandler();
+                    for (let i = 0; i < group.packets.length; i++) {
+                        const packet = group.packets[i];
+                        packetNumber++;
+                        const metadataLines = this.getPacketMetadataLines(packet, options.metadataFields);
+                        children.push(new Paragraph({
+                            heading: hasSections ? HeadingLevel.HEADING_2 : HeadingLevel.HEADING_1,
+                            spacing: { before: 480, after: metadataLines.length > 0 ? undefined : 240 },
+                            pageBreakBefore: this.packetStartsNewPage('docx', group, i, packetNumber, matter),
+                            children: [new Bookmark({ id: `packet_${packetNumber}`, children: [new TextRun(packet.title)] })]
+                        }));
+                        metadataLines.forEach((line, index) => {
+                            children.push(new Paragraph({
+                                indent: line.field === 'epigraph' ? { left: 720 } : undefined,
+                                spacing: { after: index === metadataLines.length - 1 ? 240 : 60 },
+                                children: line.text.split('\n').map((text, lineIndex) => new TextRun({
+                                    text,
+                                    break: lineIndex > 0 ? 1 : undefined,
+                                    italics: line.field !== 'author',
+                                    smallCaps: line.field === 'author',
+                                    color: '666666'
+                                }))
+                            }));
+                        });
+                        children.push(...await this.structureToDocxParagraphs(this.getExportPacketStructure(packet), { lineNumbers: this.showLineNumbers }));
                     }
-                };
-                document.addEventListener('keydown', handleEscape);
+                }
+                for (const page of matter.after) {
+                    children.push(...await matterParagraphs(page));
+                }
 
-                console.log(`Modal opened for "${packet.title}".`);
-            } else {
-                this.showNotification('Packet not found.', 'error');
-                console.warn('Attempted to view non-existent packet ID:', id);
+                // Sizes are in half-points; headings keep their proportions to the body text
+                const bodyFont = this.getDocxFontName(template.bodyFont);
+                const headingFont = this.getDocxFontName(template.headingFont);
+                const headingColor = template.headingColor.slice(1);
+                const halfPoints = (points) => Math.round(points * template.fontSize / 12 * 2);
+                const pageText = (text) => new Paragraph({
+                    alignment: AlignmentType.CENTER,
+                    children: this.exportTemplateTextToDocxRuns(text, { size: 18, color: '666666' })
+                });
+
+                const doc = new Document({
+                    creator: 'Packet Compiler',
+                    title: this.compilationTitle,
+                    background: template.backgroundColor !== '#ffffff' ? { color: template.backgroundColor.slice(1) } : undefined,
+                    styles: {
+                        default: {
+                            // Word measures line spacing from a taller single line than CSS does
+                            document: { run: { font: bodyFont, size: halfPoints(11), color: template.textColor.slice(1) }, paragraph: { spacing: { line: Math.round(240 * template.lineHeight * 0.8) } } },
+                            title: { run: { font: headingFont, size: halfPoints(28), color: headingColor } },
+                            heading1: { run: { font: headingFont, size: halfPoints(16), color: headingColor } },
+                            heading2: { run: { font: headingFont, size: halfPoints(13), color: headingColor } },
+                            heading3: { run: { font: headingFont, size: halfPoints(12), color: headingColor } }
+                        }
+                    },
+                    sections: [{
+                        properties: { titlePage: true }, // No header on the title page
+                        headers: template.headerText ? { default: new Header({ children: [pageText(template.headerText)] }), first: new Header({ children: [] }) } : undefined,
+                        footers: template.footerText ? { default: new Footer({ children: [pageText(template.footerText)] }), first: new Footer({ children: [pageText(template.footerText)] }) } : undefined,
+                        children
+                    }]
+                });
+
+                const blob = await Packer.toBlob(doc);
+                this.triggerDownload(blob, this.getExportFileName('docx'));
+                this.showNotification('Combined document downloaded as Word!', 'success');
+                this.announceToScreenReader('process-status', 'Combined document downloaded as Word.');
+                console.log('Combined DOCX download initiated.');
+            } catch (error) {
+                console.error('Failed to build DOCX document:', error);
+                this.showNotification('Could not create the Word document: ' + error.message, 'error');
+            } finally {
+                if (downloadDocxBtn) downloadDocxBtn.disabled = this.packets.length === 0;
             }
         }
 
         /**
-         * Combines all loaded packets into a single HTML document and triggers a download.
+         * Converts blocks from htmlToBlocks() into pdfmake content nodes.
+         * Images are split out of their paragraph into their own node, since pdfmake
+         * cannot place images inline with text.
+         * @param {Array<Object>} blocks - The blocks to convert.
+         * @returns {Promise<Array<Object>>} pdfmake content nodes.
          */
-        downloadCombinedDocument() {
-            if (this.packets.length === 0) {
-                this.showNotification('No packets to download!', 'warning');
-                console.warn('Download attempted with no packets.');
-                return;
-            }
+        async blocksToPdfContent(blocks) {
+            const content = [];
+            const headingSizes = [18, 16, 14, 13, 12, 12];
+
+            const toTextNodes = (runs) => runs.filter(run => !run.image).map(run => {
+                if (run.break) return { text: '\n' };
+                const node = { text: run.text };
+                if (run.bold) node.bold = true;
+                if (run.italics) node.italics = true;
+                if (run.underline || run.link) node.decoration = 'underline';
+                if (run.strike) node.decoration = 'lineThrough';
+                if (run.superScript) node.sup = true;
+                if (run.subScript) node.sub = true;
+                if (run.link) {
+                    node.link = run.link;
+                    node.color = '#2563eb';
+                }
+                return node;
+            });
 
-            console.log('Preparing combined HTML document for download.');
+            for (const block of blocks) {
+                if (block.type === 'rule') {
+                    content.push({ canvas: [{ type: 'line', x1: 0, y1: 4, x2: 480, y2: 4, lineWidth: 0.5, lineColor: '#cccccc' }], margin: [0, 4, 0, 8] });
+                    continue;
+                }
 
-            // Generate Table of Contents
-            let tableOfContentsHtml = '';
-            if (this.packets.length > 0) {
-                tableOfContentsHtml = `
-        <nav class="table-of-contents">
-            <h2>Table of Contents</h2>
-            <ol>
-`;
-                this.packets.forEach(packet => {
-                    tableOfContentsHtml += `
-                <li><a href="#packet-${packet.id}">${this.escapeHtml(packet.title)}</a></li>
-`;
+                // Split the runs at each image so text and images alternate in reading order
+                const segments = [[]];
+                block.runs.forEach(run => {
+                    if (run.image) {
+                        segments.push(run, []);
+                    } else {
+                        segments[segments.length - 1].push(run);
+                    }
                 });
-                tableOfContentsHtml += `
-            </ol>
-        </nav>
-`;
-            }
 
-
-            let combinedHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Combined Packets</title>
-    <style>
-        body { font-family: sans-serif; line-height: 1.6; max-width: 800px; margin: 2em auto; padding: 0 1em; color: #333; }
-        h1, h2, h3 { color: #2c3e50; margin-top: 1.5em; margin-bottom: 0.5em; }
-        h1 { font-size: 2.2em; text-align: center; border-bottom: 2px solid #eee; padding-bottom: 0.5em; }
-        h2 { font-size: 1.8em; }
-        h3 { font-size: 1.4em; }
-        .packet-section { margin-bottom: 2em; padding-bottom: 1em; border-bottom: 1px dashed #eee; }
-        .packet-section:last-child { border-bottom: none; margin-bottom: 0; padding-bottom: 0; }
-        /* Mammoth.js often wraps content in paragraphs, so default to no top margin */
-        .packet-content p { margin-top: 0; margin-bottom: 0.5em; }
-        /* Ensure line breaks are visible if they are represented as <br> */
-        .packet-content br {
-            display: block;
-            content: "";
-            margin-top: 0.5em; /* Adds vertical space for line breaks */
+                for (const segment of segments) {
+                    if (!Array.isArray(segment)) {
+                        if (!/^data:image\/(png|jpe?g);/i.test(segment.image)) {
+                            console.warn('Skipping image in an unsupported format for PDF export:', segment.image.slice(0, 40));
+                            continue;
+                        }
+                        const size = await this.getImageSize(segment.image, 480);
+                        if (size) {
+                            content.push({ image: segment.image, width: size.width, alignment: block.align === 'justify' ? 'left' : (block.align || 'center'), margin: [0, 4, 0, 8] });
+                        }
+                        continue;
+                    }
+                    if (!segment.some(run => run.break || (run.text && run.text.trim().length > 0))) continue;
+
+                    const node = { text: toTextNodes(segment), alignment: block.align || 'left' };
+                    if (block.type === 'heading') {
+                        node.fontSize = headingSizes[block.level - 1];
+                        node.bold = true;
+                        node.margin = [0, 10, 0, 6];
+                    } else if (block.type === 'listItem') {
+                        node.text.unshift({ text: block.ordered ? `${block.number}. ` : '• ' });
+                        node.margin = [18 * (block.level + 1), 0, 0, 3];
+                    } else {
+                        node.margin = [18 * (block.indent || 0), 0, 0, 6];
+                        if (block.preformatted) node.preserveLeadingSpaces = true;
+                    }
+                    content.push(node);
+                }
+            }
+            return content;
         }
-        .packet-content pre { white-space: pre-wrap; word-wrap: break-word; font-family: monospace; }
-        .packet-content code { white-space: pre-wrap; word-wrap: break-word; font-family: monospace; }
-        /* Basic alignment from Mammoth.js output */
-        p[align="center"] { text-align: center; }
-        p[align="right"] { text-align: right; }
-        /* Preserve white-space for pre-formatted packet lines */
-        .packet-content pre { white-space: pre-wrap; word-wrap: break-word; }
-        .packet-content code { white-space: pre-wrap; word-wrap: break-word; }
-        /* Ensure other block elements like div maintain spacing */
-        .packet-content > div { margin-bottom: 0.5em; }
-        /* Basic image styling */
-        .packet-content img { max-width: 100%; height: auto; display: block; margin: 0.5em auto; }
 
-        /* Table of Contents Styling */
-        .table-of-contents {
-            margin: 2em 0;
-            padding: 1em;
-            border: 1px solid #eee;
-            background-color: #f9f9f9;
-            border-radius: 5px;
-        }
-        .table-of-contents h2 {
-            margin-top: 0;
-            font-size: 1.5em;
-            text-align: center;
-            border-bottom: 1px solid #ddd;
-            padding-bottom: 0.5em;
-            margin-bottom: 1em;
-        }
-        .table-of-contents ol {
-            list-style: decimal;
-            padding-left: 2em;
-        }
-        .table-of-contents li {
-            margin-bottom: 0.5em;
-        }
-        .table-of-contents a {
-            color: #3b82f6;
-            text-decoration: none;
+        /**
+         * Converts a structure from buildPacketStructure() into pdfmake content nodes: one node
+         * per line, with space after the last line of each stanza. Indentation is 6pt a column.
+         * @param {{stanzas: Array<Object>}} structure - The structure.
+         * @param {{lineNumbers?: boolean}} [options={}] - With lineNumbers, every LINE_NUMBER_INTERVAL-th
+         *     line is numbered in a gutter left of the poem.
+         * @returns {Promise<Array<Object>>} pdfmake content nodes.
+         */
+        async structureToPdfContent(structure, options = {}) {
+            const content = [];
+            const gutter = options.lineNumbers ? 30 : 0;
+            let lineNumber = 0;
+            for (const stanza of structure.stanzas) {
+                if (stanza.block) {
+                    content.push(...await this.blocksToPdfContent([stanza.block]));
+                    continue;
+                }
+                for (let i = 0; i < stanza.lines.length; i++) {
+                    const line = stanza.lines[i];
+                    const previous = stanza.lines[i - 1];
+                    const columns = line.dropped ? previous.indent + this.getRunsText(previous.runs).length : line.indent;
+                    let nodes = await this.blocksToPdfContent([{ type: 'paragraph', align: line.align, runs: line.runs }]);
+                    nodes.forEach(node => {
+                        if (node.text) node.margin = [gutter + 6 * columns, 0, 0, 0];
+                    });
+                    lineNumber++;
+                    if (gutter && lineNumber % LINE_NUMBER_INTERVAL === 0) {
+                        // The number goes in the gutter beside the line's first text
+                        const first = nodes.findIndex(node => node.text);
+                        if (first !== -1) {
+                            const node = nodes[first];
+                            nodes = [...nodes];
+                            nodes[first] = {
+                                columns: [
+                                    { width: gutter - 8, text: String(lineNumber), fontSize: 8, color: '#999999', alignment: 'right', margin: [0, 2, 0, 0] },
+                                    { width: '*', ...node, margin: [8 + 6 * columns, 0, 0, 0] }
+                                ]
+                            };
+                        }
+                    }
+                    if (i === stanza.lines.length - 1 && nodes.length > 0) {
+                        const last = nodes[nodes.length - 1];
+                        last.margin = [...(last.margin || [0, 0, 0, 0]).slice(0, 3), 10];
+                    }
+                    content.push(...nodes);
+                }
+            }
+            return content;
         }
-        .table-of-contents a:hover {
-            text-decoration: underline;
+
+        /**
+         * Builds a PDF with pdfmake. pdfmake only reports success, through a callback, so errors
+         * it throws and builds that never finish are turned into a rejection.
+         * @param {Object} docDefinition - The pdfmake document definition.
+         * @returns {Promise<Blob>} The PDF.
+         * @throws {Error} If pdfmake fails or takes longer than PDF_BUILD_TIMEOUT_MS.
+         */
+        createPdfBlob(docDefinition) {
+            return new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => reject(new Error('building it took too long. Try downloading fewer packets at a time.')), PDF_BUILD_TIMEOUT_MS);
+                try {
+                    window.pdfMake.createPdf(docDefinition).getBlob(blob => {
+                        clearTimeout(timeout);
+                        resolve(blob);
+                    });
+                } catch (error) {
+                    clearTimeout(timeout);
+                    reject(error);
+                }
+            });
         }
-    </style>
-</head>
-<body>
-    <h1>Combined Packets</h1>
-    ${tableOfContentsHtml}
-    <div class="packets-container">
-`;
 
-            this.packets.forEach((packet, index) => {
-                let cleanedHtmlContent = packet.htmlContent;
-                const tempContentDiv = document.createElement('div');
-                tempContentDiv.innerHTML = packet.htmlContent;
+        /**
+         * Combines all loaded packets into a print-ready PDF and triggers a download.
+         * Packets start on new pages unless the download options say otherwise, the table of
+         * contents and indexes list real page numbers, and the pages carry the selected download template's header and footer (the header
+         * is left off the title page). Sizes, colours and line spacing come from the template;
+         * the text is always set in pdfmake's built-in Roboto font.
+         * The PDF is generated entirely in the browser by pdfmake.
+         */
+        async downloadCombinedPdf() {
+            if (this.packets.length === 0) {
+                this.showNotification('No packets to download!', 'warning');
+                console.warn('PDF download attempted with no packets.');
+                return;
+            }
+
+            if (!window.pdfMake) {
+                console.error('pdfmake library (window.pdfMake) is not loaded.');
+                this.showNotification('PDF export library not loaded. Please check the script tag.', 'error');
+                return;
+            }
 
-                // Check if the packet's title (or a very similar version) is the first heading in its htmlContent
-                const firstHeading = tempContentDiv.querySelector('h1, h2, h3');
-                if (firstHeading) {
-                    const normalizedTitle = packet.title.toLowerCase().replace(/[^a-z0-9]/g, '');
-                    const normalizedHeadingText = firstHeading.textContent.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+            const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+            if (downloadPdfBtn) downloadPdfBtn.disabled = true;
+            console.log('Preparing combined PDF document for download.');
 
-                    // Use a more robust check for similarity
-                    // Check if the heading text is a significant portion of the packet title or vice-versa
-                    const isSimilar = normalizedTitle.includes(normalizedHeadingText) || normalizedHeadingText.includes(normalizedTitle);
-                    const isExactMatch = normalizedTitle === normalizedHeadingText;
+            try {
+                const title = this.compilationTitle;
+                const template = this.getExportTemplate();
+                const options = this.exportOptions;
+                const size = (points) => Math.round(points * template.fontSize / 12 * 10) / 10;
+                const values = this.getExportTemplateValues();
+                const outline = this.getCompilationOutline();
+                const matter = this.getCompilationMatter(outline);
+                const content = [];
+                if (matter.cover) {
+                    const { subtitle, editor, date } = matter.cover;
+                    content.push({ text: title, style: 'documentTitle', margin: [0, 200, 0, 16] });
+                    if (subtitle) content.push({ text: subtitle, style: 'coverSubtitle' });
+                    if (editor) content.push({ text: `Edited by ${editor}`, style: 'coverLine' });
+                    if (date) content.push({ text: date, style: 'coverLine', color: '#666666' });
+                } else {
+                    content.push({ text: title, style: 'documentTitle' });
+                }
+                if (options.includeToc) {
+                    content.push({ toc: { title: { text: 'Table of Contents', style: 'tocTitle' }, numberStyle: { bold: false } }, pageBreak: matter.cover ? 'before' : undefined });
+                }
 
-                    if (isExactMatch || (isSimilar && firstHeading.textContent.trim().length > 0)) {
-                        console.log(`Removing duplicate heading "${firstHeading.textContent.trim()}" from packet "${packet.title}" for export.`);
-                        firstHeading.remove();
-                        cleanedHtmlContent = tempContentDiv.innerHTML;
+                // Introduction, afterword and index pages; index entries give the packet's page number
+                const matterContent = async (page) => {
+                    const nodes = [{ text: page.heading, style: 'packetTitle', tocItem: true, margin: [0, 0, 0, 16], pageBreak: 'before' }];
+                    if (page.html) {
+                        nodes.push(...await this.blocksToPdfContent(this.htmlToBlocks(page.html)));
+                    } else if (page.authors) {
+                        page.authors.forEach(author => {
+                            nodes.push({ text: author.name, bold: true, margin: [0, 8, 0, 2] });
+                            author.packets.forEach(packet => nodes.push({
+                                columns: [{ text: packet.title, width: '*' }, { text: '', pageReference: `packet-${packet.id}`, width: 'auto' }],
+                                margin: [18, 0, 0, 0]
+                            }));
+                        });
+                    } else if (page.firstLines) {
+                        page.firstLines.forEach(entry => nodes.push({
+                            columns: [
+                                { text: [entry.line, { text: `  ${entry.packet.title}`, italics: true, color: '#666666' }], width: '*' },
+                                { text: '', pageReference: `packet-${entry.packet.id}`, width: 'auto' }
+                            ],
+                            columnGap: 12,
+                            margin: [0, 0, 0, 4]
+                        }));
                     }
+                    return nodes;
+                };
+                for (const page of matter.before) {
+                    content.push(...await matterContent(page));
                 }
 
-                combinedHtml += `
-        <div class="packet-section" id="packet-${packet.id}">
-            <h2>${this.escapeHtml(packet.title)}</h2>
-            <p class="packet-metadata"><em>Source: ${this.escapeHtml(packet.filename)} | Words: ${packet.wordCount}</em></p>
-            <div class="packet-content">
-                ${cleanedHtmlContent}
-            </div>
-        </div>
-`;
-            });
+                let packetNumber = 0;
+                for (const group of outline) {
+                    if (group.section) {
+                        // Divider page; the section's packets are indented under it in the table of contents
+                        content.push({ text: group.section.name, style: 'sectionTitle', tocItem: true, tocStyle: { bold: true }, pageBreak: 'before' });
+                        content.push({ text: `${group.packets.length} packet${group.packets.length !== 1 ? 's' : ''}`, style: 'sectionSubtitle' });
+                    }
+                    for (const [index, packet] of group.packets.entries()) {
+                        packetNumber++;
+                        const startsPage = this.packetStartsNewPage('pdf', group, index, packetNumber, matter);
+                        const metadataLines = this.getPacketMetadataLines(packet, options.metadataFields);
+                        content.push({
+                            text: packet.title,
+                            id: `packet-${packet.id}`,
+                            style: 'packetTitle',
+                            tocItem: true,
+                            tocMargin: group.section ? [18, 0, 0, 0] : [0, 0, 0, 0],
+                            margin: [0, startsPage ? 0 : 24, 0, metadataLines.length > 0 ? 4 : 16],
+                            pageBreak: startsPage ? 'before' : undefined
+                        });
+                        metadataLines.forEach((line, index) => content.push({
+                            text: line.text,
+                            style: 'packetMetadata',
+                            italics: line.field !== 'author',
+                            margin: [line.field === 'epigraph' ? 24 : 0, 0, 0, index === metadataLines.length - 1 ? 16 : 4]
+                        }));
+                        content.push(...await this.structureToPdfContent(this.getExportPacketStructure(packet), { lineNumbers: this.showLineNumbers }));
+                    }
+                }
+                for (const page of matter.after) {
+                    content.push(...await matterContent(page));
+                }
 
-            combinedHtml += `
-    </div>
-</body>
-</html>`;
+                const docDefinition = {
+                    info: { title, creator: 'Packet Compiler' },
+                    pageSize: 'LETTER',
+                    pageMargins: [66, 72, 66, 72],
+                    header: (currentPage, pageCount) => currentPage === 1 || !template.headerText ? null : {
+                        text: this.fillExportTemplateText(template.headerText, { ...values, page: currentPage, pages: pageCount }), style: 'runningHeader', margin: [66, 36, 66, 0]
+                    },
+                    footer: (currentPage, pageCount) => !template.footerText ? null : {
+                        text: this.fillExportTemplateText(template.footerText, { ...values, page: currentPage, pages: pageCount }), style: 'runningFooter', margin: [66, 24, 66, 0]
+                    },
+                    background: template.backgroundColor === '#ffffff' ? undefined : (currentPage, pageSize) => ({
+                        canvas: [{ type: 'rect', x: 0, y: 0, w: pageSize.width, h: pageSize.height, color: template.backgroundColor }]
+                    }),
+                    content,
+                    // pdfmake measures line spacing from a taller single line than CSS does
+                    defaultStyle: { fontSize: size(11), lineHeight: Math.round(template.lineHeight * 0.8 * 10) / 10, color: template.textColor },
+                    styles: {
+                        documentTitle: { fontSize: size(26), bold: true, color: template.headingColor, alignment: 'center', margin: [0, 120, 0, 48] },
+                        coverSubtitle: { fontSize: size(16), italics: true, alignment: 'center', margin: [0, 0, 0, 48] },
+                        coverLine: { fontSize: size(12), alignment: 'center', margin: [0, 0, 0, 6] },
+                        tocTitle: { fontSize: size(16), bold: true, color: template.headingColor, margin: [0, 0, 0, 12] },
+                        sectionTitle: { fontSize: size(28), bold: true, color: template.headingColor, alignment: 'center', margin: [0, 220, 0, 12] },
+                        sectionSubtitle: { fontSize: size(11), italics: true, color: '#666666', alignment: 'center' },
+                        packetTitle: { fontSize: size(18), bold: true, color: template.headingColor, margin: [0, 0, 0, 4] },
+                        packetMetadata: { fontSize: size(9), italics: true, color: '#666666', margin: [0, 0, 0, 16] },
+                        runningHeader: { fontSize: 9, color: '#666666', alignment: 'right' },
+                        runningFooter: { fontSize: 9, color: '#666666', alignment: 'center' }
+                    }
+                };
 
-            const blob = new Blob([combinedHtml], { type: 'text/html;charset=utf-8' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = 'Combined_Packets.html'; // Ensure it's an HTML file
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            this.showNotification('Combined document downloaded as HTML!', 'success');
-            this.announceToScreenReader('process-status', 'Combined document downloaded as HTML.');
-            console.log('Combined document download initiated.');
+                const blob = await this.createPdfBlob(docDefinition);
+                this.triggerDownload(blob, this.getExportFileName('pdf'));
+                this.showNotification('Combined document downloaded as PDF!', 'success');
+                this.announceToScreenReader('process-status', 'Combined document downloaded as PDF.');
+                console.log('Combined PDF download initiated.');
+            } catch (error) {
+                console.error('Failed to build PDF document:', error);
+                this.showNotification('Could not create the PDF: ' + error.message, 'error');
+            } finally {
+                if (downloadPdfBtn) downloadPdfBtn.disabled = this.packets.length === 0;
+            }
         }
 
         /**
@@ -1249,8 +8162,9 @@
          * @param {string} message - The message to display.
          * @param {string} type - The type of notification (e.g., 'success', 'error', 'info', 'warning').
          * @param {number} [duration=5000] - How long the notification should be visible in milliseconds.
+         * @param {Object} [action] - An optional link after the message, as { label, onClick }; clicking it hides the notification.
          */
-        showNotification(message, type, duration = 5000) {
+        showNotification(message, type, duration = 5000, action = null) {
             const notification = document.getElementById('notification');
             if (!notification) {
                 console.error('Notification element not found.');
@@ -1266,6 +8180,26 @@
             notification.textContent = message;
             notification.className = `notification fixed bottom-4 right-4 p-3 rounded-md shadow-lg text-white opacity-0 transition-opacity duration-300 z-50`;
 
+            const hide = () => {
+                notification.classList.remove('opacity-100');
+                notification.classList.add('opacity-0');
+                notification.querySelector('button')?.remove(); // A hidden link must not stay clickable
+                this.notificationTimeout = null;
+            };
+
+            if (action) {
+                const link = document.createElement('button');
+                link.type = 'button';
+                link.className = 'ml-3 font-bold underline hover:no-underline';
+                link.textContent = action.label;
+                link.addEventListener('click', () => {
+                    clearTimeout(this.notificationTimeout);
+                    hide();
+                    action.onClick();
+                });
+                notification.appendChild(link);
+            }
+
             switch (type) {
                 case 'success':
                     notification.classList.add('bg-green-500');
@@ -1291,11 +8225,7 @@
             });
 
             // Hide after duration
-            this.notificationTimeout = setTimeout(() => {
-                notification.classList.remove('opacity-100');
-                notification.classList.add('opacity-0');
-                this.notificationTimeout = null;
-            }, duration);
+            this.notificationTimeout = setTimeout(hide, duration);
 
             console.log(`Notification: ${message} (${type})`);
         }
@@ -1325,6 +8255,22 @@
             div.appendChild(document.createTextNode(str));
             return div.innerHTML;
         }
+
+        /**
+         * Escapes a value for use inside a double-quoted HTML attribute.
+         * @param {*} value - The value; it is converted to a string.
+         * @returns {string} The escaped value.
+         */
+        escapeAttribute(value) {
+            return this.escapeHtml(String(value)).replace(/"/g, '&quot;');
+        }
+    }
+
+    // Inside the import worker (import-worker.js) there is no page to set up; the worker only
+    // needs the class for its importers and splitting rules.
+    if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+        self.PacketCompiler = PacketCompiler;
+        return;
     }
 
     // Initialize the PacketCompiler once the DOM is fully loaded